@@ -6,26 +6,62 @@ let prints = [];
 let editingFilamentId = null;
 let editingModelId = null;
 let editingPrintId = null;
+let deletingPrintIds = [];
 let modelCategories = [];
+let inventoryLedger = [];
+let spools = [];
+let printers = [];
+let editingPrinterId = null;
+let printJobs = [];
+let purchases = [];
 
 // Performance optimization: Cache for frequently accessed data
 const DataCache = {
     filamentUsage: new Map(),
     modelPrintability: new Map(),
+    // Grams consumed per filament id, built in one pass over prints
+    consumedWeights: null,
+    consumedFrom: null,
+    consumedCount: 0,
+    // Group reorder thresholds by material|colour key, evaluated once per change
+    reorderGroupResults: null,
     lastUpdated: 0,
 
     invalidate() {
         this.filamentUsage.clear();
         this.modelPrintability.clear();
+        this.consumedWeights = null;
+        this.reorderGroupResults = null;
         this.lastUpdated = Date.now();
     },
 
+    getReorderGroupResults() {
+        if (!this.reorderGroupResults) {
+            this.reorderGroupResults = new Map();
+            reorderGroupThresholds.forEach(group => {
+                this.reorderGroupResults.set(getReorderGroupKey(group.material, group.color), evaluateReorderGroup(group));
+            });
+        }
+        return this.reorderGroupResults;
+    },
+
+    // Rebuilt after saveData(), or when prints were replaced or added to since the last build
+    getConsumedWeights() {
+        if (!this.consumedWeights || this.consumedFrom !== prints || this.consumedCount !== prints.length) {
+            const totals = new Map();
+            prints.forEach(print => (print.filaments || []).forEach(pf => {
+                totals.set(pf.filamentId, (totals.get(pf.filamentId) || 0) + (pf.weight || 0));
+            }));
+            this.consumedWeights = totals;
+            this.consumedFrom = prints;
+            this.consumedCount = prints.length;
+        }
+        return this.consumedWeights;
+    },
+
     getFilamentUsage(filamentId) {
         if (!this.filamentUsage.has(filamentId)) {
-            const usage = prints
-                .filter(p => p.filamentId === filamentId)
-                .reduce((total, print) => total + (print.actualWeight || print.weight || 0), 0);
-            this.filamentUsage.set(filamentId, usage);
+            this.filamentUsage.set(filamentId, InventoryService.getConsumedWeight(filamentId));
         }
         return this.filamentUsage.get(filamentId);
     },
@@ -35,7 +71,7 @@ const DataCache = {
             const model = models.find(m => m.id === modelId);
             const printable = model && model.requirements && model.requirements.every(req => {
                 const filament = filaments.find(f => f.id === req.filamentId);
-                return filament && filament.inStock && filament.weight >= req.expectedWeight;
+                return filament && filament.inStock && InventoryService.getStock(filament).available >= req.expectedWeight;
             });
             this.modelPrintability.set(modelId, printable);
         }
@@ -56,6 +92,16 @@ function debounce(func, wait) {
     };
 }
 
+// Escapes user-entered text before it is placed in innerHTML
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Performance monitoring utility
 const PerformanceMonitor = {
     enabled: false,
@@ -87,11 +133,34 @@ if (window.location.hostname === 'localhost' || window.location.hostname === '12
     PerformanceMonitor.enable();
 }
 
-// Dynamic Material Types Management
-let materialTypes = ['PLA', 'PETG', 'ABS', 'TPU']; // Default material types
+// Material densities (g/cm³) - used to convert between filament weight and length
+const DEFAULT_MATERIAL_DENSITIES = {
+    PLA: 1.24,
+    PETG: 1.27,
+    ABS: 1.04,
+    ASA: 1.07,
+    TPU: 1.21,
+    Nylon: 1.14,
+    PC: 1.20
+};
+// Used for material types without a known density
+const FALLBACK_DENSITY = 1.24;
+
+function getDefaultMaterialDensity(name) {
+    const key = Object.keys(DEFAULT_MATERIAL_DENSITIES).find(t => t.toLowerCase() === name.toLowerCase());
+    return key ? DEFAULT_MATERIAL_DENSITIES[key] : FALLBACK_DENSITY;
+}
+
+// Dynamic Material Types Management - each type carries its density
+let materialTypes = ['PLA', 'PETG', 'ABS', 'TPU'].map(name => ({ name, density: DEFAULT_MATERIAL_DENSITIES[name] })); // Default material types
 
 function getMaterialTypes() {
-    return materialTypes;
+    return materialTypes.map(type => type.name);
+}
+
+function findMaterialType(name) {
+    if (!name) return undefined;
+    return materialTypes.find(type => type.name.toLowerCase() === name.toLowerCase());
 }
 
 function addMaterialType(type) {
@@ -104,8 +173,8 @@ function addMaterialType(type) {
         return false;
     }
 
-    if (!materialTypes.includes(trimmedType)) {
-        materialTypes.push(trimmedType);
+    if (!getMaterialTypes().includes(trimmedType)) {
+        materialTypes.push({ name: trimmedType, density: getDefaultMaterialDensity(trimmedType) });
         saveMaterialTypes();
         updateMaterialTypeDropdowns();
         return true;
@@ -118,7 +187,7 @@ function removeMaterialType(type) {
         return false;
     }
 
-    const index = materialTypes.indexOf(type);
+    const index = getMaterialTypes().indexOf(type);
     if (index > -1) {
         // Check if any filament is using this type - safe check for filaments array
         const inUse = (filaments && Array.isArray(filaments)) ?
@@ -145,7 +214,10 @@ function loadMaterialTypes() {
     const saved = localStorage.getItem('printStack_materialTypes');
     if (saved) {
         try {
-            materialTypes = JSON.parse(saved);
+            // Lists saved before densities were tracked hold plain names
+            materialTypes = JSON.parse(saved).map(type => typeof type === 'string' ?
+                { name: type, density: getDefaultMaterialDensity(type) } :
+                type);
         } catch (e) {
         }
     }
@@ -177,7 +249,7 @@ function updateMaterialTypeDropdown(selectElement) {
     });
 
     // Add material types in alphabetical order
-    const sortedTypes = [...materialTypes].sort();
+    const sortedTypes = getMaterialTypes().sort();
     const otherOption = selectElement.querySelector('option[value="Other"]');
 
     sortedTypes.forEach(type => {
@@ -188,7 +260,7 @@ function updateMaterialTypeDropdown(selectElement) {
     });
 
     // Restore previous selection if it still exists
-    if (currentValue && (materialTypes.includes(currentValue) || currentValue === 'Other')) {
+    if (currentValue && (getMaterialTypes().includes(currentValue) || currentValue === 'Other')) {
         selectElement.value = currentValue;
     }
 }
@@ -198,7 +270,7 @@ function updateMaterialTypesList() {
     const container = document.getElementById('materialTypesList');
     if (!container || !materialTypes || !Array.isArray(materialTypes)) return;
 
-    const sortedTypes = [...materialTypes].sort();
+    const sortedTypes = getMaterialTypes().sort();
 
     container.innerHTML = sortedTypes.map(type => {
         // Safe check for filaments array
@@ -209,6 +281,10 @@ function updateMaterialTypesList() {
             <div class="material-type-item" data-type="${type}">
                 <span class="material-type-name">${type}</span>
                 ${inUse ? '<span class="badge badge-info">In Use</span>' : ''}
+                <label class="material-density">
+                    <input type="number" min="0.5" max="3" step="0.01" value="${getMaterialDensity(type)}" onchange="handleMaterialDensityChange('${type}', this.value)" aria-label="${type} density in g/cm³" title="Density used to convert between weight and length">
+                    g/cm³
+                </label>
                 <button class="remove-btn" onclick="handleRemoveMaterialType('${type}')" ${inUse ? 'disabled title="Cannot remove - used by filaments"' : 'title="Remove material type"'}>Remove</button>
             </div>
         `;
@@ -242,6 +318,216 @@ function handleRemoveMaterialType(type) {
 
 function updateMaterialTypeManagementUI() {
     updateMaterialTypesList();
+    updateSpoolTaresList();
+    updateReorderThresholdsList();
+    renderPrinterMaterialOptions([...document.querySelectorAll('#printerMaterials input:checked')].map(input => input.value));
+}
+
+// Spool Tare Library - empty spool weight per brand, overridden by a spool's own tare
+let spoolTares = {};
+
+function getBrandTare(brand) {
+    if (!brand) return null;
+    const key = Object.keys(spoolTares).find(b => b.toLowerCase() === brand.toLowerCase());
+    return key ? spoolTares[key] : null;
+}
+
+// Tare used for a spool: its own measured value first, then the brand default
+function getSpoolTare(spool, filament) {
+    if (spool.tare !== null && spool.tare !== undefined) return spool.tare;
+    return getBrandTare(filament && filament.brand);
+}
+
+function setBrandTare(brand, grams) {
+    const trimmedBrand = (brand || '').trim();
+    if (!trimmedBrand || isNaN(grams) || grams < 0) {
+        return false;
+    }
+
+    // Replace an existing entry regardless of capitalisation
+    Object.keys(spoolTares)
+        .filter(b => b.toLowerCase() === trimmedBrand.toLowerCase())
+        .forEach(b => delete spoolTares[b]);
+    spoolTares[trimmedBrand] = grams;
+    saveSpoolTares();
+    return true;
+}
+
+function removeBrandTare(brand) {
+    if (!(brand in spoolTares)) return false;
+    delete spoolTares[brand];
+    saveSpoolTares();
+    return true;
+}
+
+function saveSpoolTares() {
+    localStorage.setItem('printStack_spoolTares', JSON.stringify(spoolTares));
+}
+
+function loadSpoolTares() {
+    const saved = localStorage.getItem('printStack_spoolTares');
+    if (saved) {
+        try {
+            spoolTares = JSON.parse(saved);
+        } catch (e) {
+        }
+    }
+}
+
+function updateSpoolTaresList() {
+    const container = document.getElementById('spoolTaresList');
+    if (!container) return;
+
+    const brands = Object.keys(spoolTares).sort();
+    if (brands.length === 0) {
+        container.innerHTML = '<p>No brand tares yet. Weigh an empty spool and add it here.</p>';
+        return;
+    }
+
+    container.innerHTML = brands.map(brand => `
+        <div class="material-type-item" data-brand="${brand}">
+            <span class="material-type-name">${brand}</span>
+            <span class="badge badge-info">${spoolTares[brand]}g</span>
+            <button class="remove-btn" onclick="handleRemoveSpoolTare('${brand.replace(/'/g, "\\'")}')" title="Remove brand tare">Remove</button>
+        </div>
+    `).join('');
+}
+
+function handleAddSpoolTare() {
+    const brandInput = document.getElementById('newTareBrand');
+    const gramsInput = document.getElementById('newTareGrams');
+    const brand = brandInput.value.trim();
+    const grams = parseFloat(gramsInput.value);
+
+    if (!brand || isNaN(grams) || grams < 0) {
+        showErrorMessage('Please enter a brand and the empty spool weight in grams');
+        return;
+    }
+
+    setBrandTare(brand, grams);
+    brandInput.value = '';
+    gramsInput.value = '';
+    updateSpoolTaresList();
+    showSuccessMessage(`Empty ${brand} spools weigh ${grams}g`);
+}
+
+function handleRemoveSpoolTare(brand) {
+    if (removeBrandTare(brand)) {
+        updateSpoolTaresList();
+        showSuccessMessage(`Tare for "${brand}" removed`);
+    }
+}
+
+// Material Densities - stored on the material type; materials not in the list use the defaults
+function getMaterialDensity(type) {
+    if (!type) return FALLBACK_DENSITY;
+    const materialType = findMaterialType(type);
+    return materialType && materialType.density > 0 ? materialType.density : getDefaultMaterialDensity(type);
+}
+
+function setMaterialDensity(type, density) {
+    const materialType = findMaterialType(type);
+    if (!materialType || isNaN(density) || density <= 0) {
+        return false;
+    }
+    materialType.density = density;
+    saveMaterialTypes();
+    return true;
+}
+
+function handleMaterialDensityChange(type, value) {
+    const density = parseFloat(value);
+    if (setMaterialDensity(type, density)) {
+        DataCache.invalidate();
+        updateAllTables();
+        showSuccessMessage(`${type} density set to ${density} g/cm³`);
+    } else {
+        showErrorMessage('Density must be a positive number');
+        updateMaterialTypesList();
+    }
+}
+
+// A filament's own density overrides the material default
+function getFilamentDensity(filament) {
+    if (filament && filament.density > 0) return filament.density;
+    return getMaterialDensity(filament && (filament.materialType || filament.material));
+}
+
+// Grams in one millimetre of filament: cross-section (mm²) × density, with mm³ → cm³
+function gramsPerMillimetre(filament) {
+    const diameter = (filament && filament.diameter) || 1.75;
+    return Math.PI * Math.pow(diameter / 2, 2) * getFilamentDensity(filament) / 1000;
+}
+
+function lengthToGrams(millimetres, filament) {
+    return millimetres * gramsPerMillimetre(filament);
+}
+
+function gramsToLength(grams, filament) {
+    return grams / gramsPerMillimetre(filament);
+}
+
+// Units a filament quantity can be entered or displayed in; everything is stored in grams
+const QuantityUnits = {
+    g: { label: 'g', decimals: 1, toGrams: value => value, fromGrams: grams => grams },
+    m: { label: 'm', decimals: 2, toGrams: (value, f) => lengthToGrams(value * 1000, f), fromGrams: (grams, f) => gramsToLength(grams, f) / 1000 },
+    mm: { label: 'mm', decimals: 0, toGrams: (value, f) => lengthToGrams(value, f), fromGrams: (grams, f) => gramsToLength(grams, f) }
+};
+
+function formatQuantity(grams, filament, unit = 'g') {
+    const config = QuantityUnits[unit] || QuantityUnits.g;
+    return `${config.fromGrams(grams || 0, filament).toFixed(config.decimals)} ${config.label}`;
+}
+
+// <select> placed next to a quantity input to choose the unit it is entered in
+function buildQuantityUnitSelect(unit = 'g') {
+    return `<select class="quantity-unit" data-unit="${unit}" onchange="convertQuantityUnit(this)" title="Unit for this quantity">
+        ${Object.entries(QuantityUnits).map(([key, config]) => `<option value="${key}" ${key === unit ? 'selected' : ''}>${config.label}</option>`).join('')}
+    </select>`;
+}
+
+/**
+ * Reads a quantity input in whatever unit its sibling unit select shows
+ * @param {HTMLInputElement} input - Number input with an optional .quantity-unit sibling
+ * @param {Object} filament - Filament used for length conversions
+ * @returns {number} Grams, or NaN when empty or a length has no filament to convert with
+ */
+function readQuantityInput(input, filament) {
+    const value = parseFloat(input.value);
+    const unitSelect = input.parentElement.querySelector('.quantity-unit');
+    const unit = unitSelect ? unitSelect.value : 'g';
+
+    if (isNaN(value)) return NaN;
+    if (unit !== 'g' && !filament) return NaN;
+    return Math.round(QuantityUnits[unit].toGrams(value, filament) * 100) / 100;
+}
+
+// Keep the entered amount the same when switching units
+function convertQuantityUnit(unitSelect) {
+    const previousUnit = unitSelect.dataset.unit || 'g';
+    const newUnit = unitSelect.value;
+    unitSelect.dataset.unit = newUnit;
+
+    const row = unitSelect.closest('.print-filament-item, .filament-req-item');
+    const input = row && row.querySelector('.print-filament-weight, .expected-weight');
+    const filament = row && getQuantityRowFilament(row);
+    if (!input || input.value === '' || !filament) return;
+
+    const grams = QuantityUnits[previousUnit].toGrams(parseFloat(input.value), filament);
+    input.value = QuantityUnits[newUnit].fromGrams(grams, filament).toFixed(QuantityUnits[newUnit].decimals);
+    input.placeholder = input.placeholder.replace(/\((g|mm|m)\)/, `(${QuantityUnits[newUnit].label})`);
+
+    if (row.classList.contains('print-filament-item')) {
+        updateTotalWeight();
+    }
+}
+
+// Filament selected in a print filament row or model requirement row
+function getQuantityRowFilament(row) {
+    const select = row.querySelector('.print-filament-select');
+    const search = row.querySelector('.req-search');
+    const id = select ? parseInt(select.value) : parseInt(search && search.dataset.selectedId);
+    return filaments.find(f => f.id === id) || null;
 }
 
 // Collapsible section functionality
@@ -264,6 +550,187 @@ function toggleSection(sectionId) {
     }
 }
 
+// ============================
+// Grid Query Language
+// ============================
+
+/**
+ * Search syntax shared by every data grid:
+ *   red pla                   words match the grid's search text (AND is implied)
+ *   "silk gold"               quoted phrases match as a whole
+ *   brand:esun                field:value matches part of a text field
+ *   weight>500, weight:<=200  comparisons on numeric fields
+ *   weight:200..500           inclusive ranges; either end may be left open
+ *   date:2024-01..2024-03     date ranges and prefixes (date:2024)
+ *   canprint:yes              yes/no fields
+ *   PLA OR PETG, NOT x, -x    boolean operators, grouped with parentheses
+ * Grids declare their fields in getQueryFields(); unknown fields fall back to text search.
+ */
+const GridQuery = {
+    tokenize(query) {
+        const tokens = [];
+        const pattern = /\s*(\(|\)|[^\s()"]*"[^"]*"?|[^\s()]+)/g;
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            tokens.push(match[1]);
+        }
+        return tokens;
+    },
+
+    parse(query) {
+        const tokens = this.tokenize(query);
+        let position = 0;
+        const peek = () => tokens[position];
+
+        const parseOr = () => {
+            const terms = [parseAnd()];
+            while (peek() === 'OR') {
+                position++;
+                terms.push(parseAnd());
+            }
+            return terms.length === 1 ? terms[0] : { type: 'or', terms };
+        };
+        const parseAnd = () => {
+            const terms = [];
+            while (position < tokens.length && peek() !== 'OR' && peek() !== ')') {
+                if (peek() === 'AND') {
+                    position++;
+                    continue;
+                }
+                terms.push(parseNot());
+            }
+            return terms.length === 1 ? terms[0] : { type: 'and', terms };
+        };
+        const parseNot = () => {
+            const token = tokens[position++];
+            if (token === undefined) return { type: 'and', terms: [] };
+            if (token === 'NOT') return { type: 'not', term: parseNot() };
+            if (token === '(') {
+                const inner = parseOr();
+                if (peek() === ')') position++;
+                return inner;
+            }
+            if (token.length > 1 && token.startsWith('-')) return { type: 'not', term: this.parseTerm(token.slice(1)) };
+            return this.parseTerm(token);
+        };
+
+        // Unbalanced closing parentheses are skipped rather than rejected while the user types
+        const terms = [];
+        while (position < tokens.length) {
+            terms.push(parseOr());
+            if (peek() === ')') position++;
+        }
+        return terms.length === 1 ? terms[0] : { type: 'and', terms };
+    },
+
+    parseTerm(token) {
+        const fieldMatch = token.match(/^([a-z][\w.]*)(:|<=|>=|!=|<|>|=)(.*)$/i);
+        if (fieldMatch) {
+            let [, field, operator, value] = fieldMatch;
+            // field:>500 reads the same as field>500
+            const inner = operator === ':' && value.match(/^(<=|>=|!=|<|>|=)(.*)$/);
+            if (inner) [, operator, value] = inner;
+            return { type: 'field', field: field.toLowerCase(), operator, value: this.unquote(value), raw: this.unquote(token) };
+        }
+        return { type: 'text', value: this.unquote(token) };
+    },
+
+    unquote(value) {
+        return value.replace(/"/g, '');
+    },
+
+    resolveField(fields, name) {
+        return fields[name] || Object.values(fields).find(field => (field.aliases || []).includes(name));
+    },
+
+    /**
+     * Compiles a query into a predicate for one grid
+     * @param {string} query - Text typed into the search box
+     * @param {Object} fields - Field definitions: { name: { type, get, aliases } }
+     * @param {Function} getSearchText - Text that plain words are matched against
+     * @returns {Function} item => boolean
+     */
+    compile(query, fields, getSearchText) {
+        const tree = this.parse(query);
+        return item => {
+            let text = null;
+            const getText = () => text ?? (text = String(getSearchText(item) || '').toLowerCase());
+            return this.evaluate(tree, item, fields, getText);
+        };
+    },
+
+    evaluate(node, item, fields, getText) {
+        switch (node.type) {
+            case 'and': return node.terms.every(term => this.evaluate(term, item, fields, getText));
+            case 'or': return node.terms.some(term => this.evaluate(term, item, fields, getText));
+            case 'not': return !this.evaluate(node.term, item, fields, getText);
+            case 'text': return getText().includes(node.value.toLowerCase());
+            default: {
+                const field = this.resolveField(fields, node.field);
+                if (!field) return getText().includes(node.raw.toLowerCase());
+
+                const value = field.get(item);
+                const values = Array.isArray(value) ? value : [value];
+                // On list fields (tags, filaments) != means none of them match
+                if (node.operator === '!=') return !values.some(v => this.matchValue(field.type, v, '=', node.value));
+                return values.some(v => this.matchValue(field.type, v, node.operator, node.value));
+            }
+        }
+    },
+
+    matchValue(type, value, operator, query) {
+        if (type === 'boolean') {
+            if (/^(yes|y|true|1)$/i.test(query)) return Boolean(value);
+            if (/^(no|n|false|0)$/i.test(query)) return !value;
+            return false;
+        }
+
+        if (type === 'number') {
+            if (value === null || value === undefined || value === '' || isNaN(value)) return false;
+            const number = Number(value);
+            // weight:200..500, plus the older weight:200-500 form
+            const range = query.match(/^(-?\d*\.?\d*)\.\.(-?\d*\.?\d*)$/) || query.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+            if (range) {
+                return (range[1] === '' || number >= parseFloat(range[1])) && (range[2] === '' || number <= parseFloat(range[2]));
+            }
+            const target = parseFloat(query);
+            if (isNaN(target)) return false;
+            switch (operator) {
+                case '<': return number < target;
+                case '<=': return number <= target;
+                case '>': return number > target;
+                case '>=': return number >= target;
+                default: return Math.abs(number - target) < 0.01;
+            }
+        }
+
+        if (type === 'date') {
+            if (!value) return false;
+            // ISO strings compare correctly as text; a shorter query (2024-03) matches as a prefix
+            const date = value instanceof Date ? value.toISOString() : String(value);
+            const range = query.match(/^([\d-]*)\.\.([\d-]*)$/);
+            if (range) {
+                return (!range[1] || date >= range[1]) && (!range[2] || date.slice(0, range[2].length) <= range[2]);
+            }
+            const prefix = date.slice(0, query.length);
+            switch (operator) {
+                case '<': return prefix < query;
+                case '<=': return prefix <= query;
+                case '>': return prefix > query;
+                case '>=': return prefix >= query;
+                default: return prefix === query;
+            }
+        }
+
+        const text = String(value ?? '').toLowerCase();
+        return operator === '=' ? text === query.toLowerCase() : text.includes(query.toLowerCase());
+    },
+
+    describeFields(fields) {
+        return `Fields: ${Object.keys(fields).join(', ')}. Syntax: field:value, field>10, field:10..20, A OR B, NOT A, (A OR B) C, "exact phrase"`;
+    }
+};
+
 // Enhanced Data Grid System
 class EnhancedDataGrid {
     constructor(tableId, data, columns) {
@@ -273,9 +740,16 @@ class EnhancedDataGrid {
         this.columns = columns;
         this.currentPage = 1;
         this.itemsPerPage = 25;
-        this.currentSort = { column: null, ascending: true };
+        // Sort keys in priority order: [{ column, ascending }]
+        this.sortKeys = [];
+        this.query = '';
+        // Column keys in display order, and the ones the user has hidden
+        this.columnOrder = columns.map(col => col.key);
+        this.hiddenColumns = [];
         this.filterTimeout = null;
         this.visibleData = [...data];
+        // Ids of checked rows, kept across pages, searches and re-renders
+        this.selectedIds = new Set();
         this.init();
     }
 
@@ -293,7 +767,11 @@ class EnhancedDataGrid {
         const headerRow = table.querySelector('thead tr');
         if (!headerRow) return;
 
-        headerRow.innerHTML = this.columns.map((col, index) => `
+        headerRow.innerHTML = `
+            <th scope="col" class="select-cell">
+                <input type="checkbox" class="grid-select-all" aria-label="Select all matching rows" title="Select every row matching the search and filters, on all pages">
+            </th>
+        ` + this.getVisibleColumns().map((col, index) => `
             <th scope="col" data-sortable="${col.key}" role="columnheader" aria-sort="none" tabindex="0">
                 <span class="header-content">
                     <span class="header-text">${col.label}</span>
@@ -302,48 +780,92 @@ class EnhancedDataGrid {
             </th>
         `).join('');
 
-        // Add click handlers for sorting
+        headerRow.querySelector('.grid-select-all').addEventListener('change', (e) => this.selectAllMatching(e.target.checked));
+
+        // Add click handlers for sorting - shift adds a secondary sort key
         headerRow.querySelectorAll('th[data-sortable]').forEach(header => {
-            header.addEventListener('click', () => this.sort(header));
+            header.addEventListener('click', (e) => this.sort(header, e.shiftKey));
             header.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
-                    this.sort(header);
+                    this.sort(header, e.shiftKey);
                 }
             });
         });
+
+        this.updateSortIndicators();
     }
 
-    sort(header) {
-        const column = header.dataset.sortable;
-        const ascending = this.currentSort.column === column ? !this.currentSort.ascending : true;
+    getVisibleColumns() {
+        return this.columnOrder
+            .map(key => this.columns.find(col => col.key === key))
+            .filter(col => col && !this.hiddenColumns.includes(col.key));
+    }
 
-        this.currentSort = { column, ascending };
-        this.updateSortIndicators(header, ascending);
+    /**
+     * Sets column order and visibility. Columns missing from the layout (e.g. added
+     * after a view was saved) are shown at the end.
+     * @param {Array} layout - [{ key, visible }] in display order
+     */
+    setColumnLayout(layout) {
+        const known = layout.filter(col => this.columns.some(c => c.key === col.key));
+        this.columnOrder = [
+            ...known.map(col => col.key),
+            ...this.columns.map(col => col.key).filter(key => !known.some(col => col.key === key))
+        ];
+        this.hiddenColumns = known.filter(col => col.visible === false).map(col => col.key);
+    }
 
-        const columnIndex = this.columns.findIndex(col => col.key === column);
-        const columnConfig = this.columns[columnIndex];
+    sort(header, additive = false) {
+        const column = header.dataset.sortable;
+        const existing = this.sortKeys.find(key => key.column === column);
 
-        if (columnConfig.sortType === 'number') {
-            this.visibleData.sort((a, b) => {
-                const aVal = this.getNestedValue(a, column) || 0;
-                const bVal = this.getNestedValue(b, column) || 0;
-                return ascending ? aVal - bVal : bVal - aVal;
-            });
+        if (additive) {
+            if (existing) {
+                existing.ascending = !existing.ascending;
+            } else {
+                this.sortKeys.push({ column, ascending: true });
+            }
         } else {
-            this.visibleData.sort((a, b) => {
-                const aVal = String(this.getNestedValue(a, column) || '').toLowerCase();
-                const bVal = String(this.getNestedValue(b, column) || '').toLowerCase();
-                const comparison = aVal.localeCompare(bVal);
-                return ascending ? comparison : -comparison;
-            });
+            const ascending = existing && this.sortKeys[0] === existing ? !existing.ascending : true;
+            this.sortKeys = [{ column, ascending }];
         }
 
+        this.applySort();
+        this.updateSortIndicators();
         this.currentPage = 1;
         this.renderTable();
         this.updateTableInfo();
     }
 
+    applySort() {
+        const comparators = this.sortKeys.map(({ column, ascending }) => {
+            const columnConfig = this.columns.find(col => col.key === column);
+            const direction = ascending ? 1 : -1;
+            if (!columnConfig) return () => 0;
+
+            // Columns whose key is not a plain field supply their own sortValue
+            const value = columnConfig.sortValue || (item => this.getNestedValue(item, column));
+            if (columnConfig.sortType === 'number') {
+                return (a, b) => ((value(a) || 0) - (value(b) || 0)) * direction;
+            }
+            return (a, b) => {
+                const aVal = String(value(a) || '').toLowerCase();
+                const bVal = String(value(b) || '').toLowerCase();
+                return aVal.localeCompare(bVal) * direction;
+            };
+        });
+        if (comparators.length === 0) return;
+
+        this.visibleData.sort((a, b) => {
+            for (const compare of comparators) {
+                const result = compare(a, b);
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+    }
+
     getNestedValue(obj, key) {
         if (!obj || !key || typeof key !== 'string') {
             return undefined;
@@ -351,17 +873,24 @@ class EnhancedDataGrid {
         return key.split('.').reduce((current, prop) => current && current[prop], obj);
     }
 
-    updateSortIndicators(activeHeader, ascending) {
+    updateSortIndicators() {
         const table = document.getElementById(this.tableId);
+        if (!table) return;
+
         table.querySelectorAll('th[data-sortable]').forEach(header => {
-            header.removeAttribute('aria-sort');
+            const index = this.sortKeys.findIndex(key => key.column === header.dataset.sortable);
             const indicator = header.querySelector('.sort-indicator');
-            if (indicator) indicator.textContent = '';
-        });
+            if (index === -1) {
+                header.removeAttribute('aria-sort');
+                if (indicator) indicator.textContent = '';
+                return;
+            }
 
-        activeHeader.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
-        const indicator = activeHeader.querySelector('.sort-indicator');
-        if (indicator) indicator.textContent = ascending ? '▲' : '▼';
+            const ascending = this.sortKeys[index].ascending;
+            header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+            // Number the keys once there is more than one
+            if (indicator) indicator.textContent = `${ascending ? '▲' : '▼'}${this.sortKeys.length > 1 ? index + 1 : ''}`;
+        });
     }
 
     setupSearch() {
@@ -371,15 +900,19 @@ class EnhancedDataGrid {
                 return;
         }
 
+        searchInput.title = GridQuery.describeFields(this.getQueryFields());
+
+        // Not lowercased here - AND, OR and NOT are only operators in capitals
         searchInput.addEventListener('input', (e) => {
             clearTimeout(this.filterTimeout);
             this.filterTimeout = setTimeout(() => {
-                this.filterRows(e.target.value.toLowerCase());
+                this.filterRows(e.target.value);
             }, 300);
         });
 
         searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                clearTimeout(this.filterTimeout);
                 e.target.value = '';
                 this.filterRows('');
                 this.updateSearchResults(this.visibleData.length, '(all)');
@@ -388,26 +921,101 @@ class EnhancedDataGrid {
     }
 
     filterRows(query) {
+        this.query = query;
+        this.applyFilters();
+
+        this.currentPage = 1;
+        this.renderTable();
+        this.updatePagination();
+        this.updateSearchResults(this.visibleData.length, query);
+    }
+
+    // Rebuilds visibleData from the search query, the table's own filters and the sort keys
+    applyFilters() {
         // Ensure data exists before filtering
         if (!this.originalData || !Array.isArray(this.originalData)) {
             this.visibleData = [];
             return;
         }
 
-        if (query.length < 2) {
-            this.visibleData = [...this.originalData];
-        } else {
-            this.visibleData = this.originalData.filter(item => {
-                if (!item) return false;
-                const searchableText = `${this.getNestedValue(item, 'brand')} ${this.getNestedValue(item, 'materialType')} ${this.getNestedValue(item, 'colorName')} ${this.getNestedValue(item, 'color')}`.toLowerCase();
-                return searchableText.includes(query);
-            });
-        }
+        const matches = this.query.trim().length < 2 ?
+            () => true :
+            GridQuery.compile(this.query, this.getQueryFields(), item => this.getSearchText(item));
+        this.visibleData = this.originalData.filter(item => item && matches(item) && this.matchesFilters(item));
+        this.applySort();
+    }
 
-        this.currentPage = 1;
+    // Filters outside the search box, such as the model category chips - overridden by specific tables
+    matchesFilters(item) {
+        return true;
+    }
+
+    // Re-applies filters, sort and columns after data or view changes, staying on the same page if it still exists
+    refresh() {
+        this.applyFilters();
+        this.currentPage = Math.min(this.currentPage, Math.max(1, Math.ceil(this.visibleData.length / this.itemsPerPage)));
+        this.setupTableHeaders();
         this.renderTable();
-        this.updatePagination();
-        this.updateSearchResults(this.visibleData.length, query);
+        this.setupPagination();
+    }
+
+    getDefaultViewState() {
+        return {
+            query: '',
+            sort: [],
+            pageSize: 25,
+            columns: this.columns.map(col => ({ key: col.key, visible: true }))
+        };
+    }
+
+    // Everything a saved view restores - tables with extra filters add to this
+    getViewState() {
+        return {
+            query: this.query,
+            sort: this.sortKeys.map(key => ({ ...key })),
+            pageSize: this.itemsPerPage,
+            columns: this.columnOrder.map(key => ({ key, visible: !this.hiddenColumns.includes(key) }))
+        };
+    }
+
+    setViewState(state) {
+        this.query = state.query || '';
+        this.sortKeys = (state.sort || [])
+            .filter(key => this.columns.some(col => col.key === key.column))
+            .map(key => ({ column: key.column, ascending: key.ascending !== false }));
+        this.itemsPerPage = [10, 25, 50, 100].includes(state.pageSize) ? state.pageSize : 25;
+        this.setColumnLayout(state.columns || []);
+        this.currentPage = 1;
+
+        const searchInput = document.getElementById(`${this.tableId}Search`);
+        if (searchInput) searchInput.value = this.query;
+    }
+
+    applyViewState(state) {
+        this.setViewState(state);
+        this.refresh();
+        this.updateSearchResults(this.visibleData.length, this.query);
+    }
+
+    // The view that was active last session, applied before the first render
+    restoreView() {
+        const view = getActiveGridView(this.tableId);
+        this.setViewState(view ? view.state : this.getDefaultViewState());
+        updateGridViewSelect(this.tableId);
+    }
+
+    // Fields the search box accepts as field:value - overridden by specific tables
+    getQueryFields() {
+        return {
+            brand: { type: 'text', get: item => item.brand },
+            material: { type: 'text', get: item => item.materialType || item.material },
+            color: { type: 'text', get: item => item.colorName || item.color, aliases: ['colour'] }
+        };
+    }
+
+    // Text that plain words in the search are matched against
+    getSearchText(item) {
+        return `${this.getNestedValue(item, 'brand')} ${this.getNestedValue(item, 'materialType')} ${this.getNestedValue(item, 'colorName')} ${this.getNestedValue(item, 'color')}`;
     }
 
     updateSearchResults(count, query) {
@@ -453,6 +1061,7 @@ class EnhancedDataGrid {
             const colspan = document.querySelector(`#${this.tableId} th`)?.parentElement?.children?.length || 1;
             tbody.innerHTML = `<tr><td colspan="${colspan}" class="empty-state">No data available</td></tr>`;
             this.updateTableInfo();
+            this.updateSelection();
             return;
         }
 
@@ -461,7 +1070,33 @@ class EnhancedDataGrid {
         const pageData = this.visibleData.slice(startIndex, endIndex);
 
         tbody.innerHTML = pageData.map(item => this.renderRow(item)).join('');
+        this.applyColumnLayout(tbody);
         this.updateTableInfo();
+        this.updateSelection();
+    }
+
+    // Rows render every column; hidden cells are dropped and the rest put in view order.
+    // The selection checkbox stays first and cells without data-sortable (such as actions) at the end.
+    applyColumnLayout(tbody) {
+        const visible = this.getVisibleColumns().map(col => col.key);
+        if (visible.length === this.columns.length && visible.every((key, i) => key === this.columns[i].key)) return;
+
+        tbody.querySelectorAll('tr').forEach(row => {
+            const cells = {};
+            [...row.children].forEach(cell => {
+                if (cell.dataset.sortable) {
+                    cells[cell.dataset.sortable] = cell;
+                    cell.remove();
+                }
+            });
+            const ordered = visible.map(key => cells[key]).filter(Boolean);
+            const selectCell = row.querySelector('.select-cell');
+            if (selectCell) {
+                selectCell.after(...ordered);
+            } else {
+                row.prepend(...ordered);
+            }
+        });
     }
 
     renderRow(item) {
@@ -469,12 +1104,72 @@ class EnhancedDataGrid {
         return '';
     }
 
+    renderSelectCell(item) {
+        return `
+            <td class="select-cell">
+                <input type="checkbox" ${this.selectedIds.has(item.id) ? 'checked' : ''} onchange="dataGrids.${this.tableId}.toggleSelected(${item.id}, this.checked)" aria-label="Select row">
+            </td>
+        `;
+    }
+
+    toggleSelected(id, selected) {
+        if (selected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        this.updateSelection();
+    }
+
+    // Selects or clears every row matching the current search and filters, not just this page
+    selectAllMatching(selected) {
+        this.visibleData.forEach(item => {
+            if (selected) {
+                this.selectedIds.add(item.id);
+            } else {
+                this.selectedIds.delete(item.id);
+            }
+        });
+        this.renderTable();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.renderTable();
+    }
+
+    getSelectedItems() {
+        return this.data.filter(item => this.selectedIds.has(item.id));
+    }
+
+    // Syncs the select-all checkbox and the bulk action bar with the selection
+    updateSelection() {
+        // Rows deleted (or undone away) since they were checked drop out of the selection
+        const ids = new Set(this.data.map(item => item.id));
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+
+        const selectAll = document.querySelector(`#${this.tableId} .grid-select-all`);
+        if (selectAll) {
+            const selectedVisible = this.visibleData.filter(item => this.selectedIds.has(item.id)).length;
+            selectAll.checked = selectedVisible > 0 && selectedVisible === this.visibleData.length;
+            selectAll.indeterminate = selectedVisible > 0 && !selectAll.checked;
+        }
+
+        const bulkBar = document.getElementById(`${this.tableId}Bulk`);
+        if (bulkBar) {
+            bulkBar.style.display = this.selectedIds.size > 0 ? '' : 'none';
+            bulkBar.querySelector('.bulk-count').textContent = `${this.selectedIds.size} selected`;
+        }
+    }
+
     setupPagination() {
         const totalPages = Math.ceil(this.visibleData.length / this.itemsPerPage);
 
         // Update static HTML navigation buttons (filamentGridNext, modelGridNext, etc.)
-        const prevButtonId = this.tableId === 'filamentTable' ? 'filamentGridPrev' : 'modelGridPrev';
-        const nextButtonId = this.tableId === 'filamentTable' ? 'filamentGridNext' : 'modelGridNext';
+        const prevButtonId = this.tableId === 'filamentTable' ? 'filamentGridPrev' : this.tableId === 'modelTable' ? 'modelGridPrev' : `${this.tableId}GridPrev`;
+        const nextButtonId = this.tableId === 'filamentTable' ? 'filamentGridNext' : this.tableId === 'modelTable' ? 'modelGridNext' : `${this.tableId}GridNext`;
 
         const prevButton = document.getElementById(prevButtonId);
         const nextButton = document.getElementById(nextButtonId);
@@ -622,6 +1317,15 @@ class EnhancedDataGrid {
 // Global data grids registry
 window.dataGrids = {};
 
+// Cells of the filament table that can be edited in place, and how arrow keys move between them
+const InlineEditFields = {
+    weight: { label: 'weight', ariaLabel: 'Weight in grams' },
+    location: { label: 'location', ariaLabel: 'Storage location' },
+    inStock: { label: 'stock status', ariaLabel: 'Stock status' }
+};
+
+const InlineEditMoves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
 // Filament Table Implementation
 class FilamentTable extends EnhancedDataGrid {
     constructor() {
@@ -633,22 +1337,242 @@ class FilamentTable extends EnhancedDataGrid {
             { key: 'location', label: 'Location', sortType: 'text' },
             { key: 'inStock', label: 'Status', sortType: 'text' }
         ]);
+
+        // Remaining filament can be shown as weight or length; sorting always uses grams
+        this.weightUnit = localStorage.getItem('printStack_filamentWeightUnit') || 'g';
+        this.updateWeightHeader();
+
+        // { id, field, editor, html } while a cell is being edited in place
+        this.inlineEdit = null;
+    }
+
+    init() {
+        super.init();
+        this.setupInlineEditing();
+    }
+
+    // Double-click, Enter or F2 edits a cell; arrow keys move between editable cells
+    setupInlineEditing() {
+        const tbody = document.querySelector(`#${this.tableId} tbody`);
+        if (!tbody || tbody.dataset.inlineEditing) return;
+        tbody.dataset.inlineEditing = 'true';
+
+        tbody.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('td[data-editable]');
+            if (cell && !this.inlineEdit) this.startInlineEdit(cell);
+        });
+
+        tbody.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('td[data-editable]');
+            if (!cell || e.target !== cell || this.inlineEdit) return;
+
+            if (e.key === 'Enter' || e.key === 'F2') {
+                e.preventDefault();
+                this.startInlineEdit(cell);
+            } else if (InlineEditMoves[e.key]) {
+                e.preventDefault();
+                this.focusEditableCell(cell, ...InlineEditMoves[e.key]);
+            }
+        });
+    }
+
+    /**
+     * Focuses the editable cell rowStep rows and colStep editable cells away on this page.
+     * Moving past the last cell of a row continues on the next row, as Tab does in a spreadsheet.
+     * @returns {HTMLElement|null} The focused cell
+     */
+    focusEditableCell(cell, rowStep, colStep) {
+        const row = cell.closest('tr');
+        const rows = [...row.parentElement.querySelectorAll('tr[data-id]')];
+        const fields = [...row.querySelectorAll('td[data-editable]')].map(td => td.dataset.editable);
+
+        let rowIndex = rows.indexOf(row) + rowStep;
+        let colIndex = fields.indexOf(cell.dataset.editable) + colStep;
+        if (colIndex < 0) {
+            colIndex = fields.length - 1;
+            rowIndex--;
+        } else if (colIndex >= fields.length) {
+            colIndex = 0;
+            rowIndex++;
+        }
+
+        const target = rows[rowIndex] ? rows[rowIndex].querySelector(`td[data-editable="${fields[colIndex]}"]`) : null;
+        if (target) target.focus();
+        return target;
+    }
+
+    startInlineEdit(cell) {
+        const filament = this.data.find(f => String(f.id) === cell.closest('tr').dataset.id);
+        if (!filament) return;
+
+        const field = cell.dataset.editable;
+        const spoolCount = getFilamentSpools(filament.id).length;
+        if (field === 'weight' && spoolCount > 1) {
+            showWarningMessage(`${filament.brand} ${filament.color} has ${spoolCount} spools - change their weights under 🧵 Spools`);
+            return;
+        }
+
+        // Weight is edited in the unit the column shows
+        const unit = QuantityUnits[this.weightUnit];
+        this.inlineEdit = { id: filament.id, field, html: cell.innerHTML };
+        cell.classList.add('inline-editing');
+        cell.innerHTML = field === 'inStock' ?
+            `<select class="inline-editor">
+                <option value="true">In Stock</option>
+                <option value="false">Out of Stock</option>
+            </select>` :
+            `<input class="inline-editor" ${field === 'weight' ? `type="number" step="any" min="0" title="Amount in ${unit.label}"` : 'type="text"'}>`;
+
+        // Values are set as properties so quotes in a location need no escaping
+        const editor = cell.querySelector('.inline-editor');
+        editor.setAttribute('aria-label', InlineEditFields[field].ariaLabel);
+        editor.value = field === 'inStock' ? String(!!filament.inStock) :
+            (field === 'weight' ? unit.fromGrams(filament.weight || 0, filament).toFixed(unit.decimals) : filament.location || '');
+        this.inlineEdit.editor = editor;
+        this.inlineEdit.initialValue = editor.value;
+
+        editor.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.endInlineEdit([0, 0]);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitInlineEdit(e.shiftKey ? [-1, 0] : [1, 0]);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.commitInlineEdit([0, e.shiftKey ? -1 : 1]);
+            }
+        });
+        // Clicking elsewhere keeps a valid change, like leaving a spreadsheet cell
+        editor.addEventListener('blur', () => {
+            if (this.inlineEdit && this.inlineEdit.editor === editor) this.commitInlineEdit(null);
+        });
+
+        editor.focus();
+        if (editor.select) editor.select();
+    }
+
+    // Puts the cell back as it was and, unless move is null, focuses the cell move away from it
+    endInlineEdit(move) {
+        const { editor, html } = this.inlineEdit;
+        this.inlineEdit = null;
+
+        const cell = editor.closest('td');
+        if (!cell) return;
+        cell.classList.remove('inline-editing');
+        cell.innerHTML = html;
+        if (move && !this.focusEditableCell(cell, ...move)) cell.focus();
+    }
+
+    /**
+     * Validates and saves the cell being edited as its own undoable change
+     * @param {Array|null} move - [rowStep, colStep] to the next cell, or null when focus left the table
+     */
+    commitInlineEdit(move) {
+        const { id, field, editor, initialValue } = this.inlineEdit;
+        const filament = filaments.find(f => f.id === id);
+        const rawValue = editor.value.trim();
+        if (!filament) {
+            this.endInlineEdit(null);
+            return;
+        }
+        // Converting a length back to grams can drift by a rounding step, so an untouched cell is left alone
+        if (rawValue === initialValue) {
+            this.endInlineEdit(move);
+            return;
+        }
+
+        // Stock status comes from a select, so only weight and location have rules.
+        // Weight may be 0 here, unlike in the add form, because a spool can be used up.
+        const grams = field === 'weight' ?
+            Math.round(QuantityUnits[this.weightUnit].toGrams(parseFloat(rawValue), filament) * 100) / 100 : null;
+        const validation = field === 'weight' ?
+            (grams >= 0 && grams <= ValidationRules.weight.max ?
+                { valid: true } :
+                { valid: false, message: `Weight must be between 0g and ${ValidationRules.weight.max.toLocaleString()}g` }) :
+            validateField(field, rawValue);
+        if (!validation.valid) {
+            showErrorMessage(validation.message);
+            AccessibilityNotifications.announceError(InlineEditFields[field].label, validation.message);
+            if (move) {
+                editor.classList.add('form-error');
+                editor.setAttribute('aria-invalid', 'true');
+                editor.focus();
+            } else {
+                this.endInlineEdit(null);
+            }
+            return;
+        }
+
+        const value = field === 'weight' ? grams : (field === 'inStock' ? rawValue === 'true' : rawValue);
+        const current = field === 'weight' ? filament.weight || 0 : (field === 'inStock' ? !!filament.inStock : filament.location || '');
+        if (value === current) {
+            this.endInlineEdit(move);
+            return;
+        }
+
+        this.inlineEdit = null;
+        const label = InlineEditFields[field].label;
+        const pending = UndoHistory.begin(`Edit ${filament.brand} ${filament.color} ${label}`, field === 'weight' ? ['filaments', 'spools'] : ['filaments']);
+
+        if (field === 'weight') {
+            // A single spool holds the whole weight, so the change goes to it
+            const previousWeight = filament.weight || 0;
+            const [spool] = getFilamentSpools(filament.id);
+            if (spool) {
+                setSpoolRemaining(spool, value);
+                syncFilamentWeight(filament);
+            } else {
+                filament.weight = value;
+            }
+            InventoryService.recordAdjustment(filament, filament.weight - previousWeight, 'edit', spool ? describeSpool(spool) : null);
+        } else {
+            filament[field] = value;
+        }
+        filament.lastModified = new Date().toISOString();
+
+        saveData();
+        updateAllTables();
+        commitUndoable(pending, `${filament.brand} ${filament.color} ${label} updated`);
+
+        // The table was re-rendered; the row may also have left the current search
+        const cell = document.querySelector(`#${this.tableId} tr[data-id="${id}"] td[data-editable="${field}"]`);
+        if (cell && move && !this.focusEditableCell(cell, ...move)) cell.focus();
+    }
+
+    setWeightUnit(unit) {
+        this.weightUnit = QuantityUnits[unit] ? unit : 'g';
+        localStorage.setItem('printStack_filamentWeightUnit', this.weightUnit);
+        this.updateWeightHeader();
+        this.renderTable();
+    }
+
+    updateWeightHeader() {
+        const label = this.weightUnit === 'g' ? 'Weight (g)' : `Length (${QuantityUnits[this.weightUnit].label})`;
+        this.columns.find(col => col.key === 'weight').label = label;
+
+        const headerText = document.querySelector(`#${this.tableId} th[data-sortable="weight"] .header-text`);
+        if (headerText) headerText.textContent = label;
+
+        const unitSelect = document.getElementById('filamentWeightUnit');
+        if (unitSelect) unitSelect.value = this.weightUnit;
     }
 
     updateData() {
         this.data = filaments || [];
         this.originalData = [...this.data];
-        this.visibleData = [...this.data];
-        this.currentPage = 1;
 
         // Check if initialization has been done
         const table = document.getElementById(this.tableId);
         if (table && !table.dataset.initialized) {
+            this.restoreView();
+            this.applyFilters();
             this.init();
             table.dataset.initialized = 'true';
         } else {
-            this.renderTable();
-            this.setupPagination();
+            // Keep the search, sort and page the user was on
+            this.refresh();
         }
     }
 
@@ -662,15 +1586,26 @@ class FilamentTable extends EnhancedDataGrid {
             <span class="color-name">${item.colorName || item.color || 'Unknown'}</span>
         `;
 
+        const reorderBadge = isFilamentBelowReorder(item) ?
+            ' <span class="badge badge-warning" title="Below its reorder threshold - see Reorder Alerts">Reorder</span>' : '';
+
+        const spoolCount = getDrawableSpools(item.id).length;
+        const reserved = getReservedWeight(item.id);
+        // Set after super() has already rendered once, so default to grams
+        const weightUnit = this.weightUnit || 'g';
+
         return `
             <tr data-id="${item.id}">
+                ${this.renderSelectCell(item)}
                 <td data-sortable="brand">${item.brand || 'Unknown'}</td>
                 <td data-sortable="materialType">${item.materialType || item.material || 'Unknown'}</td>
                 <td data-sortable="color">${colorDisplay}</td>
-                <td data-sortable="weight" data-sort-value="${item.weight || 0}">${(item.weight || 0).toFixed(1)}</td>
-                <td data-sortable="location">${item.location || 'Not specified'}</td>
-                <td data-sortable="inStock" class="status-cell">${stockStatus}</td>
+                <td data-sortable="weight" data-sort-value="${item.weight || 0}" data-editable="weight" tabindex="0" title="Double-click or press Enter to edit">${weightUnit === 'g' ? (item.weight || 0).toFixed(1) : formatQuantity(item.weight, item, weightUnit)}${spoolCount > 1 ? ` <small class="spool-count">(${spoolCount} spools)</small>` : ''}${reserved > 0 ? `<div class="reserved-weight" title="${formatQuantity(reserved, item, weightUnit)} reserved by queued jobs">${formatQuantity(Math.max(0, InventoryService.getStock(item).available), item, weightUnit)} free</div>` : ''}</td>
+                <td data-sortable="location" data-editable="location" tabindex="0" title="Double-click or press Enter to edit">${item.location || 'Not specified'}</td>
+                <td data-sortable="inStock" class="status-cell" data-editable="inStock" tabindex="0" title="Double-click or press Enter to edit">${stockStatus}${reorderBadge}</td>
                 <td class="actions">
+                    <button onclick="openSpoolsModal(${item.id})" aria-label="Spools of ${item.brand || 'Unknown'} filament" class="btn-icon">🧵</button>
+                    <button onclick="openFilamentLedger(${item.id})" aria-label="Weight history for ${item.brand || 'Unknown'} filament" class="btn-icon">📜</button>
                     <button onclick="editFilament(${item.id})" aria-label="Edit ${item.brand || 'Unknown'} filament" class="btn-icon">✏️</button>
                     <button onclick="deleteFilament(${item.id})" aria-label="Delete ${item.brand || 'Unknown'} filament" class="btn-icon btn-danger">🗑️</button>
                 </td>
@@ -678,48 +1613,26 @@ class FilamentTable extends EnhancedDataGrid {
         `;
     }
 
-    filterRows(query) {
-        if (query.length < 2) {
-            this.visibleData = [...this.originalData];
-        } else {
-            this.visibleData = this.originalData.filter(item => {
-                const searchableText = `${item.brand} ${item.materialType} ${item.material} ${item.colorName} ${item.color} ${item.location}`.toLowerCase();
-
-                // Check for mathematical operators for weight filtering
-                const weightMatch = query.match(/^(weight|weight:)([<>=]=?|=|!=)\s*(\d+(?:\.\d+)?)$/i);
-                if (weightMatch) {
-                    const [, field, operator, value] = weightMatch;
-                    const weight = parseFloat(value);
-                    const itemWeight = item.weight || 0;
-
-                    switch (operator) {
-                        case '<': return itemWeight < weight;
-                        case '<=': return itemWeight <= weight;
-                        case '>': return itemWeight > weight;
-                        case '>=': return itemWeight >= weight;
-                        case '=': case '==': return Math.abs(itemWeight - weight) < 0.01;
-                        case '!=': return Math.abs(itemWeight - weight) >= 0.01;
-                        default: return searchableText.includes(query);
-                    }
-                }
-
-                // Check for range queries like "weight:100-500"
-                const rangeMatch = query.match(/^(weight|weight:)(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/i);
-                if (rangeMatch) {
-                    const [, field, min, max] = rangeMatch;
-                    const itemWeight = item.weight || 0;
-                    return itemWeight >= parseFloat(min) && itemWeight <= parseFloat(max);
-                }
-
-                // Default text search
-                return searchableText.includes(query);
-            });
-        }
+    getQueryFields() {
+        return {
+            brand: { type: 'text', get: item => item.brand },
+            material: { type: 'text', get: item => item.materialType || item.material, aliases: ['type'] },
+            color: { type: 'text', get: item => item.colorName || item.color, aliases: ['colour'] },
+            location: { type: 'text', get: item => item.location, aliases: ['loc'] },
+            weight: { type: 'number', get: item => item.weight || 0 },
+            available: { type: 'number', get: item => InventoryService.getStock(item).available, aliases: ['free'] },
+            reserved: { type: 'number', get: item => getReservedWeight(item.id) },
+            spools: { type: 'number', get: item => getDrawableSpools(item.id).length },
+            diameter: { type: 'number', get: item => item.diameter },
+            price: { type: 'number', get: item => item.purchasePrice },
+            purchased: { type: 'date', get: item => item.purchaseDate, aliases: ['date'] },
+            instock: { type: 'boolean', get: item => item.inStock, aliases: ['stock'] },
+            reorder: { type: 'boolean', get: item => isFilamentBelowReorder(item) }
+        };
+    }
 
-        this.currentPage = 1;
-        this.renderTable();
-        this.updatePagination();
-        this.updateSearchResults(this.visibleData.length, query);
+    getSearchText(item) {
+        return `${item.brand} ${item.materialType} ${item.material} ${item.colorName} ${item.color} ${item.location}`;
     }
 }
 
@@ -736,22 +1649,50 @@ class ModelsTable extends EnhancedDataGrid {
             { key: 'link', label: 'Link/Notes', sortType: 'text' },
             { key: 'actions', label: 'Actions', sortType: 'text' }
         ]);
+
+        // Active category chip, null for all
+        this.category = null;
+    }
+
+    matchesFilters(item) {
+        return !this.category || item.category === this.category;
+    }
+
+    setCategory(category) {
+        this.category = category || null;
+        this.currentPage = 1;
+        this.refresh();
+        markActiveCategoryChip(this.category);
+    }
+
+    getDefaultViewState() {
+        return { ...super.getDefaultViewState(), category: null };
+    }
+
+    getViewState() {
+        return { ...super.getViewState(), category: this.category };
+    }
+
+    setViewState(state) {
+        super.setViewState(state);
+        this.category = state.category || null;
+        markActiveCategoryChip(this.category);
     }
 
     updateData() {
         this.data = models || [];
         this.originalData = [...this.data];
-        this.visibleData = [...this.data];
-        this.currentPage = 1;
 
         // Check if initialization has been done
         const table = document.getElementById(this.tableId);
         if (table && !table.dataset.initialized) {
+            this.restoreView();
+            this.applyFilters();
             this.init();
             table.dataset.initialized = 'true';
         } else {
-            this.renderTable();
-            this.setupPagination();
+            // Keep the search, sort and page the user was on
+            this.refresh();
         }
     }
 
@@ -773,6 +1714,9 @@ class ModelsTable extends EnhancedDataGrid {
                     </div>
                 `;
             }).join('') : '<span class="text-muted">No filaments specified</span>';
+        const modelCost = calculateModelCost(item);
+        const costDisplay = modelCost > 0 ?
+            `<div class="model-cost" title="Material cost - ${CostBasisMethods[costBasisMethod]}">$${modelCost.toFixed(2)}</div>` : '';
 
         const categoryDisplay = item.category ?
             `<span class="model-category">${item.category}</span>` :
@@ -791,14 +1735,18 @@ class ModelsTable extends EnhancedDataGrid {
         const canPrint = canPrintModel(item);
         const canPrintDisplay = canPrint.canPrint ?
             `<span class="badge badge-success" title="Can print ${canPrint.canPrintCount > 1 ? `${canPrint.canPrintCount} times` : 'once'}">✓ ${canPrint.canPrintCount > 1 ? `(${canPrint.canPrintCount})` : ''}</span>` :
-            '<span class="badge badge-error" title="Cannot print - insufficient filament">✗</span>';
+            `<span class="badge badge-error" title="Cannot print - ${canPrint.missingRequirements.join(', ')}">✗</span>`;
 
         return `
             <tr data-id="${item.id}">
-                <td data-sortable="name">${item.name || 'Unknown'}</td>
+                ${this.renderSelectCell(item)}
+                <td data-sortable="name">
+                    ${item.mesh && item.mesh.thumbnail ? `<img src="${item.mesh.thumbnail}" class="model-thumbnail" alt="" loading="lazy">` : ''}
+                    ${item.name || 'Unknown'}
+                </td>
                 <td data-sortable="category">${categoryDisplay}</td>
                 <td data-sortable="difficulty">${difficultyDisplay}</td>
-                <td data-sortable="requirements">${requirementsDisplay}</td>
+                <td data-sortable="requirements">${requirementsDisplay}${costDisplay}</td>
                 <td data-sortable="printTime">${printTimeDisplay}</td>
                 <td data-sortable="canPrint">${canPrintDisplay}</td>
                 <td data-sortable="link">
@@ -811,26 +1759,240 @@ class ModelsTable extends EnhancedDataGrid {
                 </td>
                 <td data-sortable="actions" class="actions">
                     <button onclick="editModel(${item.id})" aria-label="Edit ${item.name || 'Unknown'} model" class="btn-icon">✏️</button>
+                    <button onclick="openModelMesh(${item.id})" aria-label="${item.mesh ? 'View' : 'Attach'} mesh for ${item.name || 'Unknown'}" title="${item.mesh ? item.mesh.fileName : 'Attach STL/OBJ'}" class="btn-icon">🧊</button>
                     <button onclick="deleteModel(${item.id})" aria-label="Delete ${item.name || 'Unknown'} model" class="btn-icon btn-danger">🗑️</button>
                 </td>
             </tr>
         `;
     }
 
-    filterRows(query) {
-        if (query.length < 2) {
-            this.visibleData = [...this.originalData];
+    getQueryFields() {
+        const requirements = item => item.requirements || [];
+        return {
+            name: { type: 'text', get: item => item.name },
+            category: { type: 'text', get: item => item.category },
+            difficulty: { type: 'text', get: item => item.difficulty },
+            tag: { type: 'text', get: item => item.tags || [], aliases: ['tags'] },
+            notes: { type: 'text', get: item => item.notes },
+            link: { type: 'text', get: item => item.link },
+            material: { type: 'text', get: item => requirements(item).map(req => req.materialType || req.material) },
+            color: { type: 'text', get: item => requirements(item).map(req => req.color), aliases: ['colour'] },
+            filament: { type: 'text', get: item => requirements(item).map(req => `${req.color} ${req.materialType || req.material}`), aliases: ['filaments'] },
+            time: { type: 'number', get: item => item.printTime, aliases: ['printtime'] },
+            weight: { type: 'number', get: item => calculateTotalExpectedUsage(item) },
+            cost: { type: 'number', get: item => calculateModelCost(item) },
+            prints: { type: 'number', get: item => new Set(getModelPrintAllocations(item).map(entry => entry.print)).size },
+            added: { type: 'date', get: item => item.addedDate },
+            canprint: { type: 'boolean', get: item => canPrintModel(item).canPrint }
+        };
+    }
+
+    getSearchText(item) {
+        const requirements = (item.requirements || []).map(req => `${req.color} ${req.materialType || req.material}`).join(' ');
+        return `${item.name} ${item.category || ''} ${item.difficulty || ''} ${requirements} ${item.notes || ''} ${item.tags ? item.tags.join(' ') : ''} ${item.link || ''}`;
+    }
+}
+
+// Ranks for sorting and filtering by print quality, best first
+const QualityRanks = { excellent: 4, good: 3, fair: 2, poor: 1 };
+
+// Print History Table Implementation
+class PrintsTable extends EnhancedDataGrid {
+    constructor() {
+        super('printTable', [], [
+            { key: 'date', label: 'Date', sortType: 'text' },
+            { key: 'modelName', label: 'Model', sortType: 'text' },
+            { key: 'printer', label: 'Printer', sortType: 'text', sortValue: item => getPrintPrinterName(item) },
+            { key: 'qualityRating', label: 'Quality', sortType: 'number', sortValue: item => QualityRanks[item.qualityRating] || 0 },
+            { key: 'weight', label: 'Usage', sortType: 'number' },
+            { key: 'variance', label: 'Variance', sortType: 'number', sortValue: item => item.usageVariance ? item.usageVariance.variance : null },
+            { key: 'actions', label: 'Action', sortType: 'text' }
+        ]);
+
+        // Filters from the controls above the table; empty values are ignored
+        this.filters = this.getDefaultFilters();
+        this.expandedIds = new Set();
+    }
+
+    getDefaultFilters() {
+        return { from: '', to: '', quality: '', printerId: '', filamentId: '', minVariance: null };
+    }
+
+    updateData() {
+        this.data = prints || [];
+        this.originalData = [...this.data];
+
+        // Check if initialization has been done
+        const table = document.getElementById(this.tableId);
+        if (table && !table.dataset.initialized) {
+            this.restoreView();
+            this.applyFilters();
+            this.init();
+            table.dataset.initialized = 'true';
         } else {
-            this.visibleData = this.originalData.filter(item => {
-                const searchableText = `${item.name} ${item.category || ''} ${item.difficulty || ''} ${item.requirements || ''} ${item.notes || ''} ${item.tags ? item.tags.join(' ') : ''} ${item.link || ''}`.toLowerCase();
-                return searchableText.includes(query);
-            });
+            // Keep the search, sort and page the user was on
+            this.refresh();
         }
+    }
+
+    matchesFilters(item) {
+        const { from, to, quality, printerId, filamentId, minVariance } = this.filters;
+        if (from && item.date < from) return false;
+        if (to && item.date > to) return false;
+        if (quality === 'unrated' ? item.qualityRating : quality && item.qualityRating !== quality) return false;
+        if (printerId && String(item.printerId) !== printerId) return false;
+        if (filamentId && !(item.filaments || []).some(pf => String(pf.filamentId) === filamentId)) return false;
+        if (minVariance !== null && !(item.usageVariance && Math.abs(item.usageVariance.variance) >= minVariance)) return false;
+        return true;
+    }
 
+    setFilters(filters) {
+        this.filters = { ...this.getDefaultFilters(), ...filters };
         this.currentPage = 1;
+        this.refresh();
+        this.updateSearchResults(this.visibleData.length, this.query);
+    }
+
+    getDefaultViewState() {
+        return { ...super.getDefaultViewState(), sort: [{ column: 'date', ascending: false }], filters: this.getDefaultFilters() };
+    }
+
+    getViewState() {
+        return { ...super.getViewState(), filters: { ...this.filters } };
+    }
+
+    setViewState(state) {
+        super.setViewState(state);
+        this.filters = { ...this.getDefaultFilters(), ...(state.filters || {}) };
+        showPrintFilters(this.filters);
+    }
+
+    getQueryFields() {
+        return {
+            model: { type: 'text', get: item => getPrintLines(item).map(line => line.modelName), aliases: ['name'] },
+            printer: { type: 'text', get: item => getPrintPrinterName(item) },
+            date: { type: 'date', get: item => item.date },
+            quality: { type: 'text', get: item => item.qualityRating },
+            outcome: { type: 'text', get: item => getPrintOutcome(item) },
+            reason: { type: 'text', get: item => item.failureReason ? FailureReasons[item.failureReason] || item.failureReason : '' },
+            failed: { type: 'boolean', get: item => getPrintOutcome(item) !== 'success' },
+            filament: { type: 'text', get: item => (item.filaments || []).map(pf => `${pf.color} ${pf.material}`), aliases: ['color', 'colour', 'material'] },
+            weight: { type: 'number', get: item => item.weight, aliases: ['usage'] },
+            variance: { type: 'number', get: item => item.usageVariance ? item.usageVariance.variance : null },
+            copies: { type: 'number', get: item => getPrintLines(item).reduce((sum, line) => sum + line.quantity, 0) },
+            duration: { type: 'number', get: item => item.printDuration, aliases: ['hours'] },
+            notes: { type: 'text', get: item => item.printNotes }
+        };
+    }
+
+    getSearchText(item) {
+        const filamentText = (item.filaments || []).map(pf => `${pf.color} ${pf.material}`).join(' ');
+        return `${describePrintLines(getPrintLines(item))} ${getPrintPrinterName(item)} ${item.date} ${item.qualityRating || ''} ${filamentText} ${item.printNotes || ''}`;
+    }
+
+    toggleDetail(id) {
+        if (this.expandedIds.has(id)) {
+            this.expandedIds.delete(id);
+        } else {
+            this.expandedIds.add(id);
+        }
         this.renderTable();
-        this.setupPagination();
-        this.updateSearchResults(this.visibleData.length, query);
+    }
+
+    renderRow(item) {
+        // Handle both legacy (single color) and new (multiple filaments) formats
+        const printer = printers.find(x => x.id === item.printerId);
+        const printerDisplay = printer ? printer.name :
+            (item.printerName ? `<span class="text-muted" title="Printer no longer registered">${item.printerName}</span>` : '<span class="text-muted">—</span>');
+
+        // Generate quality rating display
+        let qualityDisplay = '<span class="text-muted">—</span>';
+        if (item.qualityRating) {
+            const qualityClass = `quality-${item.qualityRating}`;
+            const qualityText = item.qualityRating.charAt(0).toUpperCase() + item.qualityRating.slice(1);
+            qualityDisplay = `<span class="quality-indicator ${qualityClass}" title="Print quality: ${qualityText}">${qualityText.substring(0, 3)}</span>`;
+        }
+
+        // Generate usage and variance display
+        const usageDisplay = `<div class="usage-compact">${item.weight.toFixed(1)}g</div>`;
+        let varianceDisplay = '<span class="text-muted">—</span>';
+
+        if (item.usageVariance) {
+            const variance = item.usageVariance.variance;
+            const varianceClass = variance === 0 ? 'variance-neutral' : (variance > 0 ? 'variance-positive' : 'variance-negative');
+            const varianceSymbol = variance === 0 ? '±' : (variance > 0 ? '+' : '');
+            varianceDisplay = `<div class="variance-display ${varianceClass}" title="Expected: ${item.usageVariance.expected.toFixed(1)}g, Actual: ${item.usageVariance.actual.toFixed(1)}g">
+                <span>${varianceSymbol}${variance.toFixed(1)}%</span>
+            </div>`;
+        }
+
+        const expanded = this.expandedIds.has(item.id);
+        return `
+            <tr data-id="${item.id}" class="${expanded ? 'print-row-expanded' : ''}">
+                ${this.renderSelectCell(item)}
+                <td data-sortable="date">
+                    <button type="button" class="btn-icon print-detail-toggle" onclick="dataGrids.printTable.toggleDetail(${item.id})" aria-expanded="${expanded}" aria-label="${expanded ? 'Hide' : 'Show'} print details">${expanded ? '▾' : '▸'}</button>
+                    ${item.date}
+                </td>
+                <td data-sortable="modelName">${describePrintLines(getPrintLines(item))}${getPrintOutcome(item) !== 'success' ? `<div>${describePrintOutcome(item)}</div>` : ''}</td>
+                <td data-sortable="printer">${printerDisplay}</td>
+                <td data-sortable="qualityRating">${qualityDisplay}</td>
+                <td data-sortable="weight">${usageDisplay}</td>
+                <td data-sortable="variance">${varianceDisplay}</td>
+                <td data-sortable="actions" class="actions">
+                    <button class="edit-btn" onclick="editPrint(${item.id})">Edit</button>
+                    <button class="delete-btn" onclick="deletePrint(${item.id})">Delete</button>
+                </td>
+            </tr>
+            ${expanded ? this.renderDetailRow(item) : ''}
+        `;
+    }
+
+    // Notes and the weight taken from each filament, shown under an expanded row
+    renderDetailRow(item) {
+        let filamentRows;
+        if (item.filaments && item.filaments.length > 0) {
+            filamentRows = item.filaments.map(pf => {
+                const filament = filaments.find(f => f.id === pf.filamentId);
+                const spoolCount = (pf.spoolDraws || []).length;
+                return `
+                    <tr>
+                        <td><span class="color-swatch" style="background:${pf.colorHex || (filament && filament.colorHex) || '#ccc'}"></span> ${filament ? `${filament.brand} ` : ''}${pf.color} (${pf.material})</td>
+                        <td>${pf.weight.toFixed(1)}g</td>
+                        <td>${spoolCount > 1 ? `from ${spoolCount} spools` : ''}</td>
+                    </tr>
+                `;
+            }).join('');
+        } else {
+            // Legacy single color format
+            filamentRows = `<tr><td>${item.color || 'Unknown'}</td><td>${item.weight.toFixed(1)}g</td><td></td></tr>`;
+        }
+
+        const lines = allocatePrintUsage(item);
+        return `
+            <tr class="print-detail-row">
+                <td colspan="${this.getVisibleColumns().length + 1}">
+                    <div class="print-detail">
+                        <div>
+                            <h4>Filaments</h4>
+                            <table class="print-detail-table">${filamentRows}</table>
+                        </div>
+                        ${lines.length > 1 ? `
+                        <div>
+                            <h4>Models</h4>
+                            <table class="print-detail-table">
+                                ${lines.map(line => `<tr><td>${line.modelName} ×${line.quantity}</td><td>${line.weight.toFixed(1)}g</td></tr>`).join('')}
+                            </table>
+                        </div>` : ''}
+                        <div>
+                            <h4>Notes</h4>
+                            <p>${item.printNotes ? escapeHtml(item.printNotes) : '<span class="text-muted">No notes</span>'}</p>
+                            ${item.printDuration ? `<p class="text-muted">Print time: ${item.printDuration}h</p>` : ''}
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `;
     }
 }
 
@@ -845,86 +2007,551 @@ function initializeDataGrids() {
     window.dataGrids.modelsTable = modelsGrid;
 }
 
-// Print Filament Management Functions
-function addPrintFilament() {
-    document.getElementById('printFilamentsContainer').appendChild(createPrintFilamentSearchBox());
+// ============================
+// Saved Grid Views
+// ============================
+
+// { [tableId]: { views: [{ id, name, state, savedAt }], activeId } }
+let gridViews = {};
+
+function saveGridViews() {
+    localStorage.setItem('printStack_gridViews', JSON.stringify(gridViews));
 }
 
-function removePrintFilament(btn) {
-    try {
-        const container = btn.closest('#printFilamentsContainer');
-        if (!container || !container.children || container.children.length <= 1) {
-            showErrorMessage('Print must have at least one filament');
-            return;
+function loadGridViews() {
+    const saved = localStorage.getItem('printStack_gridViews');
+    if (saved) {
+        try {
+            gridViews = JSON.parse(saved);
+        } catch (e) {
+            gridViews = {};
         }
+    }
+}
 
-        const item = btn.closest('.print-filament-item');
-        if (item) {
-            item.remove();
-            updateTotalWeight(); // Recalculate total weight after removal
-        }
-    } catch (error) {
-        showErrorMessage('Error removing filament');
+function getGridViewEntry(tableId) {
+    if (!gridViews[tableId]) {
+        gridViews[tableId] = { views: [], activeId: null };
     }
+    return gridViews[tableId];
 }
 
-function createPrintFilamentSearchBox(selectedId = null, selectedWeight = null) {
-    const div = document.createElement('div');
-    div.className = 'print-filament-item';
+function getActiveGridView(tableId) {
+    const entry = gridViews[tableId];
+    return entry ? entry.views.find(view => view.id === entry.activeId) || null : null;
+}
 
-    const weightDisplay = selectedWeight || '';
+function updateGridViewSelect(tableId) {
+    const select = document.getElementById(`${tableId}View`);
+    if (!select) return;
 
-    // Create select options for filament dropdown
-    let filamentOptions = '<option value="">Select Filament</option>';
-    if (filaments && Array.isArray(filaments)) {
-        filaments.forEach(fil => {
-            if (fil && fil.id) {
-                const displayName = `${fil.colorName || fil.color || 'Unknown'} - ${fil.materialType || fil.material || 'Unknown'} - ${fil.brand || 'Unknown'}`;
-                filamentOptions += `<option value="${fil.id}" ${selectedId == fil.id ? 'selected' : ''}>${displayName}</option>`;
-            }
-        });
-    }
+    const entry = getGridViewEntry(tableId);
+    select.innerHTML = '<option value="">Default view</option>' + entry.views
+        .map(view => `<option value="${view.id}" ${view.id === entry.activeId ? 'selected' : ''}>${view.name}</option>`)
+        .join('');
 
-    div.innerHTML = `
-        <select class="print-filament-select" style="min-width: 300px;" onchange="updateTotalWeight()" title="Select filament used for this print">
-            ${filamentOptions}
-        </select>
-        <input type="number" class="print-filament-weight" placeholder="Weight Used (g)" min="0" step="0.1" value="${weightDisplay}" style="width: 120px; margin-left: 10px;" onchange="updateTotalWeight()" oninput="updateTotalWeight()" title="Actual weight of filament used in grams">
-        <button class="remove-btn" onclick="removePrintFilament(this)" title="Remove filament">✕</button>
-    `;
+    const deleteButton = document.getElementById(`${tableId}ViewDelete`);
+    if (deleteButton) deleteButton.disabled = !entry.activeId;
+}
 
-    return div;
+function applyGridView(tableId, viewId) {
+    const grid = window.dataGrids[tableId];
+    if (!grid) return;
+
+    const entry = getGridViewEntry(tableId);
+    const view = entry.views.find(v => String(v.id) === String(viewId)) || null;
+    entry.activeId = view ? view.id : null;
+    saveGridViews();
+
+    grid.applyViewState(view ? view.state : grid.getDefaultViewState());
+    updateGridViewSelect(tableId);
 }
 
-function updateTotalWeight() {
-    const weightInputs = document.querySelectorAll('#printFilamentsContainer .print-filament-weight');
-    let totalWeight = 0;
+function saveGridView(tableId) {
+    const grid = window.dataGrids[tableId];
+    if (!grid) return;
 
-    weightInputs.forEach(input => {
-        const weight = parseFloat(input.value) || 0;
-        totalWeight += weight;
-    });
+    const entry = getGridViewEntry(tableId);
+    const active = getActiveGridView(tableId);
+    const name = (prompt('Name for this view (search, sort, page size, columns and category):', active ? active.name : '') || '').trim();
+    if (!name) return;
 
-    const totalWeightInput = document.getElementById('printWeight');
-    if (totalWeightInput) {
-        totalWeightInput.value = totalWeight.toFixed(1);
-    }
+    const existing = entry.views.find(view => view.name.toLowerCase() === name.toLowerCase());
+    if (existing && existing !== active && !confirm(`Replace the view "${existing.name}"?`)) return;
 
-    // Update variance analysis when weights change
-    updatePrintVarianceAnalysis();
+    const view = existing || { id: Date.now(), name };
+    view.name = name;
+    view.state = grid.getViewState();
+    view.savedAt = new Date().toISOString();
+    if (!existing) entry.views.push(view);
+    entry.activeId = view.id;
+
+    saveGridViews();
+    updateGridViewSelect(tableId);
+    showSuccessMessage(`View "${name}" saved`);
 }
 
-// Enhanced Validation Framework
-const ValidationRules = {
-    brand: {
-        required: true,
-        minLength: 2,
-        maxLength: 100,
-        pattern: /^[a-zA-Z0-9\s\-&.,]+$/,
-        message: 'Brand must be 2-100 characters (letters, numbers, spaces, -, &, ., ,)'
-    },
-    materialType: {
-        required: true,
+function deleteGridView(tableId) {
+    const active = getActiveGridView(tableId);
+    if (!active || !confirm(`Delete the view "${active.name}"?`)) return;
+
+    const entry = getGridViewEntry(tableId);
+    entry.views = entry.views.filter(view => view.id !== active.id);
+    applyGridView(tableId, null);
+    showSuccessMessage(`View "${active.name}" deleted`);
+}
+
+let editingColumnsTableId = null;
+let bulkEditKey = null;
+let editingColumnLayout = [];
+
+function openGridColumns(tableId) {
+    const grid = window.dataGrids[tableId];
+    if (!grid) return;
+
+    editingColumnsTableId = tableId;
+    editingColumnLayout = grid.columnOrder.map(key => ({
+        key,
+        label: grid.columns.find(col => col.key === key).label,
+        visible: !grid.hiddenColumns.includes(key)
+    }));
+    renderGridColumnsList();
+    document.getElementById('gridColumnsModal').style.display = 'block';
+}
+
+function closeGridColumns() {
+    document.getElementById('gridColumnsModal').style.display = 'none';
+    editingColumnsTableId = null;
+}
+
+function renderGridColumnsList() {
+    document.getElementById('gridColumnsList').innerHTML = editingColumnLayout.map((col, index) => `
+        <div class="material-type-item grid-column-item">
+            <label>
+                <input type="checkbox" ${col.visible ? 'checked' : ''} onchange="editingColumnLayout[${index}].visible = this.checked">
+                ${col.label}
+            </label>
+            <span>
+                <button type="button" class="btn-icon" onclick="moveGridColumn(${index}, -1)" ${index === 0 ? 'disabled' : ''} aria-label="Move ${col.label} up">▲</button>
+                <button type="button" class="btn-icon" onclick="moveGridColumn(${index}, 1)" ${index === editingColumnLayout.length - 1 ? 'disabled' : ''} aria-label="Move ${col.label} down">▼</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+function moveGridColumn(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= editingColumnLayout.length) return;
+
+    [editingColumnLayout[index], editingColumnLayout[target]] = [editingColumnLayout[target], editingColumnLayout[index]];
+    renderGridColumnsList();
+}
+
+function applyGridColumns() {
+    const grid = window.dataGrids[editingColumnsTableId];
+    if (!grid) return;
+
+    if (!editingColumnLayout.some(col => col.visible)) {
+        showErrorMessage('Keep at least one column visible');
+        return;
+    }
+
+    grid.setColumnLayout(editingColumnLayout);
+    grid.refresh();
+    closeGridColumns();
+}
+
+function exportGridViews() {
+    const views = {};
+    Object.entries(gridViews).forEach(([tableId, entry]) => {
+        if (entry.views.length > 0) views[tableId] = entry.views;
+    });
+    if (Object.keys(views).length === 0) {
+        showWarningMessage('No saved views to export');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify({
+        application: 'PrintStack Enhanced',
+        type: 'gridViews',
+        exportDate: new Date().toISOString(),
+        views
+    }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `printstack-views-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Imported views replace saved views with the same name and are added otherwise
+function handleGridViewsImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = ev => {
+        try {
+            const imported = JSON.parse(ev.target.result);
+            if (imported.type !== 'gridViews' || !imported.views) {
+                showErrorMessage('This file does not contain saved views');
+                return;
+            }
+
+            let count = 0;
+            Object.entries(imported.views).forEach(([tableId, views]) => {
+                if (!Array.isArray(views)) return;
+
+                const entry = getGridViewEntry(tableId);
+                views.filter(view => view && view.name && view.state).forEach(view => {
+                    const existing = entry.views.find(v => v.name.toLowerCase() === view.name.toLowerCase());
+                    if (existing) {
+                        existing.state = view.state;
+                        existing.savedAt = view.savedAt || new Date().toISOString();
+                    } else {
+                        entry.views.push({ id: Date.now() + Math.random(), name: view.name, state: view.state, savedAt: view.savedAt || new Date().toISOString() });
+                    }
+                    count++;
+                });
+                updateGridViewSelect(tableId);
+            });
+
+            saveGridViews();
+            showSuccessMessage(`${count} view${count !== 1 ? 's' : ''} imported`);
+        } catch (error) {
+            showErrorMessage(`Could not import views: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+}
+
+// ============================
+// Bulk Actions
+// ============================
+
+// Fields the bulk edit dialog sets on every selected row. choices renders a select,
+// options the suggestions for a free-text field; rule names the ValidationRules entry
+// the value must pass, as in the single-filament form.
+const BulkEdits = {
+    location: {
+        tableId: 'filamentTable', collection: 'filaments', noun: 'filament',
+        title: 'Set Location', label: 'Storage location', optional: true, rule: 'location',
+        options: () => filaments.map(f => f.location),
+        apply: (filament, value) => { filament.location = value; }
+    },
+    brand: {
+        tableId: 'filamentTable', collection: 'filaments', noun: 'filament',
+        title: 'Change Brand', label: 'Brand', rule: 'brand',
+        options: () => filaments.map(f => f.brand),
+        apply: (filament, value) => { filament.brand = value; }
+    },
+    materialType: {
+        tableId: 'filamentTable', collection: 'filaments', noun: 'filament',
+        title: 'Change Material', label: 'Material type', rule: 'materialType',
+        choices: () => getMaterialTypes(),
+        apply: (filament, value) => { filament.materialType = value; }
+    },
+    category: {
+        tableId: 'modelTable', collection: 'models', noun: 'model',
+        title: 'Set Category', label: 'Category',
+        choices: () => modelCategories,
+        apply: (model, value) => { model.category = value; }
+    },
+    addTags: {
+        tableId: 'modelTable', collection: 'models', noun: 'model',
+        title: 'Add Tags', label: 'Tags (separate with spaces or commas)',
+        options: () => models.flatMap(m => m.tags || []),
+        validate: value => parseTagList(value).length === 0 ? '• Enter at least one tag made of letters, numbers or underscores' : null,
+        apply: (model, value) => addModelTags(model, parseTagList(value))
+    },
+    removeTags: {
+        tableId: 'modelTable', collection: 'models', noun: 'model',
+        title: 'Remove Tags', label: 'Tags (separate with spaces or commas)',
+        options: () => models.flatMap(m => m.tags || []),
+        validate: value => parseTagList(value).length === 0 ? '• Enter at least one tag to remove' : null,
+        apply: (model, value) => removeModelTags(model, parseTagList(value))
+    }
+};
+
+function describeCount(count, noun) {
+    return `${count} ${noun}${count !== 1 ? 's' : ''}`;
+}
+
+// Bullet list for a confirm dialog, cut short so it still fits on screen
+function formatBulkList(lines, limit = 10) {
+    const shown = lines.slice(0, limit).map(line => `• ${line}`);
+    if (lines.length > limit) shown.push(`…and ${lines.length - limit} more`);
+    return shown.join('\n');
+}
+
+function parseTagList(text) {
+    return [...new Set(text.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(tag => /^\w+$/.test(tag)))];
+}
+
+// Tags are read from hashtags in the notes, so they are written there to survive the next edit
+function addModelTags(model, tags) {
+    const missing = tags.filter(tag => !extractTagsFromNotes(model.notes || '').includes(tag));
+    if (missing.length === 0) return;
+
+    model.notes = `${model.notes ? `${model.notes} ` : ''}${missing.map(tag => `#${tag}`).join(' ')}`;
+    model.tags = extractTagsFromNotes(model.notes);
+}
+
+function removeModelTags(model, tags) {
+    model.notes = (model.notes || '')
+        .replace(/#(\w+)/g, (match, tag) => tags.includes(tag) ? '' : match)
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+    model.tags = extractTagsFromNotes(model.notes);
+}
+
+function openBulkEdit(key) {
+    const config = BulkEdits[key];
+    const grid = window.dataGrids[config.tableId];
+    if (!grid || grid.selectedIds.size === 0) return;
+
+    bulkEditKey = key;
+    document.getElementById('bulkEditTitle').textContent = `${config.title} - ${describeCount(grid.selectedIds.size, config.noun)}`;
+    document.getElementById('bulkEditLabel').textContent = config.label;
+
+    let field;
+    if (config.choices) {
+        field = `<select id="bulkEditValue"><option value="">Select...</option>${config.choices().map(choice => `<option value="${choice}">${choice}</option>`).join('')}</select>`;
+    } else {
+        const suggestions = [...new Set(config.options().filter(Boolean))].sort();
+        field = `<input type="text" id="bulkEditValue" list="bulkEditSuggestions" placeholder="${config.optional ? 'Leave empty to clear' : ''}">
+            <datalist id="bulkEditSuggestions">${suggestions.map(value => `<option value="${value}">`).join('')}</datalist>`;
+    }
+    document.getElementById('bulkEditField').innerHTML = field;
+    document.getElementById('bulkEditModal').style.display = 'block';
+    document.getElementById('bulkEditValue').focus();
+}
+
+function closeBulkEdit() {
+    document.getElementById('bulkEditModal').style.display = 'none';
+    bulkEditKey = null;
+}
+
+function applyBulkEdit() {
+    const config = BulkEdits[bulkEditKey];
+    if (!config) return;
+
+    const items = window.dataGrids[config.tableId].getSelectedItems();
+    const value = document.getElementById('bulkEditValue').value.trim();
+
+    const errors = [];
+    if (!value && !config.optional) {
+        errors.push(`• ${config.label} is required`);
+    } else if (config.rule) {
+        const validation = validateField(config.rule, value);
+        if (!validation.valid) errors.push(`• ${validation.message}`);
+    } else if (config.validate) {
+        const error = config.validate(value);
+        if (error) errors.push(error);
+    }
+    if (errors.length > 0) {
+        alert(`Please fix the following issues:\n\n${errors.join('\n')}\n\nClick OK to continue editing.`);
+        return;
+    }
+
+    const pending = UndoHistory.begin(`${config.title} for ${describeCount(items.length, config.noun)}`, [config.collection]);
+    items.forEach(item => config.apply(item, value));
+    saveData();
+    updateAllTables();
+    closeBulkEdit();
+    commitUndoable(pending, `${config.title}: ${describeCount(items.length, config.noun)} updated`);
+}
+
+function bulkSetFilamentStock(inStock) {
+    const selected = window.dataGrids.filamentTable.getSelectedItems();
+    const changed = selected.filter(f => f.inStock !== inStock);
+    if (changed.length === 0) {
+        showWarningMessage(`All selected filaments are already ${inStock ? 'in stock' : 'out of stock'}`);
+        return;
+    }
+
+    const pending = UndoHistory.begin(`Mark ${describeCount(changed.length, 'filament')} ${inStock ? 'in stock' : 'out of stock'}`, ['filaments']);
+    changed.forEach(f => { f.inStock = inStock; });
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `${describeCount(changed.length, 'filament')} marked ${inStock ? 'In Stock' : 'Out of Stock'}`);
+}
+
+// Referenced filaments are marked Out of Stock instead, as a single delete offers
+function bulkDeleteFilaments() {
+    const selected = window.dataGrids.filamentTable.getSelectedItems();
+    if (selected.length === 0) return;
+
+    const describe = f => `${f.brand} ${f.materialType} (${f.color})`;
+    const blocked = selected.filter(f => {
+        const { modelReferences, printReferences } = getFilamentReferences(f);
+        return modelReferences.length > 0 || printReferences.length > 0;
+    });
+    const deletable = selected.filter(f => !blocked.includes(f));
+
+    let message = deletable.length > 0 ?
+        `Delete ${describeCount(deletable.length, 'filament')}? 🗑️\n\n${formatBulkList(deletable.map(describe))}` :
+        'None of the selected filaments can be deleted.';
+    if (blocked.length > 0) {
+        message += `\n\n⚠️ Referenced by models or print history - these will be marked "Out of Stock" instead:\n${formatBulkList(blocked.map(describe))}`;
+    }
+    if (!confirm(message)) return;
+
+    const pending = UndoHistory.begin(`Delete ${describeCount(selected.length, 'filament')}`, ['filaments', 'spools']);
+    blocked.forEach(f => {
+        f.inStock = false;
+        f.deletionBlocked = true;
+    });
+    const deletedIds = new Set(deletable.map(f => f.id));
+    filaments = filaments.filter(f => !deletedIds.has(f.id));
+    spools = spools.filter(spool => !deletedIds.has(spool.filamentId));
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, [
+        deletable.length > 0 ? `${describeCount(deletable.length, 'filament')} deleted` : null,
+        blocked.length > 0 ? `${blocked.length} marked Out of Stock` : null
+    ].filter(Boolean).join(', '));
+    AccessibilityNotifications.announceSuccess('Selected filaments deleted');
+}
+
+function bulkDeleteModels() {
+    const selected = window.dataGrids.modelTable.getSelectedItems();
+    if (selected.length === 0) return;
+
+    const withHistory = selected.filter(m => getModelPrintAllocations(m).length > 0);
+    let message = `Delete ${describeCount(selected.length, 'model')}?\n\n${formatBulkList(selected.map(m => m.name))}`;
+    if (withHistory.length > 0) {
+        message += `\n\n⚠️ Print history is preserved for:\n${formatBulkList(withHistory.map(m => m.name))}`;
+    }
+    if (!confirm(message)) return;
+
+    const pending = UndoHistory.begin(`Delete ${describeCount(selected.length, 'model')}`, ['models']);
+    const deletedIds = new Set(selected.map(m => m.id));
+    models = models.filter(m => !deletedIds.has(m.id));
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `${describeCount(selected.length, 'model')} deleted`);
+}
+
+// Print Filament Management Functions
+function addPrintFilament(containerId = 'printFilamentsContainer') {
+    document.getElementById(containerId).appendChild(createPrintFilamentSearchBox());
+}
+
+function removePrintFilament(btn) {
+    try {
+        const container = btn.closest('#printFilamentsContainer, #editPrintFilamentsContainer');
+        if (!container || !container.children || container.children.length <= 1) {
+            showErrorMessage('Print must have at least one filament');
+            return;
+        }
+
+        const item = btn.closest('.print-filament-item');
+        if (item) {
+            item.remove();
+            updateTotalWeight(); // Recalculate total weight after removal
+        }
+    } catch (error) {
+        showErrorMessage('Error removing filament');
+    }
+}
+
+function createPrintFilamentSearchBox(selectedId = null, selectedWeight = null) {
+    const div = document.createElement('div');
+    div.className = 'print-filament-item';
+
+    const weightDisplay = selectedWeight || '';
+
+    // Create select options for filament dropdown
+    let filamentOptions = '<option value="">Select Filament</option>';
+    if (filaments && Array.isArray(filaments)) {
+        filaments.forEach(fil => {
+            if (fil && fil.id) {
+                const displayName = `${fil.colorName || fil.color || 'Unknown'} - ${fil.materialType || fil.material || 'Unknown'} - ${fil.brand || 'Unknown'}`;
+                filamentOptions += `<option value="${fil.id}" ${selectedId == fil.id ? 'selected' : ''}>${displayName}</option>`;
+            }
+        });
+    }
+
+    div.innerHTML = `
+        <select class="print-filament-select" style="min-width: 300px;" onchange="updatePrintSpoolOptions(this); updateTotalWeight()" title="Select filament used for this print">
+            ${filamentOptions}
+        </select>
+        <select class="print-filament-spool" style="margin-left: 10px;" title="Spool to take the filament from">
+            ${buildSpoolOptions(selectedId === null ? null : parseFloat(selectedId))}
+        </select>
+        <input type="number" class="print-filament-weight" placeholder="Weight Used (g)" min="0" step="0.1" value="${weightDisplay}" style="width: 120px; margin-left: 10px;" onchange="updateTotalWeight()" oninput="updateTotalWeight()" title="Actual amount of filament used, in grams or length">
+        ${buildQuantityUnitSelect()}
+        <button class="remove-btn" onclick="removePrintFilament(this)" title="Remove filament">✕</button>
+    `;
+
+    return div;
+}
+
+function updateTotalWeight() {
+    const rows = document.querySelectorAll('#printFilamentsContainer .print-filament-item');
+    let totalWeight = 0;
+
+    rows.forEach(row => {
+        // Lengths are converted with the selected filament's diameter and density
+        const weight = readQuantityInput(row.querySelector('.print-filament-weight'), getQuantityRowFilament(row)) || 0;
+        totalWeight += weight;
+    });
+
+    const totalWeightInput = document.getElementById('printWeight');
+    if (totalWeightInput) {
+        totalWeightInput.value = totalWeight.toFixed(1);
+    }
+
+    // Update variance analysis when weights change
+    updatePrintVarianceAnalysis();
+    if (editingPrintId !== null) updateEditPrintTotals();
+}
+
+/**
+ * Reads the filament rows of the add or edit print form
+ * @param {HTMLElement} container - Element holding the .print-filament-item rows
+ * @returns {Array} [{ filamentId, color, material, weight, colorHex, spoolId }] for rows with a filament and weight
+ */
+function readPrintFilamentRows(container) {
+    const printFilaments = [];
+    container.querySelectorAll('.print-filament-item').forEach(item => {
+        const selectInput = item.querySelector('.print-filament-select');
+        const weightInput = item.querySelector('.print-filament-weight');
+        const spoolInput = item.querySelector('.print-filament-spool');
+        const filamentId = parseInt(selectInput.value);
+        const weight = readQuantityInput(weightInput, filaments.find(f => f.id === filamentId)) || 0;
+
+        if (!isNaN(filamentId) && filamentId > 0 && weight > 0) {
+            const filament = filaments.find(f => f.id === filamentId);
+            if (filament) {
+                printFilaments.push({
+                    filamentId: filamentId,
+                    color: filament.colorName || filament.color,
+                    material: filament.materialType || filament.material,
+                    weight: weight,
+                    colorHex: filament.colorHex,
+                    spoolId: spoolInput && spoolInput.value ? parseFloat(spoolInput.value) : null
+                });
+            }
+        }
+    });
+    return printFilaments;
+}
+
+// Enhanced Validation Framework
+const ValidationRules = {
+    brand: {
+        required: true,
+        minLength: 2,
+        maxLength: 100,
+        pattern: /^[a-zA-Z0-9\s\-&.,]+$/,
+        message: 'Brand must be 2-100 characters (letters, numbers, spaces, -, &, ., ,)'
+    },
+    materialType: {
+        required: true,
         allowed: () => getMaterialTypes(),
         customAllowed: true,
         message: 'Material type is required'
@@ -965,6 +2592,13 @@ const ValidationRules = {
         maxLength: 200,
         message: 'Location must be 200 characters or less'
     },
+    density: {
+        optional: true,
+        min: 0.5,
+        max: 3,
+        type: 'number',
+        message: 'Density must be between 0.5 and 3 g/cm³'
+    },
     temperature: {
         optional: true,
         validate: (tempObj) => {
@@ -1182,6 +2816,9 @@ function validateFormInputs(inputs, formElement, errors) {
     let firstErrorField = null;
 
     inputs.forEach(input => {
+        // Disabled fields are not submitted, so they are not validated either
+        if (input.disabled) return;
+
         const fieldName = input.name || input.id;
         let value = getFormInputValue(input, formElement);
 
@@ -1368,7 +3005,13 @@ function showLoadingState(buttonElement, isLoading = true, customText = 'Process
     }
 }
 
-function showSuccessMessage(message, duration = 3000) {
+/**
+ * Shows a success toast
+ * @param {string} message - Text to display
+ * @param {number} duration - Milliseconds before the toast is dismissed
+ * @param {Object} action - Optional { label, handler } rendered as a button, e.g. Undo
+ */
+function showSuccessMessage(message, duration = 3000, action = null) {
     const successDiv = document.createElement('div');
     successDiv.className = 'success-message form-success';
     successDiv.setAttribute('role', 'alert');
@@ -1377,9 +3020,17 @@ function showSuccessMessage(message, duration = 3000) {
         <div style="display: flex; align-items: center; gap: 8px;">
             <span style="font-size: 18px;">✅</span>
             <span>${message}</span>
+            ${action ? `<button type="button" class="toast-action-btn">${action.label}</button>` : ''}
         </div>
     `;
 
+    if (action) {
+        successDiv.querySelector('.toast-action-btn').addEventListener('click', () => {
+            successDiv.remove();
+            action.handler();
+        });
+    }
+
     // Position for enhanced UI
     Object.assign(successDiv.style, {
         background: 'linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%)',
@@ -1619,842 +3270,3507 @@ function showFieldFeedback(fieldElement, feedbackType, message) {
     }
 }
 
-// Navigation
-function showPage(pageName) {
-    document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-    document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
-    const targetPage = document.getElementById(pageName + '-page');
-    const targetNav = document.querySelector(`.nav-item[data-page="${pageName}"]`);
-    if (targetPage) {
-        targetPage.classList.add('active');
-    } else {
-    }
-    if (targetNav) {
-        targetNav.classList.add('active');
-    } else {
-    }
+// ============================
+// Spools
+// ============================
+
+// A filament record describes the product; each physical spool of it is a separate record
+const SpoolStates = {
+    sealed: 'Sealed',
+    opened: 'Opened',
+    empty: 'Empty'
+};
+
+function createSpool(filament, fields = {}) {
+    return {
+        id: Date.now() + Math.random(),
+        filamentId: filament.id,
+        remainingWeight: 0,
+        tare: null,
+        lot: '',
+        purchaseDate: new Date().toISOString(),
+        purchasePrice: null,
+        location: '',
+        state: 'sealed',
+        openedDate: null,
+        addedDate: new Date().toISOString(),
+        ...fields
+    };
 }
 
-// DOM Structure Fix
-function fixPageStructure() {
+function getFilamentSpools(filamentId) {
+    return spools.filter(spool => spool.filamentId === filamentId);
+}
 
-    const filamentPage = document.getElementById('filament-page');
-    const container = document.querySelector('.container');
+/**
+ * Spools with material left, in the order prints draw from them:
+ * opened spools first (oldest opened first), then sealed spools by purchase date
+ */
+function getDrawableSpools(filamentId) {
+    const byDate = field => (a, b) => (a[field] || '').localeCompare(b[field] || '');
+    const available = getFilamentSpools(filamentId).filter(spool => spool.state !== 'empty' && spool.remainingWeight > 0);
 
-    if (!filamentPage || !container) {
-        return;
-    }
+    return [
+        ...available.filter(spool => spool.state === 'opened').sort(byDate('openedDate')),
+        ...available.filter(spool => spool.state === 'sealed').sort(byDate('purchaseDate'))
+    ];
+}
 
-    // Debug: Check where the Add Filament button is
-    const addFilamentBtn = document.getElementById('addFilamentBtn');
-    if (addFilamentBtn) {
+// Total grams left across all spools, falling back to the filament weight for records without spools
+function getFilamentAvailableWeight(filament) {
+    const filamentSpools = getFilamentSpools(filament.id);
+    if (filamentSpools.length === 0) return filament.weight || 0;
+    return filamentSpools.reduce((sum, spool) => sum + (spool.remainingWeight || 0), 0);
+}
 
-        let parent = addFilamentBtn;
-        let level = 0;
-        while (parent && level < 10) {
-            parent = parent.parentElement;
-            level++;
-        }
+// filament.weight is kept as the spool total so tables, stats and the ledger keep working
+function syncFilamentWeight(filament) {
+    if (getFilamentSpools(filament.id).length > 0) {
+        filament.weight = Math.round(getFilamentAvailableWeight(filament) * 100) / 100;
+    }
+}
 
-        // Check if button is inside the collapsible section
-        const addFilamentSection = document.getElementById('addFilamentSection');
-        if (addFilamentSection && !addFilamentBtn.closest('#addFilamentSection')) {
+function setSpoolRemaining(spool, grams) {
+    spool.remainingWeight = Math.max(0, Math.round(grams * 100) / 100);
+    if (spool.remainingWeight === 0) {
+        spool.state = 'empty';
+    } else if (spool.state === 'empty') {
+        spool.state = 'opened';
+    }
+}
 
-            // Find the form-actions div that contains the button
-            const formActions = addFilamentBtn.closest('.form-actions');
-            if (formActions) {
-                addFilamentSection.appendChild(formActions);
-            }
+/**
+ * Takes weight from a filament's spools, starting with the chosen spool and
+ * continuing with the oldest opened one. Sealed spools are opened as needed.
+ * @param {Object} filament - Filament to deduct from
+ * @param {number} grams - Weight to take
+ * @param {number} spoolId - Optional spool to draw from first
+ * @returns {Array} { spoolId, weight } for every spool that was drawn from
+ */
+function drawFromSpools(filament, grams, spoolId = null) {
+    const candidates = getDrawableSpools(filament.id);
+    const chosen = candidates.find(spool => spool.id === spoolId);
+    const order = chosen ? [chosen, ...candidates.filter(spool => spool !== chosen)] : candidates;
+
+    const draws = [];
+    let remaining = grams;
+    for (const spool of order) {
+        if (remaining <= 0) break;
+
+        const taken = Math.min(spool.remainingWeight, remaining);
+        if (spool.state === 'sealed') {
+            spool.state = 'opened';
+            spool.openedDate = new Date().toISOString();
         }
+        setSpoolRemaining(spool, spool.remainingWeight - taken);
+        draws.push({ spoolId: spool.id, weight: Math.round(taken * 100) / 100 });
+        remaining -= taken;
     }
 
-    // Find all elements that should be inside filament-page but are currently outside
-    const misplacedElements = [];
-    let current = container.firstElementChild;
-
-    // Check all direct children of the container
-    while (current) {
-        const nextElement = current.nextElementSibling;
-
-        // If this element is not a page and not already inside a page, it's misplaced
-        if (!current.classList.contains('page') && !current.closest('.page')) {
-            // Move elements until we hit the next page
-            if (current.id === 'filament-page' ||
-                current.classList.contains('section') ||
-                current.id === 'filamentForm' ||
-                current.querySelector('#filamentTable') ||
-                current.querySelector('#filamentGridWrapper') ||
-                current.querySelector('#filamentTableSearch') ||
-                current.querySelector('#duplicateWarning')) {
-
-                misplacedElements.push(current);
-            }
-        } else if (current.classList.contains('page') && current.id !== 'filament-page') {
-            // We've reached the next page, stop looking
-            break;
-        }
+    syncFilamentWeight(filament);
+    return draws;
+}
 
-        current = nextElement;
+/**
+ * Gives weight back to a filament. With spools, it goes back to the spools the
+ * print drew from (newest draw first) and any remainder to the first spool.
+ * @param {Object} filament - Filament to return the weight to
+ * @param {number} grams - Weight to give back
+ * @param {Array} draws - { spoolId, weight } recorded when the weight was taken
+ * @returns {Array} The draws still outstanding after the return
+ */
+function restoreFilamentWeight(filament, grams, draws = []) {
+    const filamentSpools = getFilamentSpools(filament.id);
+    if (filamentSpools.length === 0) {
+        filament.weight = Math.round(((filament.weight || 0) + grams) * 100) / 100;
+        return [];
     }
 
-    // Move all misplaced elements into the filament page
-    if (misplacedElements.length > 0) {
+    const outstanding = draws.map(draw => ({ ...draw }));
+    let remaining = grams;
+    for (let i = outstanding.length - 1; i >= 0 && remaining > 0; i--) {
+        const spool = spools.find(s => s.id === outstanding[i].spoolId);
+        if (!spool) continue;
 
-        misplacedElements.forEach(element => {
-            filamentPage.appendChild(element);
-        });
+        const returned = Math.min(outstanding[i].weight, remaining);
+        setSpoolRemaining(spool, spool.remainingWeight + returned);
+        outstanding[i].weight = Math.round((outstanding[i].weight - returned) * 100) / 100;
+        remaining -= returned;
+    }
+    if (remaining > 0.005) {
+        setSpoolRemaining(filamentSpools[0], filamentSpools[0].remainingWeight + remaining);
     }
 
+    syncFilamentWeight(filament);
+    return outstanding.filter(draw => draw.weight > 0);
 }
 
-// Utility Functions
-function ensureFilamentIds() {
-    let changed = false;
-    filaments.forEach(f => {
-        if (!f.id || typeof f.id !== 'number' || !Number.isInteger(f.id)) {
-            f.id = Math.floor(Date.now() + Math.random() * 1000000);
-            changed = true;
-        }
-    });
-    if (changed) saveData();
+function describeSpool(spool) {
+    return spool.lot ? `Lot ${spool.lot}` : `Spool added ${new Date(spool.addedDate).toLocaleDateString()}`;
 }
 
-function resolveFilamentId(color, material) {
-    if (!color || !material) return null;
-    const c = color.toLowerCase().trim();
-    const m = material.toLowerCase().trim();
-    const match = filaments.find(f => 
-        f.color.toLowerCase().trim() === c && 
-        f.material.toLowerCase().trim() === m &&
-        f.inStock
-    );
-    return match ? match.id : null;
+// Options for the per-filament spool picker in the print form
+function buildSpoolOptions(filamentId, selectedSpoolId = null) {
+    let options = '<option value="">Oldest opened spool</option>';
+    getDrawableSpools(filamentId).forEach(spool => {
+        options += `<option value="${spool.id}" ${selectedSpoolId === spool.id ? 'selected' : ''}>${describeSpool(spool)} - ${spool.remainingWeight.toFixed(0)}g (${SpoolStates[spool.state]})</option>`;
+    });
+    return options;
 }
 
-// Data Management
-function loadData() {
-    try {
-        const f = localStorage.getItem('filaments');
-        if (f) {
-            filaments = JSON.parse(f);
-            // Migrate old data structure to new enhanced structure
-            filaments = filaments.map(f => {
-                // Handle legacy data migration
-                if (!f.materialType && f.material) {
-                    f.materialType = f.material;
-                }
-                if (!f.brand) {
-                    f.brand = 'Unknown'; // Migrate missing brand
-                }
-                if (!f.colorHex) {
-                    f.colorHex = '#cccccc'; // Default color
-                }
-                if (!f.diameter) {
-                    f.diameter = 1.75; // Default diameter
-                }
-                if (f.inStock === undefined) {
-                    f.inStock = true;
-                }
-                // Ensure backwards compatibility with print history
-                if (f.material && !f.materialType) {
-                    f.materialType = f.material;
-                }
-                return f;
-            });
-        }
-        const m = localStorage.getItem('models');
-        if (m) {
-            models = JSON.parse(m);
-            // Migrate models structure if needed
-            models.forEach(m => {
-                if (m.requirements) {
-                    m.requirements.forEach(req => {
-                        if (req.material && !req.materialType) {
-                            req.materialType = req.material;
-                        }
-                    });
-                }
-            });
-        }
-        const p = localStorage.getItem('prints');
-        if (p) prints = JSON.parse(p);
-    ensureFilamentIds();
-    updateAllTables();
-    } catch (e) {
-        // Fallback to basic data loading if there's an error
-        const fallbackFilaments = localStorage.getItem('filaments');
-        const fallbackModels = localStorage.getItem('models');
-        const fallbackPrints = localStorage.getItem('prints');
-
-        if (fallbackFilaments) filaments = JSON.parse(fallbackFilaments);
-        if (fallbackModels) models = JSON.parse(fallbackModels);
-        if (fallbackPrints) prints = JSON.parse(fallbackPrints);
-
-        ensureFilamentIds();
-        updateAllTables();
+function updatePrintSpoolOptions(select) {
+    const spoolSelect = select.parentElement.querySelector('.print-filament-spool');
+    if (spoolSelect) {
+        spoolSelect.innerHTML = buildSpoolOptions(parseFloat(select.value));
     }
 }
 
-function saveData() {
-    try {
-        // Validate data structure before saving
-        if (!validateFilamentData()) {
-            return false;
-        }
+let managingSpoolsFilamentId = null;
 
-        // Save enhanced data structure with versioning
-        const dataVersion = '2.0';
-        const saveData = {
-            filaments,
-            models,
-            prints,
-            version: dataVersion,
-            lastSaved: new Date().toISOString()
-        };
+function openSpoolsModal(filamentId) {
+    const filament = filaments.find(f => f.id === filamentId);
+    if (!filament) return;
 
-        localStorage.setItem('printstackData', JSON.stringify(saveData));
+    managingSpoolsFilamentId = filamentId;
+    document.getElementById('spoolsModalTitle').textContent = `Spools - ${filament.brand} ${filament.materialType} ${filament.color}`;
 
-        // Maintain backward compatibility by also saving individual data sets
-        localStorage.setItem('filaments', JSON.stringify(filaments));
-        localStorage.setItem('models', JSON.stringify(models));
-        localStorage.setItem('prints', JSON.stringify(prints));
+    // Prefill the add form with the filament's usual shelf
+    document.getElementById('newSpoolForm').reset();
+    document.getElementById('newSpoolLocation').value = filament.location || '';
+    const brandTare = getBrandTare(filament.brand);
+    document.getElementById('newSpoolTare').placeholder = brandTare !== null ? `${brandTare}g (${filament.brand} default)` : 'Optional tare';
 
-        // Invalidate cache when data is saved
-        DataCache.invalidate();
+    renderSpoolList();
+    document.getElementById('spoolsModal').style.display = 'block';
+}
 
-        return true;
-    } catch (error) {
-        AccessibilityNotifications.announceError('Save Data', 'Failed to save data to local storage');
-        return false;
+function closeSpoolsModal() {
+    document.getElementById('spoolsModal').style.display = 'none';
+    managingSpoolsFilamentId = null;
+}
+
+function renderSpoolList() {
+    const container = document.getElementById('spoolList');
+    const filamentSpools = getFilamentSpools(managingSpoolsFilamentId);
+
+    if (filamentSpools.length === 0) {
+        container.innerHTML = '<p>No spools recorded for this filament.</p>';
+        return;
     }
+
+    const filament = filaments.find(f => f.id === managingSpoolsFilamentId);
+    const brandTare = getBrandTare(filament && filament.brand);
+    const stateOptions = current => Object.entries(SpoolStates)
+        .map(([value, label]) => `<option value="${value}" ${current === value ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <table class="spool-table">
+            <thead>
+                <tr><th>Remaining (g)</th><th>Tare (g)</th><th>Lot</th><th>Location</th><th>State</th><th>Purchased</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${filamentSpools.map(spool => `
+                    <tr data-spool-id="${spool.id}">
+                        <td><input type="number" class="spool-remaining" min="0" step="0.1" value="${spool.remainingWeight}" title="Filament left on the spool, excluding the empty spool"></td>
+                        <td><input type="number" class="spool-tare" min="0" step="1" value="${spool.tare ?? ''}" placeholder="${brandTare !== null ? `${brandTare} (brand)` : ''}" title="Weight of the empty spool - leave blank to use the brand default"></td>
+                        <td><input type="text" class="spool-lot" value="${spool.lot || ''}" title="Purchase lot or batch"></td>
+                        <td><input type="text" class="spool-location" value="${spool.location || ''}" title="Storage location"></td>
+                        <td><select class="spool-state" title="Spool state">${stateOptions(spool.state)}</select></td>
+                        <td>${spool.purchaseDate ? new Date(spool.purchaseDate).toLocaleDateString() : '-'}${spool.purchasePrice ? `<br>$${spool.purchasePrice.toFixed(2)}/kg` : ''}</td>
+                        <td class="actions">
+                            <button type="button" class="btn-icon" onclick="openWeighIn(${spool.id})" aria-label="Weigh in spool">⚖️</button>
+                            <button type="button" class="btn-icon" onclick="saveSpool(${spool.id})" aria-label="Save spool">💾</button>
+                            <button type="button" class="btn-icon btn-danger" onclick="deleteSpool(${spool.id})" aria-label="Delete spool">🗑️</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
-function validateFilamentData() {
-    return filaments.every(f => {
-        // Required fields for enhanced filament data
-        if (!f.brand || typeof f.brand !== 'string' || f.brand.trim() === '') {
-            return false;
-        }
-        if (!f.materialType || typeof f.materialType !== 'string' || f.materialType.trim() === '') {
-            return false;
-        }
-        if (!f.color || typeof f.color !== 'string' || f.color.trim() === '') {
-            return false;
-        }
-        if (!f.colorHex || typeof f.colorHex !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(f.colorHex)) {
-            return false;
-        }
-        if (!f.weight || typeof f.weight !== 'number' || f.weight <= 0) {
-            return false;
-        }
-        if (!f.diameter || ![1.75, 2.85].includes(f.diameter)) {
-            return false;
-        }
+function addSpool() {
+    const filament = filaments.find(f => f.id === managingSpoolsFilamentId);
+    if (!filament) return;
 
-        // Validate optional fields
-        if (f.purchasePrice && (typeof f.purchasePrice !== 'number' || f.purchasePrice < 0)) {
-            return false;
-        }
+    const remainingWeight = parseFloat(document.getElementById('newSpoolWeight').value);
+    if (isNaN(remainingWeight) || remainingWeight <= 0) {
+        showErrorMessage('Enter the filament weight on the new spool');
+        return;
+    }
 
-        if (f.temperature) {
-            const temp = f.temperature;
-            if (temp.min && (typeof temp.min !== 'number' || temp.min < 150 || temp.min > 350)) {
-                return false;
-            }
-            if (temp.max && (typeof temp.max !== 'number' || temp.max < 150 || temp.max > 350)) {
-                return false;
-            }
-            if (temp.min && temp.max && temp.min >= temp.max) {
-                return false;
-            }
-        }
+    const tare = parseFloat(document.getElementById('newSpoolTare').value);
+    const price = parseFloat(document.getElementById('newSpoolPrice').value);
+    const pending = UndoHistory.begin(`Add spool of ${filament.brand} ${filament.color}`, ['spools', 'filaments']);
 
-        return true;
+    const spool = createSpool(filament, {
+        remainingWeight,
+        tare: isNaN(tare) ? null : tare,
+        lot: document.getElementById('newSpoolLot').value.trim(),
+        location: document.getElementById('newSpoolLocation').value.trim(),
+        purchasePrice: isNaN(price) ? null : price
     });
+    spools.push(spool);
+    syncFilamentWeight(filament);
+    filament.inStock = true;
+    InventoryService.recordAdjustment(filament, remainingWeight, 'added', describeSpool(spool));
+
+    saveData();
+    updateAllTables();
+    renderSpoolList();
+    document.getElementById('newSpoolForm').reset();
+    commitUndoable(pending, `Spool added to ${filament.brand} ${filament.color}`);
 }
 
-function preventNegativeInventory(filamentId, weightToUse) {
-    const filament = filaments.find(f => f.id === filamentId);
-    if (!filament) return false;
+function saveSpool(spoolId) {
+    const spool = spools.find(s => s.id === spoolId);
+    const filament = spool && filaments.find(f => f.id === spool.filamentId);
+    const row = document.querySelector(`#spoolList tr[data-spool-id="${spoolId}"]`);
+    if (!filament || !row) return;
 
-    const usedWeight = getFilamentUsage(filament.color);
-    const availableWeight = filament.weight - usedWeight;
+    const remainingWeight = parseFloat(row.querySelector('.spool-remaining').value);
+    if (isNaN(remainingWeight) || remainingWeight < 0) {
+        showErrorMessage('Remaining weight must be 0 or more');
+        return;
+    }
 
-    if (availableWeight < weightToUse) {
-        const shortage = weightToUse - availableWeight;
-        return {
-            canConsume: false,
-            available: availableWeight,
-            requested: weightToUse,
-            shortage: shortage,
-            message: `Insufficient filament. Available: ${availableWeight.toFixed(1)}g, Requested: ${weightToUse.toFixed(1)}g, Shortage: ${shortage.toFixed(1)}g`
-        };
+    const pending = UndoHistory.begin(`Edit spool of ${filament.brand} ${filament.color}`, ['spools', 'filaments']);
+    const previousWeight = filament.weight || 0;
+    const tare = parseFloat(row.querySelector('.spool-tare').value);
+    const state = row.querySelector('.spool-state').value;
+
+    spool.tare = isNaN(tare) ? null : tare;
+    spool.lot = row.querySelector('.spool-lot').value.trim();
+    spool.location = row.querySelector('.spool-location').value.trim();
+    if (state === 'opened' && !spool.openedDate) {
+        spool.openedDate = new Date().toISOString();
     }
+    spool.state = state;
+    setSpoolRemaining(spool, remainingWeight);
 
-    return {
-        canConsume: true,
-        available: availableWeight,
-        requested: weightToUse,
-        message: 'Sufficient filament available'
-    };
+    syncFilamentWeight(filament);
+    InventoryService.recordAdjustment(filament, filament.weight - previousWeight, 'edit', describeSpool(spool));
+
+    saveData();
+    updateAllTables();
+    renderSpoolList();
+    commitUndoable(pending, 'Spool updated');
 }
 
-function checkAndPreventNegativeInventory(filamentId, weightToUse, allowOverride = false) {
-    const check = preventNegativeInventory(filamentId, weightToUse);
+function deleteSpool(spoolId) {
+    const spool = spools.find(s => s.id === spoolId);
+    const filament = spool && filaments.find(f => f.id === spool.filamentId);
+    if (!filament) return;
 
-    if (!check.canConsume) {
-        if (!allowOverride) {
-            const filament = filaments.find(f => f.id === filamentId);
-            const shouldOverride = confirm(
-                `${check.message}\n\n` +
-                `Filament: ${filament.brand} ${filament.materialType} (${filament.color})\n\n` +
-                `Would you like to:\n\n` +
-                `OK = Proceed anyway (inventory will go negative)\n` +
-                `Cancel = Adjust the usage amount`
-            );
+    if (!confirm(`Delete this spool (${spool.remainingWeight.toFixed(1)}g left)?`)) return;
 
-            if (!shouldOverride) {
-                return false;
-            }
-        }
+    const pending = UndoHistory.begin(`Delete spool of ${filament.brand} ${filament.color}`, ['spools', 'filaments']);
+    const previousWeight = filament.weight || 0;
 
-        AccessibilityNotifications.announce(
-            `Warning: Filament inventory will go negative by ${check.shortage.toFixed(1)}g`,
-            'assertive'
-        );
+    spools = spools.filter(s => s.id !== spoolId);
+    syncFilamentWeight(filament);
+    // Removing the last spool leaves nothing to sum, so the filament is empty
+    if (getFilamentSpools(filament.id).length === 0) {
+        filament.weight = 0;
     }
+    InventoryService.recordAdjustment(filament, filament.weight - previousWeight, 'edit', `Deleted: ${describeSpool(spool)}`);
 
-    return true;
+    saveData();
+    updateAllTables();
+    renderSpoolList();
+    commitUndoable(pending, 'Spool deleted');
 }
 
-function exportData() {
-    try {
-        // Enhanced export with version and metadata
-        const exportData = {
-            version: '2.0',
-            exportDate: new Date().toISOString(),
-            application: 'PrintStack Enhanced',
-            data: {
-                filaments,
-                models,
-                prints
-            },
-            metadata: {
-                totalFilaments: filaments.length,
-                totalModels: models.length,
-                totalPrints: prints.length,
-               FilamentTypes: [...new Set(filaments.map(f => f.materialType))],
-                Brands: [...new Set(filaments.map(f => f.brand))]
-            }
-        };
+// Weigh-in: turn a gross scale reading into the filament left on a spool
+let weighInSpoolId = null;
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `printstack-enhanced-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+function openWeighIn(spoolId) {
+    const spool = spools.find(s => s.id === spoolId);
+    const filament = spool && filaments.find(f => f.id === spool.filamentId);
+    if (!filament) return;
 
-        showSuccessMessage('Data exported successfully');
-        AccessibilityNotifications.announceSuccess('Data exported successfully');
+    weighInSpoolId = spoolId;
+    const tare = getSpoolTare(spool, filament);
 
-    } catch (error) {
-        AccessibilityNotifications.announceError('Export', 'Failed to export data');
-    }
+    document.getElementById('weighInSpoolInfo').textContent =
+        `${filament.brand} ${filament.materialType} ${filament.color} - ${describeSpool(spool)}, ${spool.remainingWeight.toFixed(1)}g expected`;
+    document.getElementById('weighInGross').value = '';
+    document.getElementById('weighInTare').value = tare ?? '';
+    document.getElementById('weighInSaveBrandTare').checked = false;
+    document.getElementById('weighInSaveBrandTareLabel').textContent = `Use as the default tare for ${filament.brand} spools`;
+    updateWeighInPreview();
+
+    document.getElementById('weighInModal').style.display = 'block';
+    document.getElementById('weighInGross').focus();
 }
 
-function handleImport(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function closeWeighIn() {
+    document.getElementById('weighInModal').style.display = 'none';
+    weighInSpoolId = null;
+}
 
-    const reader = new FileReader();
-    reader.onload = ev => {
-        try {
-            const importData = JSON.parse(ev.target.result);
+function readWeighIn() {
+    const spool = spools.find(s => s.id === weighInSpoolId);
+    const gross = parseFloat(document.getElementById('weighInGross').value);
+    const tare = parseFloat(document.getElementById('weighInTare').value);
+    if (!spool || isNaN(gross) || isNaN(tare)) {
+        return { spool, valid: false };
+    }
 
-            // Handle both legacy and enhanced import formats
-            let filamentsToImport = [];
-            let modelsToImport = [];
-            let printsToImport = [];
+    const net = Math.max(0, Math.round((gross - tare) * 100) / 100);
+    return { spool, gross, tare, net, difference: net - spool.remainingWeight, valid: gross >= 0 && tare >= 0 };
+}
 
-            if (importData.version && importData.data) {
-                // Enhanced format (version 2.0+)
-                filamentsToImport = importData.data.filaments || [];
-                modelsToImport = importData.data.models || [];
-                printsToImport = importData.data.prints || [];
+function updateWeighInPreview() {
+    const preview = document.getElementById('weighInPreview');
+    const reading = readWeighIn();
 
-                showSuccessMessage(`Importing enhanced data from ${importData.application || 'PrintStack Enhanced'} v${importData.version}`);
-            } else {
-                // Legacy format
-                filamentsToImport = importData.filaments || [];
-                modelsToImport = importData.models || [];
-                printsToImport = importData.prints || [];
+    if (!reading.valid) {
+        preview.innerHTML = document.getElementById('weighInTare').value === '' ?
+            '⚠️ No tare known for this spool - weigh an empty spool of this brand or enter an estimate.' :
+            'Enter the scale reading to see the remaining filament.';
+        return;
+    }
 
-                showSuccessMessage('Importing legacy format data');
-            }
+    const sign = reading.difference > 0 ? '+' : '';
+    preview.innerHTML = `
+        Net filament: <strong>${reading.net.toFixed(1)}g</strong><br>
+        Adjustment: <span class="${reading.difference < 0 ? 'ledger-debit' : 'ledger-credit'}">${sign}${reading.difference.toFixed(1)}g</span> against the computed ${reading.spool.remainingWeight.toFixed(1)}g
+    `;
+}
 
-            const hasFilaments = filamentsToImport.length > 0;
-            const hasModels = modelsToImport.length > 0;
-            const hasPrints = printsToImport.length > 0;
+function applyWeighIn() {
+    const reading = readWeighIn();
+    const spool = reading.spool;
+    const filament = spool && filaments.find(f => f.id === spool.filamentId);
+    if (!filament) return;
 
-            if (!hasFilaments && !hasModels && !hasPrints) {
-                AccessibilityNotifications.announceError('Import', 'No data found in file');
-                return;
-            }
+    if (!reading.valid) {
+        showErrorMessage('Enter both the scale reading and the empty spool weight');
+        return;
+    }
 
-            const confirmed = confirm(
-                `File contains:\n${hasFilaments ? `• ${filamentsToImport.length} Filaments\n` : ''}${hasModels ? `• ${modelsToImport.length} Models\n` : ''}${hasPrints ? `• ${printsToImport.length} Print records\n` : ''}\n\nOK = Replace these items\nCancel = Add (keep existing)`
-            );
+    const pending = UndoHistory.begin(`Weigh in ${filament.brand} ${filament.color}`, ['spools', 'filaments']);
+    const previousWeight = filament.weight || 0;
 
-            const mode = confirmed ? 'replace' : 'add';
+    // A tare typed here was measured for this spool, unless it is just the brand default
+    if (reading.tare !== getBrandTare(filament.brand)) {
+        spool.tare = reading.tare;
+    }
+    if (document.getElementById('weighInSaveBrandTare').checked) {
+        setBrandTare(filament.brand, reading.tare);
+        updateSpoolTaresList();
+    }
 
-            // Process and validate filaments
-            if (hasFilaments) {
-                const processedFilaments = filamentsToImport.map(f => {
-                    // Ensure required fields exist
-                    if (!f.brand) f.brand = 'Unknown';
-                    if (!f.materialType && f.material) f.materialType = f.material;
-                    if (!f.materialType) f.materialType = 'Unknown';
-                    if (!f.colorHex) f.colorHex = '#cccccc';
-                    if (!f.diameter) f.diameter = 1.75;
-                    if (f.id === undefined) f.id = Date.now() + Math.random();
-                    return f;
-                });
+    if (spool.state === 'sealed' && reading.difference < 0) {
+        spool.state = 'opened';
+        spool.openedDate = new Date().toISOString();
+    }
+    setSpoolRemaining(spool, reading.net);
+    spool.lastWeighIn = { gross: reading.gross, tare: reading.tare, date: new Date().toISOString() };
 
-                if (mode === 'replace') {
-                    filaments = processedFilaments;
-                } else {
-                    filaments.push(...processedFilaments);
-                }
-                ensureFilamentIds();
-            }
+    syncFilamentWeight(filament);
+    filament.inStock = filament.weight > 0;
+    InventoryService.recordAdjustment(filament, filament.weight - previousWeight, 'reconciliation',
+        `Weigh-in: ${reading.gross}g gross - ${reading.tare}g tare`);
 
-            // Process and validate models
-            if (hasModels) {
-                modelsToImport.forEach(m => {
-                    if (!m.id) m.id = Date.now() + Math.random();
-                    if (m.requirements) {
-                        m.requirements.forEach(req => {
-                            if (!req.filamentId && req.color && req.material) {
-                                req.filamentId = resolveFilamentId(req.color, req.material);
-                            }
-                            // Handle migration from material to materialType
-                            if (req.material && !req.materialType) {
-                                req.materialType = req.material;
-                            }
-                        });
-                    }
-                });
+    saveData();
+    updateAllTables();
+    renderSpoolList();
+    closeWeighIn();
+    commitUndoable(pending, `${filament.brand} ${filament.color} reconciled to ${filament.weight.toFixed(1)}g` +
+        (Math.abs(reading.difference) >= 0.05 ? ` (${reading.difference > 0 ? '+' : ''}${reading.difference.toFixed(1)}g)` : ''));
+}
 
-                if (mode === 'replace') {
-                    models = modelsToImport;
-                } else {
-                    modelsToImport.forEach(m => {
-                        if (!models.some(x => x.name.toLowerCase() === m.name.toLowerCase())) {
-                            models.push(m);
-                        }
-                    });
-                }
-            }
+// ============================
+// Purchases
+// ============================
 
-            // Process and validate prints
-            if (hasPrints) {
-                printsToImport.forEach(p => {
-                    if (!p.id) p.id = Date.now() + Math.random();
-                });
+// Each restock is its own record, so buying more keeps what was paid before.
+// Filament and spool prices are kept in DEFAULT_CURRENCY; purchases made in
+// another currency store the rate they were converted at.
+const DEFAULT_CURRENCY = 'USD';
 
-                if (mode === 'replace') {
-                    prints = printsToImport;
-                } else {
-                    prints.push(...printsToImport);
-                }
-            }
+// How model costs price the filament they will use
+const CostBasisMethods = {
+    fifo: 'FIFO (spools in the order prints use them)',
+    average: 'Weighted average of all purchases'
+};
 
-            // Save with validation
-            if (saveData()) {
-                updateAllTables();
-                showSuccessMessage(`Import completed successfully! ${hasFilaments ? `${filamentsToImport.length} filaments, ` : ''}${hasModels ? `${modelsToImport.length} models, ` : ''}${hasPrints ? `${printsToImport.length} print records` : ''} imported.`);
-                AccessibilityNotifications.announceSuccess('Import completed successfully');
-            } else {
-                AccessibilityNotifications.announceError('Import', 'Failed to save imported data');
-            }
+let costBasisMethod = 'fifo';
 
-        } catch (error) {
-            AccessibilityNotifications.announceError('Import', `Invalid data format: ${error.message}`);
-        }
-    };
+function saveCostBasisMethod() {
+    localStorage.setItem('printStack_costBasis', costBasisMethod);
+}
 
-    reader.readAsText(file);
-    e.target.value = '';
+function loadCostBasisMethod() {
+    const saved = localStorage.getItem('printStack_costBasis');
+    if (CostBasisMethods[saved]) {
+        costBasisMethod = saved;
+    }
 }
 
-// Filament Functions
-function addFilament() {
-    const form = document.getElementById('filamentForm');
-    const submitButton = document.getElementById('addFilamentBtn');
+function describePurchase(purchase) {
+    const source = [purchase.vendor || 'Purchase', purchase.orderReference ? `#${purchase.orderReference}` : ''].filter(Boolean).join(' ');
+    return `${source} (${new Date(purchase.date).toLocaleDateString()})`;
+}
 
-    // Validate form using enhanced validation
-    const validation = validateForm(form);
-    if (!validation.valid) {
-        return false;
-    }
+function getPurchaseTotal(purchase) {
+    return purchase.items.reduce((sum, item) => sum + item.spoolCount * item.pricePerSpool, 0) + (purchase.shipping || 0);
+}
 
-    // Show loading state for better UX
-    showLoadingState(submitButton, true);
+/**
+ * How much one unit of the purchase's currency is worth in DEFAULT_CURRENCY
+ * @returns {number|null} null for a foreign purchase saved without a rate
+ */
+function getPurchaseExchangeRate(purchase) {
+    if ((purchase.currency || DEFAULT_CURRENCY) === DEFAULT_CURRENCY) return 1;
+    return purchase.exchangeRate > 0 ? purchase.exchangeRate : null;
+}
 
-    try {
-        const filamentData = collectFilamentFormData();
-        const duplicate = checkForFilamentDuplicate(filamentData);
+/**
+ * Grams and landed cost of each purchase line, with shipping shared out by line value
+ * @param {Object} purchase - Purchase record
+ * @returns {Array} The purchase items with grams, cost and costPerKg in the purchase's
+ *   currency, and baseCost and baseCostPerKg in DEFAULT_CURRENCY (null without a rate)
+ */
+function getPurchaseLineCosts(purchase) {
+    const subtotal = purchase.items.reduce((sum, item) => sum + item.spoolCount * item.pricePerSpool, 0);
+    const rate = getPurchaseExchangeRate(purchase);
+    return purchase.items.map(item => {
+        const value = item.spoolCount * item.pricePerSpool;
+        const shipping = subtotal > 0 ? (purchase.shipping || 0) * value / subtotal : 0;
+        const grams = item.spoolCount * item.weightPerSpool;
+        const cost = value + shipping;
+        const costPerKg = grams > 0 ? cost / grams * 1000 : 0;
+        return {
+            ...item,
+            grams,
+            cost,
+            costPerKg,
+            baseCost: rate === null ? null : cost * rate,
+            baseCostPerKg: rate === null ? null : costPerKg * rate
+        };
+    });
+}
+
+// Every purchase line for a filament, oldest first
+function getFilamentPurchaseLots(filamentId) {
+    return purchases
+        .flatMap(purchase => getPurchaseLineCosts(purchase)
+            .filter(line => line.filamentId === filamentId)
+            .map(line => ({ ...line, date: purchase.date, vendor: purchase.vendor, currency: purchase.currency })))
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+// Average in DEFAULT_CURRENCY; lots with no exchange rate are left out rather than mixed in
+function getAverageCostPerKg(filamentId) {
+    const lots = getFilamentPurchaseLots(filamentId).filter(lot => lot.grams > 0 && lot.baseCost !== null);
+    const grams = lots.reduce((sum, lot) => sum + lot.grams, 0);
+    return grams > 0 ? lots.reduce((sum, lot) => sum + lot.baseCost, 0) / grams * 1000 : null;
+}
+
+/**
+ * Cost of the next grams a print would take, priced spool by spool in the order
+ * prints draw from them. Anything beyond the spools on hand costs the latest price.
+ * @returns {number|null} null when nothing about the filament is priced
+ */
+function getFifoCost(filament, grams) {
+    let remaining = grams;
+    let cost = 0;
+    let priced = false;
+
+    for (const spool of getDrawableSpools(filament.id)) {
+        if (remaining <= 0) break;
+
+        const taken = Math.min(spool.remainingWeight, remaining);
+        const pricePerKg = spool.purchasePrice || filament.purchasePrice;
+        if (pricePerKg) {
+            cost += taken * pricePerKg / 1000;
+            priced = true;
+        }
+        remaining -= taken;
+    }
+    if (remaining > 0 && filament.purchasePrice) {
+        cost += remaining * filament.purchasePrice / 1000;
+        priced = true;
+    }
+    return priced ? cost : null;
+}
+
+function getFilamentCost(filament, grams) {
+    if (costBasisMethod === 'average') {
+        const pricePerKg = getAverageCostPerKg(filament.id) ?? filament.purchasePrice;
+        return pricePerKg ? grams * pricePerKg / 1000 : null;
+    }
+    return getFifoCost(filament, grams);
+}
 
-        if (duplicate) {
-            handleDuplicateFilament(duplicate, filamentData, submitButton);
+/**
+ * Adds a purchase's spools to inventory: new spools for each line, or the
+ * weight topped up on the existing spool the line points at. Prices are
+ * stored in DEFAULT_CURRENCY, so the purchase must have its exchange rate.
+ */
+function applyPurchaseStock(purchase) {
+    getPurchaseLineCosts(purchase).forEach((line, index) => {
+        const filament = filaments.find(f => f.id === line.filamentId);
+        if (!filament) return;
+
+        const previousWeight = filament.weight || 0;
+        const costPerKg = Math.round(line.baseCostPerKg * 100) / 100;
+        const target = line.spoolId ? spools.find(s => s.id === line.spoolId) : null;
+        if (target) {
+            // Blend the price of what was left with the price of what was added
+            const left = target.remainingWeight || 0;
+            target.purchasePrice = target.purchasePrice ?
+                Math.round((left * target.purchasePrice + line.grams * costPerKg) / (left + line.grams) * 100) / 100 :
+                costPerKg;
+            setSpoolRemaining(target, left + line.grams);
         } else {
-            addNewFilament(filamentData);
+            purchase.items[index].spoolIds = [];
+            for (let i = 0; i < line.spoolCount; i++) {
+                const spool = createSpool(filament, {
+                    remainingWeight: line.weightPerSpool,
+                    lot: purchase.orderReference || '',
+                    location: filament.location || '',
+                    purchaseDate: new Date(purchase.date).toISOString(),
+                    purchasePrice: costPerKg,
+                    purchaseId: purchase.id
+                });
+                spools.push(spool);
+                purchase.items[index].spoolIds.push(spool.id);
+            }
         }
 
-        // Clear form
-        clearFilamentForm(form);
+        syncFilamentWeight(filament);
+        filament.inStock = true;
+        // The filament keeps showing its latest price; the history lives in the purchases
+        if (!filament.purchaseDate || purchase.date >= filament.purchaseDate.split('T')[0]) {
+            filament.purchaseDate = new Date(purchase.date).toISOString();
+            filament.purchasePrice = costPerKg;
+        }
+        InventoryService.recordAdjustment(filament, filament.weight - previousWeight, 'purchase', purchase.id);
+    });
+}
 
-        // Save and update UI
-        saveData();
-        updateAllTables();
+function buildPurchaseFilamentOptions(selectedId = null) {
+    return '<option value="">Select Filament</option>' + filaments.map(f =>
+        `<option value="${f.id}" ${selectedId === f.id ? 'selected' : ''}>${f.brand} ${f.materialType || f.material} ${f.color}</option>`
+    ).join('');
+}
 
-        // Announce success for screen readers
-        AccessibilityNotifications.announceSuccess(`${filamentData.brand} ${filamentData.materialType} filament added successfully`);
+function buildPurchaseTargetOptions(filamentId) {
+    return '<option value="">New spools</option>' + getFilamentSpools(filamentId)
+        .filter(spool => spool.state !== 'empty')
+        .map(spool => `<option value="${spool.id}">Top up ${describeSpool(spool)} (${spool.remainingWeight.toFixed(0)}g)</option>`)
+        .join('');
+}
 
-    } catch (error) {
-        AccessibilityNotifications.announceError('Add Filament', 'An unexpected error occurred');
-    } finally {
-        showLoadingState(submitButton, false);
-    }
+function addPurchaseLine(filamentId = null) {
+    const div = document.createElement('div');
+    div.className = 'purchase-line';
+    div.innerHTML = `
+        <select class="purchase-line-filament" onchange="updatePurchaseLineTarget(this)" title="Filament bought">
+            ${buildPurchaseFilamentOptions(filamentId)}
+        </select>
+        <select class="purchase-line-target" onchange="updatePurchaseTotal()" title="Add new spools, or top up a spool you already have">
+            ${buildPurchaseTargetOptions(filamentId)}
+        </select>
+        <input type="number" class="purchase-line-count" min="1" step="1" value="1" oninput="updatePurchaseTotal()" title="Number of spools">
+        <input type="number" class="purchase-line-weight" min="1" step="1" value="1000" oninput="updatePurchaseTotal()" title="Filament per spool in grams">
+        <input type="number" class="purchase-line-price" min="0" step="0.01" placeholder="Price per spool" oninput="updatePurchaseTotal()" title="Price paid per spool">
+        <button type="button" class="remove-btn" onclick="this.closest('.purchase-line').remove(); updatePurchaseTotal()" title="Remove line">✕</button>
+    `;
+    document.getElementById('purchaseLinesContainer').appendChild(div);
+}
 
-    return true;
+function updatePurchaseLineTarget(select) {
+    const line = select.closest('.purchase-line');
+    line.querySelector('.purchase-line-target').innerHTML = buildPurchaseTargetOptions(parseFloat(select.value));
+    updatePurchaseTotal();
 }
 
-function collectFilamentFormData() {
-    let materialType = document.getElementById('filamentMaterialType').value;
+function readPurchaseLines(errors = []) {
+    const items = [];
+    document.querySelectorAll('#purchaseLinesContainer .purchase-line').forEach((line, index) => {
+        const filamentId = parseFloat(line.querySelector('.purchase-line-filament').value);
+        const spoolId = parseFloat(line.querySelector('.purchase-line-target').value);
+        const spoolCount = parseInt(line.querySelector('.purchase-line-count').value);
+        const weightPerSpool = parseFloat(line.querySelector('.purchase-line-weight').value);
+        const pricePerSpool = parseFloat(line.querySelector('.purchase-line-price').value);
 
-    // Handle custom material type
-    if (materialType === 'Other') {
-        materialType = document.getElementById('filamentMaterialTypeCustom').value.trim();
+        if (!filaments.some(f => f.id === filamentId)) {
+            errors.push(`• Line ${index + 1}: select a filament`);
+            return;
+        }
+        if (isNaN(spoolCount) || spoolCount < 1) errors.push(`• Line ${index + 1}: buy at least one spool`);
+        if (isNaN(weightPerSpool) || weightPerSpool <= 0) errors.push(`• Line ${index + 1}: enter the filament weight per spool`);
+        if (isNaN(pricePerSpool) || pricePerSpool < 0) errors.push(`• Line ${index + 1}: enter the price per spool`);
+        items.push({ filamentId, spoolId: isNaN(spoolId) ? null : spoolId, spoolCount, weightPerSpool, pricePerSpool });
+    });
+    return items;
+}
+
+function readPurchaseCurrency() {
+    return document.getElementById('purchaseCurrency').value.trim().toUpperCase() || DEFAULT_CURRENCY;
+}
+
+// The rate field only applies to foreign purchases; it starts from the last rate used for that currency
+function updatePurchaseExchangeRate() {
+    const currency = readPurchaseCurrency();
+    const input = document.getElementById('purchaseExchangeRate');
+    const foreign = currency !== DEFAULT_CURRENCY;
+
+    document.getElementById('purchaseExchangeRateGroup').style.display = foreign ? '' : 'none';
+    document.getElementById('purchaseExchangeRateLabel').textContent = `${DEFAULT_CURRENCY} per 1 ${currency}`;
+    input.required = foreign;
+    const previous = foreign && [...purchases].reverse().find(purchase => purchase.currency === currency && purchase.exchangeRate > 0);
+    input.value = previous ? previous.exchangeRate : '';
+    updatePurchaseTotal();
+}
+
+function updatePurchaseTotal() {
+    const items = readPurchaseLines();
+    const shipping = parseFloat(document.getElementById('purchaseShipping').value) || 0;
+    const currency = readPurchaseCurrency();
+    const rate = parseFloat(document.getElementById('purchaseExchangeRate').value);
+    const grams = items.reduce((sum, item) => sum + (item.spoolCount * item.weightPerSpool || 0), 0);
+    const total = items.reduce((sum, item) => sum + (item.spoolCount * item.pricePerSpool || 0), 0) + shipping;
+    const converted = currency !== DEFAULT_CURRENCY && rate > 0 ?
+        `, ${(total / grams * 1000 * rate).toFixed(2)} ${DEFAULT_CURRENCY}/kg` : '';
+    document.getElementById('purchaseTotal').textContent = grams > 0 ?
+        `${(grams / 1000).toFixed(2)}kg for ${total.toFixed(2)} ${currency} (${(total / grams * 1000).toFixed(2)} ${currency}/kg${converted} including shipping)` : '';
+}
+
+function openPurchaseModal(filamentId = null) {
+    document.getElementById('purchaseForm').reset();
+    document.getElementById('purchaseDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('purchaseCurrency').value = purchases.length > 0 ? purchases[purchases.length - 1].currency : DEFAULT_CURRENCY;
+    updatePurchaseExchangeRate();
+    document.getElementById('purchaseLinesContainer').innerHTML = '';
+    addPurchaseLine(filamentId);
+    updatePurchaseTotal();
+    document.getElementById('purchaseModal').style.display = 'block';
+}
+
+function closePurchaseModal() {
+    document.getElementById('purchaseModal').style.display = 'none';
+}
+
+function savePurchase() {
+    const errors = [];
+    const date = document.getElementById('purchaseDate').value;
+    const shippingValue = document.getElementById('purchaseShipping').value;
+    const shipping = shippingValue === '' ? 0 : parseFloat(shippingValue);
+    const currency = readPurchaseCurrency();
+    const exchangeRate = currency === DEFAULT_CURRENCY ? 1 : parseFloat(document.getElementById('purchaseExchangeRate').value);
+    const items = readPurchaseLines(errors);
+
+    if (!date) errors.push('• Enter the purchase date');
+    if (isNaN(shipping) || shipping < 0) errors.push('• Shipping must be 0 or more');
+    if (!/^[A-Z]{3}$/.test(currency)) errors.push('• Currency must be a three-letter code (e.g., USD, EUR)');
+    if (isNaN(exchangeRate) || exchangeRate <= 0) {
+        errors.push(`• Enter how many ${DEFAULT_CURRENCY} one ${currency} was worth, so the spools are priced in ${DEFAULT_CURRENCY}`);
+    }
+    if (items.length === 0) errors.push('• Add at least one filament to the purchase');
+    if (errors.length > 0) {
+        alert(`Please fix the following issues:\n\n${errors.join('\n')}\n\nClick OK to continue editing.`);
+        return;
     }
 
-    const filament = {
-        id: Date.now() + Math.random(), // Ensure uniqueness
-        brand: document.getElementById('filamentBrand').value.trim(),
-        materialType,
-        color: document.getElementById('filamentColor').value.trim(),
-        colorHex: document.getElementById('filamentColorHex').value,
-        diameter: parseFloat(document.getElementById('filamentDiameter').value),
-        weight: parseFloat(document.getElementById('filamentWeight').value) || 0,
-        location: document.getElementById('filamentLocation').value.trim() || '',
-        purchasePrice: document.getElementById('filamentPurchasePrice').value ?
-            parseFloat(document.getElementById('filamentPurchasePrice').value) : null,
-        notes: document.getElementById('filamentNotes').value.trim() || '',
-        inStock: document.getElementById('filamentInStock').checked,
-        purchaseDate: new Date().toISOString() // Auto-add purchase date
+    const vendor = document.getElementById('purchaseVendor').value.trim();
+    const purchase = {
+        id: Date.now() + Math.random(),
+        vendor,
+        date,
+        currency,
+        exchangeRate,
+        shipping,
+        orderReference: document.getElementById('purchaseOrderReference').value.trim(),
+        items,
+        addedDate: new Date().toISOString()
     };
 
-    // Add temperature range if provided
-    const tempMin = document.getElementById('filamentTempMin').value;
-    const tempMax = document.getElementById('filamentTempMax').value;
-
-    if (tempMin || tempMax) {
-        filament.temperature = {
-            min: tempMin ? parseInt(tempMin) : null,
-            max: tempMax ? parseInt(tempMax) : null
-        };
-    }
-
-    return filament;
-}
+    const pending = UndoHistory.begin(`Record purchase${vendor ? ` from ${vendor}` : ''}`, ['purchases', 'spools', 'filaments']);
+    applyPurchaseStock(purchase);
+    purchases.push(purchase);
 
-function checkForFilamentDuplicate(filamentData) {
-    return filaments.find(f =>
-        f.brand.toLowerCase() === filamentData.brand.toLowerCase() &&
-        f.materialType.toLowerCase() === filamentData.materialType.toLowerCase() &&
-        f.colorHex.toLowerCase() === filamentData.colorHex.toLowerCase()
-    );
+    saveData();
+    updateAllTables();
+    closePurchaseModal();
+    const grams = items.reduce((sum, item) => sum + item.spoolCount * item.weightPerSpool, 0);
+    commitUndoable(pending, `Purchase recorded - ${grams.toFixed(0)}g added to inventory`);
 }
 
-function handleDuplicateFilament(duplicate, filamentData, submitButton) {
-    showLoadingState(submitButton, false);
+function deletePurchase(id) {
+    const purchase = purchases.find(p => p.id === id);
+    if (!purchase) return;
 
-    const shouldMerge = confirm(
-        `Duplicate filament detected:\n${duplicate.brand} ${duplicate.materialType} in ${duplicate.color}\n\n` +
-        `Would you like to merge with the existing entry?\n\n` +
-        `OK = Merge quantities\nCancel = Create new entry anyway`
-    );
+    if (!confirm(`Delete the purchase record ${describePurchase(purchase)}?\n\nThe spools it added stay in inventory.`)) return;
 
-    if (shouldMerge) {
-        // Merge with existing entry
-        duplicate.weight += filamentData.weight;
-        duplicate.notes = duplicate.notes ?
-            `${duplicate.notes}; ${filamentData.notes}` : filamentData.notes;
-        showSuccessMessage(`Filament quantities merged successfully`);
-    } else {
-        // Add new entry anyway
-        filaments.push(filamentData);
-        showSuccessMessage('New filament added successfully');
-    }
+    const pending = UndoHistory.begin('Delete purchase', ['purchases']);
+    purchases = purchases.filter(p => p.id !== id);
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, 'Purchase deleted');
 }
 
-function addNewFilament(filamentData) {
-    filaments.push(filamentData);
-    showSuccessMessage('Filament added successfully');
+// The base-currency total of a foreign purchase, or a note that it has no rate
+function describePurchaseConversion(purchase) {
+    const rate = getPurchaseExchangeRate(purchase);
+    if (rate === null) return `<br><span class="text-muted">No ${DEFAULT_CURRENCY} rate - left out of average costs</span>`;
+    if (rate === 1) return '';
+    return `<br><span class="text-muted">${(getPurchaseTotal(purchase) * rate).toFixed(2)} ${DEFAULT_CURRENCY} at ${rate}</span>`;
 }
 
-function clearFilamentForm(form) {
-    form.reset();
+function updatePurchaseList() {
+    const container = document.getElementById('purchaseList');
+    if (!container) return;
 
-    // Clear custom material type field
-    const customMaterialType = document.getElementById('filamentMaterialTypeCustom');
-    if (customMaterialType) {
-        customMaterialType.style.display = 'none';
-        customMaterialType.setAttribute('aria-hidden', 'true');
+    if (purchases.length === 0) {
+        container.innerHTML = '<p class="text-muted">No purchases recorded yet.</p>';
+        return;
     }
-}
 
-function editFilament(id) {
-    const f = filaments.find(x => x.id === id);
-    if (!f) return;
+    const describeItem = item => {
+        const filament = filaments.find(f => f.id === item.filamentId);
+        const name = filament ? `${filament.brand} ${filament.materialType} ${filament.color}` : 'Deleted filament';
+        return `${item.spoolCount} × ${name} (${item.weightPerSpool}g)`;
+    };
+    const sorted = [...purchases].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    container.innerHTML = `
+        <table class="purchase-table">
+            <thead>
+                <tr><th>Date</th><th>Vendor</th><th>Items</th><th>Shipping</th><th>Total</th><th>Order</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${sorted.map(purchase => `
+                    <tr>
+                        <td>${new Date(purchase.date).toLocaleDateString()}</td>
+                        <td>${purchase.vendor || (purchase.legacy ? '<span class="text-muted">Before purchases were tracked</span>' : '—')}</td>
+                        <td>${purchase.items.map(describeItem).join('<br>')}</td>
+                        <td>${purchase.shipping ? `${purchase.shipping.toFixed(2)} ${purchase.currency}` : '—'}</td>
+                        <td>${getPurchaseTotal(purchase).toFixed(2)} ${purchase.currency}${describePurchaseConversion(purchase)}</td>
+                        <td>${purchase.orderReference || '—'}</td>
+                        <td class="actions">
+                            <button type="button" class="btn-icon btn-danger" onclick="deletePurchase(${purchase.id})" aria-label="Delete purchase">🗑️</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
 
-    editingFilamentId = id;
+/**
+ * Purchase prices grouped by brand and material (one group per currency)
+ * @returns {Array} { key, brand, material, currency, points, grams, cost, averagePerKg }
+ */
+function getPriceHistoryGroups() {
+    const groups = new Map();
+    purchases.forEach(purchase => {
+        getPurchaseLineCosts(purchase).forEach(line => {
+            const filament = filaments.find(f => f.id === line.filamentId);
+            if (!filament || line.grams <= 0) return;
+
+            const material = filament.materialType || filament.material;
+            const key = `${filament.brand}|${material}|${purchase.currency}`;
+            if (!groups.has(key)) {
+                groups.set(key, { key, brand: filament.brand, material, currency: purchase.currency, points: [], grams: 0, cost: 0 });
+            }
+            const group = groups.get(key);
+            group.points.push({ date: purchase.date, costPerKg: line.costPerKg, vendor: purchase.vendor, color: filament.color });
+            group.grams += line.grams;
+            group.cost += line.cost;
+        });
+    });
 
-    // Map to enhanced edit modal fields
-    document.getElementById('editFilamentBrand').value = f.brand || '';
-    document.getElementById('editFilamentMaterialType').value = f.materialType || f.material || '';
-    document.getElementById('editFilamentColor').value = f.color || '';
-    document.getElementById('editFilamentColorHex').value = f.colorHex || '#cccccc';
-    document.getElementById('editFilamentWeight').value = f.weight || 0;
-    document.getElementById('editFilamentDiameter').value = f.diameter || 1.75;
-    document.getElementById('editFilamentLocation').value = f.location || '';
-    document.getElementById('editFilamentPurchasePrice').value = f.purchasePrice || '';
-    document.getElementById('editFilamentInStock').checked = f.inStock;
-    document.getElementById('editFilamentNotes').value = f.notes || '';
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            points: group.points.sort((a, b) => a.date.localeCompare(b.date)),
+            averagePerKg: group.cost / group.grams * 1000
+        }))
+        .sort((a, b) => `${a.brand} ${a.material}`.localeCompare(`${b.brand} ${b.material}`));
+}
+
+// Line chart of price per kg over time, drawn as inline SVG
+function renderPriceHistoryChart(group) {
+    const width = 600;
+    const height = 200;
+    const pad = 40;
+    const times = group.points.map(point => new Date(point.date).getTime());
+    const prices = group.points.map(point => point.costPerKg);
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime || 1;
+    const maxPrice = Math.max(...prices) * 1.1 || 1;
+    const x = time => group.points.length === 1 ? width / 2 : pad + (time - minTime) / timeSpan * (width - pad * 2);
+    const y = price => height - pad - price / maxPrice * (height - pad * 2);
+    const coordinates = group.points.map((point, i) => `${x(times[i]).toFixed(1)},${y(prices[i]).toFixed(1)}`);
+
+    return `
+        <svg class="price-history-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price per kg of ${group.brand} ${group.material} over time">
+            <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="price-history-axis"></line>
+            <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="price-history-axis"></line>
+            <line x1="${pad}" y1="${y(group.averagePerKg).toFixed(1)}" x2="${width - pad}" y2="${y(group.averagePerKg).toFixed(1)}" class="price-history-average"></line>
+            <text x="${pad - 5}" y="${pad}" text-anchor="end">${maxPrice.toFixed(0)}</text>
+            <text x="${pad - 5}" y="${height - pad}" text-anchor="end">0</text>
+            <text x="${pad}" y="${height - pad + 20}">${new Date(group.points[0].date).toLocaleDateString()}</text>
+            <text x="${width - pad}" y="${height - pad + 20}" text-anchor="end">${new Date(group.points[group.points.length - 1].date).toLocaleDateString()}</text>
+            <polyline points="${coordinates.join(' ')}" class="price-history-line"></polyline>
+            ${group.points.map((point, i) => `
+                <circle cx="${x(times[i]).toFixed(1)}" cy="${y(prices[i]).toFixed(1)}" r="4" class="price-history-point">
+                    <title>${new Date(point.date).toLocaleDateString()} - ${point.color}${point.vendor ? ` from ${point.vendor}` : ''}: ${point.costPerKg.toFixed(2)} ${group.currency}/kg</title>
+                </circle>
+            `).join('')}
+        </svg>
+    `;
+}
 
-    // Handle temperature range
-    if (f.temperature) {
-        document.getElementById('editFilamentTempMin').value = f.temperature.min || '';
-        document.getElementById('editFilamentTempMax').value = f.temperature.max || '';
-    } else {
-        document.getElementById('editFilamentTempMin').value = '';
-        document.getElementById('editFilamentTempMax').value = '';
+function updateFilamentPrices() {
+    const container = document.getElementById('filamentPrices');
+    if (!container) return;
+
+    document.getElementById('costBasisMethod').value = costBasisMethod;
+    const groups = getPriceHistoryGroups();
+    if (groups.length === 0) {
+        container.innerHTML = '<p class="text-muted">Record purchases to see price history.</p>';
+        return;
     }
 
-    document.getElementById('editFilamentModal').style.display = 'block';
-    showFieldFeedback(document.getElementById('editFilamentBrand'), 'info', `Editing: ${f.brand} ${f.materialType}`);
+    const select = document.getElementById('priceHistoryGroup');
+    const selected = groups.find(group => group.key === select.value) || groups[0];
+    select.innerHTML = groups.map(group =>
+        `<option value="${group.key}" ${group === selected ? 'selected' : ''}>${group.brand} ${group.material} (${group.currency})</option>`
+    ).join('');
+
+    container.innerHTML = `
+        ${renderPriceHistoryChart(selected)}
+        <table class="purchase-table">
+            <thead>
+                <tr><th>Brand</th><th>Material</th><th>Bought</th><th>Average per kg</th><th>Latest per kg</th></tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => `
+                    <tr>
+                        <td>${group.brand}</td>
+                        <td>${group.material}</td>
+                        <td>${(group.grams / 1000).toFixed(1)}kg</td>
+                        <td>${group.averagePerKg.toFixed(2)} ${group.currency}</td>
+                        <td>${group.points[group.points.length - 1].costPerKg.toFixed(2)} ${group.currency}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
-function closeEditFilamentModal() {
-    document.getElementById('editFilamentModal').style.display = 'none';
-    editingFilamentId = null;
+function handleCostBasisChange(select) {
+    costBasisMethod = CostBasisMethods[select.value] ? select.value : 'fifo';
+    saveCostBasisMethod();
+    updateModelTable();
+    showSuccessMessage(`Model costs now use ${CostBasisMethods[costBasisMethod]}`);
 }
 
-function saveEditFilament() {
-    const f = filaments.find(x => x.id === editingFilamentId);
-    if (!f) return;
+// ============================
+// Inventory Ledger
+// ============================
 
-    // Get the actual edit form element
-    const editForm = document.getElementById('editFilamentForm');
-    if (!editForm) {
-        showErrorMessage('Edit form not found');
-        return false;
-    }
+// Why a filament's weight changed, keyed by the source stored on each entry
+const LedgerSources = {
+    opening: 'Opening balance',
+    added: 'Filament added',
+    merge: 'Merged duplicate',
+    print: 'Print',
+    waste: 'Failed print',
+    printEdit: 'Print edited',
+    printDeleted: 'Print deleted',
+    purchase: 'Purchase',
+    edit: 'Manual edit',
+    import: 'Import',
+    reconciliation: 'Reconciliation',
+    undo: 'Undo',
+    redo: 'Redo',
+    rollback: 'Migration rollback',
+    recompute: 'Recomputed from history'
+};
 
-    // Validate the actual form
-    const validation = validateForm(editForm);
-    if (!validation.valid) {
-        showErrorMessage(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+function createLedgerEntry(filament, delta, source, reference = null) {
+    return {
+        id: Date.now() + Math.random(),
+        filamentId: filament.id,
+        source,
+        reference,
+        delta: Math.round(delta * 100) / 100,
+        balance: filament.weight,
+        timestamp: new Date().toISOString()
+    };
+}
 
-        // Clear any existing field errors
-        editForm.querySelectorAll('.form-error').forEach(el => {
-            el.classList.remove('form-error');
-            el.setAttribute('aria-invalid', 'false');
-        });
-        editForm.querySelectorAll('.error-message').forEach(el => el.remove());
+// Append-only: entries are never edited or removed, corrections add new entries
+const InventoryLedger = {
+    /**
+     * Records a weight change that has already been applied to the filament
+     * @param {Object} filament - Filament after the change; its weight is the balance
+     * @param {number} delta - Grams added (positive) or removed (negative)
+     * @param {string} source - Key of LedgerSources
+     * @param {*} reference - Print id, file name or other context for the change
+     * @returns {Object|null} The new entry, or null when the weight did not change
+     */
+    record(filament, delta, source, reference = null) {
+        if (!filament || !delta) return null;
+
+        const entry = createLedgerEntry(filament, delta, source, reference);
+        inventoryLedger.push(entry);
+        return entry;
+    },
 
-        // Show specific validation errors
-        Object.entries(validation.errors).forEach(([fieldName, message]) => {
-            const field = editForm.querySelector(`[name="${fieldName}"]`);
-            if (field) {
-                showFieldError(field, message);
-            } else {
-            }
-        });
+    // Current weight of every filament, to pass to recordChanges() after a bulk update
+    snapshotWeights() {
+        return new Map(filaments.map(f => [f.id, f.weight || 0]));
+    },
 
-        // Focus the first error field
-        const firstErrorField = editForm.querySelector('.form-error');
-        if (firstErrorField) {
-            firstErrorField.focus();
-        }
+    /**
+     * Records an entry for every filament whose weight differs from the snapshot
+     * @param {Map} previousWeights - Result of snapshotWeights() taken before the update
+     * @param {boolean} includeNew - Also record filaments missing from the snapshot, starting from 0g
+     */
+    recordChanges(previousWeights, source, reference = null, includeNew = false) {
+        filaments.forEach(f => {
+            if (!previousWeights.has(f.id) && !includeNew) return;
+            this.record(f, (f.weight || 0) - (previousWeights.get(f.id) || 0), source, reference);
+        });
+    },
 
-        return false;
+    entriesFor(filamentId) {
+        // Newest first; reversing before the stable sort keeps same-millisecond entries in order
+        return inventoryLedger
+            .filter(e => e.filamentId === filamentId)
+            .reverse()
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
     }
+};
 
-    try {
-        // Update filament with enhanced fields
-        f.brand = document.getElementById('editFilamentBrand').value.trim();
-        f.materialType = document.getElementById('editFilamentMaterialType').value.trim();
-        f.color = document.getElementById('editFilamentColor').value.trim();
-        f.colorHex = document.getElementById('editFilamentColorHex').value;
-        f.weight = parseFloat(document.getElementById('editFilamentWeight').value) || 0;
-        f.diameter = parseFloat(document.getElementById('editFilamentDiameter').value) || 1.75;
-        f.location = document.getElementById('editFilamentLocation').value.trim() || '';
-        f.purchasePrice = document.getElementById('editFilamentPurchasePrice').value ?
-            parseFloat(document.getElementById('editFilamentPurchasePrice').value) : null;
-        f.inStock = document.getElementById('editFilamentInStock').checked;
-        f.notes = document.getElementById('editFilamentNotes').value.trim() || '';
-
-        // Handle temperature range
-        const tempMin = document.getElementById('editFilamentTempMin').value;
-        const tempMax = document.getElementById('editFilamentTempMax').value;
-
-        if (tempMin || tempMax) {
-            f.temperature = {
-                min: tempMin ? parseInt(tempMin) : null,
-                max: tempMax ? parseInt(tempMax) : null
-            };
-        } else {
-            delete f.temperature;
-        }
+// Plain text built from model names, vendors and free-text references - escape it for HTML
+function describeLedgerReference(entry) {
+    if (['print', 'waste', 'printEdit', 'printDeleted'].includes(entry.source)) {
+        const print = prints.find(p => p.id === entry.reference);
+        return print ? `${print.modelName} (${new Date(print.date).toLocaleDateString()})` : `Print #${entry.reference} (deleted)`;
+    }
+    if (entry.source === 'purchase') {
+        const purchase = purchases.find(p => p.id === entry.reference);
+        return purchase ? describePurchase(purchase) : 'Purchase (deleted)';
+    }
+    return entry.reference || '';
+}
 
-        // Update last modified timestamp
-        f.lastModified = new Date().toISOString();
+function openFilamentLedger(id) {
+    const filament = filaments.find(f => f.id === id);
+    if (!filament) return;
 
-        saveData();
-        updateAllTables();
-        closeEditFilamentModal();
+    const entries = InventoryLedger.entriesFor(id);
+    const latest = entries[0];
+    let html = `
+        <p><strong>${escapeHtml(`${filament.brand} ${filament.materialType} - ${filament.color}`)}</strong><br>
+        Current weight: ${(filament.weight || 0).toFixed(1)}g</p>
+        ${describeFilamentStock(filament)}
+    `;
 
-        showSuccessMessage(`${f.brand} ${f.materialType} filament updated successfully`);
-        AccessibilityNotifications.announceSuccess('Filament updated successfully');
+    // Changes made outside the ledger (e.g. before it existed) show up as a gap
+    if (latest && Math.abs(latest.balance - (filament.weight || 0)) > 0.01) {
+        html += `<p class="ledger-warning">⚠️ Last recorded balance is ${latest.balance.toFixed(1)}g - ${(filament.weight - latest.balance).toFixed(1)}g is unaccounted for.</p>`;
+    }
 
-    } catch (error) {
-        showErrorMessage('Failed to save filament changes');
-        return false;
+    if (entries.length === 0) {
+        html += '<p>No weight changes recorded yet.</p>';
+    } else {
+        html += `
+            <table class="ledger-table">
+                <thead>
+                    <tr><th>Date</th><th>Source</th><th>Reference</th><th>Change</th><th>Balance</th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(e => `
+                        <tr>
+                            <td>${new Date(e.timestamp).toLocaleString()}</td>
+                            <td>${LedgerSources[e.source] || e.source}</td>
+                            <td>${escapeHtml(describeLedgerReference(e))}</td>
+                            <td class="${e.delta < 0 ? 'ledger-debit' : 'ledger-credit'}">${e.delta > 0 ? '+' : ''}${e.delta.toFixed(1)}g</td>
+                            <td>${e.balance.toFixed(1)}g</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
-    return true;
+    document.getElementById('filamentLedgerContent').innerHTML = html;
+    document.getElementById('filamentLedgerModal').style.display = 'block';
 }
 
-function deleteFilament(id) {
-    const filament = filaments.find(f => f.id === id);
-    if (!filament) return;
+function closeFilamentLedger() {
+    document.getElementById('filamentLedgerModal').style.display = 'none';
+}
 
-    // Check for references in models (Task T029: Filament deletion prevention)
-    const modelReferences = [];
-    models.forEach(m => {
-        if (m.requirements) {
-            const refs = m.requirements.filter(r => r.filamentId === id);
-            if (refs.length > 0) {
-                modelReferences.push({
-                    modelName: m.name,
-                    count: refs.length
-                });
-            }
-        }
-    });
+// ============================
+// Inventory Service
+// ============================
 
-    // Check for references in print history
-    const printReferences = prints.filter(p =>
-        p.filamentId === id ||
-        (p.color === filament.color && (!p.material || p.material === filament.materialType))
-    );
+/**
+ * The one place to ask how much of a filament there is. Stock is derived from the
+ * grams brought in (spools, edits and weigh-ins, kept on filament.initialWeight)
+ * minus what the recorded prints consumed, minus what queued jobs reserve.
+ */
+const InventoryService = {
+    // Grams used by every recorded print, failed ones included
+    getConsumedWeight(filamentId) {
+        return DataCache.getConsumedWeights().get(filamentId) || 0;
+    },
 
-    // Build warning message if references exist
-    let warningMessage = `Delete ${filament.brand} ${filament.materialType} (${filament.color})?`;
-    let canDelete = true;
+    // Records without a basis (e.g. imported from an older export) start from what is on the shelf now
+    getInitialWeight(filament) {
+        if (typeof filament.initialWeight === 'number') return filament.initialWeight;
+        return getFilamentAvailableWeight(filament) + this.getConsumedWeight(filament.id);
+    },
 
-    if (modelReferences.length > 0 || printReferences.length > 0) {
-        canDelete = false;
-        warningMessage = `\u26a0\ufe0f Cannot delete - filament is referenced:\n\n`;
+    /**
+     * @param {Object} filament - Filament to report on
+     * @param {number} excludeJobId - Queue job whose reservation should not count
+     * @returns {Object} { initial, consumed, onHand, reserved, available, recorded, discrepancy }
+     *   where recorded is the spool (or filament) weight on file and discrepancy how far it is from the history
+     */
+    getStock(filament, excludeJobId = null) {
+        const initial = this.getInitialWeight(filament);
+        const consumed = this.getConsumedWeight(filament.id);
+        const onHand = initial - consumed;
+        const reserved = getReservedWeight(filament.id, excludeJobId);
+        const recorded = getFilamentAvailableWeight(filament);
+        return {
+            initial,
+            consumed,
+            onHand,
+            reserved,
+            available: onHand - reserved,
+            recorded,
+            discrepancy: Math.round((recorded - Math.max(0, onHand)) * 100) / 100
+        };
+    },
 
-        if (modelReferences.length > 0) {
-            warningMessage += ` MODELS (${modelReferences.length}):\n`;
-            modelReferences.forEach(ref => {
-                warningMessage += `  \u2022 ${ref.modelName} (${ref.count} reference${ref.count > 1 ? 's' : ''})\n`;
-            });
-        }
+    /**
+     * Records a stock change that is not a print (new spool, manual edit, weigh-in),
+     * made after the weight was changed, and moves the basis with it
+     * @param {Object} filament - Filament after the change
+     * @param {number} delta - Grams added (positive) or removed (negative)
+     * @param {string} source - Key of LedgerSources
+     * @param {*} reference - Context for the ledger entry
+     */
+    recordAdjustment(filament, delta, source, reference = null) {
+        filament.initialWeight = typeof filament.initialWeight === 'number' ?
+            Math.round((filament.initialWeight + delta) * 100) / 100 :
+            Math.round((getFilamentAvailableWeight(filament) + this.getConsumedWeight(filament.id)) * 100) / 100;
+        return InventoryLedger.record(filament, delta, source, reference);
+    },
 
-        if (printReferences.length > 0) {
-            warningMessage += `\n PRINT HISTORY (${printReferences.length} records)\n`;
-        }
+    // Average grams per day prints took over the last `days` days
+    getDailyConsumption(filamentId, days = REORDER_LOOKBACK_DAYS) {
+        const since = new Date(Date.now() - days * 86400000).toISOString().split('T')[0];
+        const used = prints
+            .filter(print => print.date >= since)
+            .reduce((total, print) => total + (print.filaments || [])
+                .filter(pf => pf.filamentId === filamentId)
+                .reduce((sum, pf) => sum + (pf.weight || 0), 0), 0);
+        return used / days;
+    },
 
-        warningMessage += `\nTo delete this filament:\n`;
-        warningMessage += `1. Remove it from all models first\n`;
-        warningMessage += `2. Consider keeping it for print history\n`;
-        warningMessage += `3. OR mark as "Out of Stock" instead`;
+    findDiscrepancies() {
+        return filaments
+            .map(filament => ({ filament, stock: this.getStock(filament) }))
+            .filter(entry => Math.abs(entry.stock.discrepancy) >= 0.05);
+    },
 
-        showWarningMessage('Cannot delete filament - it is referenced by models or print history', 8000);
+    /**
+     * Repair: sets the spools (or filament weight) back to what the purchase and print history add up to
+     * @param {Array} filamentIds - Limit the repair to these filaments
+     * @returns {number} Number of filaments changed
+     */
+    recomputeFromHistory(filamentIds = null) {
+        let changed = 0;
+        this.findDiscrepancies().forEach(({ filament, stock }) => {
+            if (filamentIds && !filamentIds.includes(filament.id)) return;
+
+            const previousWeight = filament.weight || 0;
+            const difference = -stock.discrepancy;
+            if (getFilamentSpools(filament.id).length === 0) {
+                filament.weight = Math.round(Math.max(0, stock.onHand) * 100) / 100;
+            } else if (difference > 0) {
+                restoreFilamentWeight(filament, difference);
+            } else {
+                drawFromSpools(filament, -difference);
+            }
+            InventoryLedger.record(filament, filament.weight - previousWeight, 'recompute');
+            changed++;
+        });
+        return changed;
     }
+};
 
-    if (!canDelete) {
-        const confirmed = confirm(warningMessage + '\n\nClick OK to mark as "Out of Stock" instead\nClick Cancel to keep as is');
-        if (confirmed) {
-            // Mark as out of stock instead of deleting
-            filament.inStock = false;
-            filament.deletionBlocked = true;
-            saveData();
-            updateAllTables();
-            showSuccessMessage('Filament marked as Out of Stock instead of deletion');
-            AccessibilityNotifications.announceSuccess('Filament marked as Out of Stock');
+// ============================
+// Reorder Alerts
+// ============================
+
+// Consumption rate is averaged over this much print history
+const REORDER_LOOKBACK_DAYS = 60;
+// Suggested orders are rounded up to whole spools of this size
+const REORDER_SPOOL_GRAMS = 1000;
+
+const ReorderUnits = {
+    g: 'g',
+    days: 'days of supply'
+};
+
+// Thresholds for every filament of a material and colour, whatever the brand
+let reorderGroupThresholds = [];
+
+function saveReorderGroupThresholds() {
+    localStorage.setItem('printStack_reorderThresholds', JSON.stringify(reorderGroupThresholds));
+    DataCache.invalidate();
+}
+
+function loadReorderGroupThresholds() {
+    const saved = localStorage.getItem('printStack_reorderThresholds');
+    if (saved) {
+        try {
+            reorderGroupThresholds = JSON.parse(saved);
+        } catch (e) {
         }
-        return;
     }
+}
 
-    // Standard deletion confirmation for unused filaments
-    const confirmed = confirm(`Delete ${filament.brand} ${filament.materialType} (${filament.color})? 🗑️`);
-    if (confirmed) {
-        filaments = filaments.filter(f => f.id !== id);
-        saveData();
-        updateAllTables();
-        showSuccessMessage('Filament deleted successfully');
-        AccessibilityNotifications.announceSuccess('Filament deleted');
-    }
+function getReorderGroupKey(material, color) {
+    return `${(material || '').toLowerCase()}|${(color || '').toLowerCase()}`;
 }
 
-function getFilamentUsage(color) {
-    return prints.filter(p => p.color.toLowerCase() === color.toLowerCase())
-                 .reduce((s, p) => s + p.weight, 0);
+// Filaments with their own threshold are judged by it alone, so they are left out of the group
+function getReorderGroupFilaments(group) {
+    const key = getReorderGroupKey(group.material, group.color);
+    return filaments.filter(f => !f.reorderThreshold && getReorderGroupKey(f.materialType || f.material, f.color) === key);
 }
 
-function updateFilamentTable() {
-    // Initialize enhanced data grid if not already done
-    if (!window.dataGrids) {
-        window.dataGrids = {};
-    }
+// Reads a threshold value and unit pair from the add or edit filament form
+function readReorderThreshold(valueId, unitId) {
+    const value = parseFloat(document.getElementById(valueId).value);
+    if (isNaN(value) || value <= 0) return null;
+    return { value, unit: document.getElementById(unitId).value === 'days' ? 'days' : 'g' };
+}
 
-    if (!window.dataGrids.filamentTable) {
-        window.dataGrids.filamentTable = new FilamentTable();
+function describeReorderThreshold(threshold) {
+    return threshold.unit === 'days' ? `${threshold.value} days` : `${threshold.value}g`;
+}
+
+/**
+ * Checks stock across one or more filaments against a threshold
+ * @param {Object} threshold - { value, unit } where unit is 'g' or 'days'
+ * @param {Array} filamentList - Filaments whose stock is pooled
+ * @returns {Object|null} { available, dailyUse, daysLeft, shortfall, spoolsToOrder } when below the threshold
+ */
+function evaluateReorderThreshold(threshold, filamentList) {
+    const available = filamentList.reduce((sum, f) => sum + Math.max(0, InventoryService.getStock(f).available), 0);
+    const dailyUse = filamentList.reduce((sum, f) => sum + InventoryService.getDailyConsumption(f.id), 0);
+    const daysLeft = dailyUse > 0 ? available / dailyUse : null;
+
+    // A days threshold needs recent prints to estimate from
+    const below = threshold.unit === 'days' ?
+        daysLeft !== null && daysLeft < threshold.value :
+        available < threshold.value;
+    if (!below) return null;
+
+    const target = threshold.unit === 'days' ? threshold.value * dailyUse : threshold.value;
+    const shortfall = Math.max(0, target - available);
+    return {
+        available,
+        dailyUse,
+        daysLeft,
+        shortfall,
+        spoolsToOrder: Math.max(1, Math.ceil(shortfall / REORDER_SPOOL_GRAMS))
+    };
+}
+
+/**
+ * Checks a group threshold against the pooled stock of its members
+ * @param {Object} group - { material, color, value, unit }
+ * @returns {Object|null} evaluateReorderThreshold()'s result plus the members, or null when not below
+ */
+function evaluateReorderGroup(group) {
+    const groupFilaments = getReorderGroupFilaments(group);
+    // Every member has its own threshold, so the group has nothing left to alert on
+    const key = getReorderGroupKey(group.material, group.color);
+    if (groupFilaments.length === 0 && filaments.some(f => getReorderGroupKey(f.materialType || f.material, f.color) === key)) {
+        return null;
     }
 
-    // Set global filaments data and refresh the grid
-    window.filaments = filaments;
-    window.dataGrids.filamentTable.updateData();
+    const result = evaluateReorderThreshold(group, groupFilaments);
+    return result ? { ...result, filaments: groupFilaments } : null;
 }
 
-function setupFilamentSearch() {
-    // Search functionality is now handled by the enhanced data grid
-    // This function is kept for compatibility but no longer needed
+function isFilamentBelowReorder(filament) {
+    if (filament.reorderThreshold) {
+        return !!evaluateReorderThreshold(filament.reorderThreshold, [filament]);
+    }
+    const key = getReorderGroupKey(filament.materialType || filament.material, filament.color);
+    return !!DataCache.getReorderGroupResults().get(key);
 }
-// Filament Search Box for Models
-function createFilamentSearchBox(selectedId = null, isEdit = false) {
-    const div = document.createElement('div');
-    div.className = 'filament-req-item';
-    const fil = selectedId ? filaments.find(f => f.id === selectedId) : null;
-    let displayText = '';
 
-    if (fil) {
-        displayText = `${fil.colorName || fil.color} (${fil.materialType || fil.material})`;
-    } else if (selectedId) {
-        // Find the model requirement that references this filament to show what was expected
-        let req = null;
-        for (const model of models) {
-            if (model.requirements) {
-                req = model.requirements.find(r => r.filamentId === selectedId);
-                if (req) break;
-            }
+// Every filament and group below its threshold, the ones running out soonest first
+function getReorderAlerts() {
+    const alerts = [];
+
+    filaments.forEach(filament => {
+        if (!filament.reorderThreshold) return;
+        const result = evaluateReorderThreshold(filament.reorderThreshold, [filament]);
+        if (result) {
+            alerts.push({
+                ...result,
+                label: `${filament.brand} ${filament.materialType} - ${filament.color}`,
+                brand: filament.brand || 'Unknown brand',
+                threshold: filament.reorderThreshold
+            });
+        }
+    });
+
+    const groupResults = DataCache.getReorderGroupResults();
+    reorderGroupThresholds.forEach(group => {
+        const groupResult = groupResults.get(getReorderGroupKey(group.material, group.color));
+        if (!groupResult) return;
+
+        // Reorder from whichever brand was bought most recently
+        const { filaments: groupFilaments, ...result } = groupResult;
+        const latest = [...groupFilaments].sort((a, b) => (b.purchaseDate || '').localeCompare(a.purchaseDate || ''))[0];
+        alerts.push({
+            ...result,
+            label: `All ${group.material} - ${group.color}`,
+            brand: latest ? latest.brand : 'Any brand',
+            threshold: group
+        });
+    });
+
+    return alerts.sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.available - b.available);
+}
+
+function updateReorderAlerts() {
+    const container = document.getElementById('reorderAlerts');
+    if (!container) return;
+
+    const hasThresholds = reorderGroupThresholds.length > 0 || filaments.some(f => f.reorderThreshold);
+    if (!hasThresholds) {
+        container.innerHTML = '<p class="text-muted">Set "Reorder Below" on a filament, or a threshold for a material and colour under Reorder Thresholds, to get alerts here.</p>';
+        return;
+    }
+
+    const alerts = getReorderAlerts();
+    if (alerts.length === 0) {
+        container.innerHTML = '<p class="text-muted">✓ Everything is above its reorder threshold.</p>';
+        return;
+    }
+
+    const byBrand = new Map();
+    alerts.forEach(alert => {
+        if (!byBrand.has(alert.brand)) byBrand.set(alert.brand, []);
+        byBrand.get(alert.brand).push(alert);
+    });
+
+    container.innerHTML = `
+        <table class="reorder-table">
+            <thead>
+                <tr><th>Filament</th><th>Available</th><th>Threshold</th><th>Days Left</th><th>Use / Day</th></tr>
+            </thead>
+            <tbody>
+                ${alerts.map(alert => `
+                    <tr>
+                        <td>${alert.label}</td>
+                        <td>${alert.available.toFixed(0)}g</td>
+                        <td>${describeReorderThreshold(alert.threshold)}</td>
+                        <td>${alert.daysLeft === null ? '<span class="text-muted">—</span>' : Math.floor(alert.daysLeft)}</td>
+                        <td>${alert.dailyUse > 0 ? `${alert.dailyUse.toFixed(1)}g` : '<span class="text-muted">—</span>'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <h3>Reorder List</h3>
+        <div class="reorder-list">
+            ${[...byBrand.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([brand, brandAlerts]) => `
+                <div class="reorder-brand">
+                    <strong>${brand}</strong>
+                    <ul>
+                        ${brandAlerts.map(alert => `<li>${alert.label}: ${alert.spoolsToOrder} × ${REORDER_SPOOL_GRAMS / 1000}kg spool${alert.spoolsToOrder > 1 ? 's' : ''}</li>`).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function updateReorderThresholdsList() {
+    const container = document.getElementById('reorderThresholdsList');
+    if (!container) return;
+
+    const materialSelect = document.getElementById('newReorderMaterial');
+    if (materialSelect) {
+        const current = materialSelect.value;
+        materialSelect.innerHTML = getMaterialTypes().map(type => `<option value="${type}">${type}</option>`).join('');
+        if (getMaterialTypes().includes(current)) materialSelect.value = current;
+    }
+
+    if (reorderGroupThresholds.length === 0) {
+        container.innerHTML = '<p>No group thresholds yet. They apply to a material and colour across all brands.</p>';
+        return;
+    }
+
+    container.innerHTML = reorderGroupThresholds.map((group, index) => `
+        <div class="material-type-item">
+            <span class="material-type-name">${group.material} - ${group.color}</span>
+            <span class="badge badge-info">below ${describeReorderThreshold(group)}</span>
+            <button class="remove-btn" onclick="handleRemoveReorderThreshold(${index})" title="Remove threshold">Remove</button>
+        </div>
+    `).join('');
+}
+
+function handleAddReorderThreshold() {
+    const material = document.getElementById('newReorderMaterial').value;
+    const color = document.getElementById('newReorderColor').value.trim();
+    const threshold = readReorderThreshold('newReorderValue', 'newReorderUnit');
+
+    if (!material || !color || !threshold) {
+        showErrorMessage('Please enter a material, a colour and a threshold above zero');
+        return;
+    }
+
+    // One threshold per material and colour - a new one replaces the old
+    const key = getReorderGroupKey(material, color);
+    reorderGroupThresholds = reorderGroupThresholds.filter(g => getReorderGroupKey(g.material, g.color) !== key);
+    reorderGroupThresholds.push({ material, color, ...threshold });
+    saveReorderGroupThresholds();
+
+    document.getElementById('newReorderColor').value = '';
+    document.getElementById('newReorderValue').value = '';
+    updateReorderThresholdsList();
+    updateAllTables();
+    showSuccessMessage(`Reorder ${material} ${color} below ${describeReorderThreshold(threshold)}`);
+}
+
+function handleRemoveReorderThreshold(index) {
+    const group = reorderGroupThresholds[index];
+    if (!group) return;
+
+    reorderGroupThresholds.splice(index, 1);
+    saveReorderGroupThresholds();
+    updateReorderThresholdsList();
+    updateAllTables();
+    showSuccessMessage(`Reorder threshold for ${group.material} ${group.color} removed`);
+}
+
+function describeFilamentStock(filament) {
+    const stock = InventoryService.getStock(filament);
+    let html = `
+        <p class="inventory-stock">
+            Bought / added: ${stock.initial.toFixed(1)}g ·
+            Used by prints: ${stock.consumed.toFixed(1)}g ·
+            Reserved: ${stock.reserved.toFixed(1)}g ·
+            Available: <strong>${stock.available.toFixed(1)}g</strong>
+        </p>
+    `;
+    if (Math.abs(stock.discrepancy) >= 0.05) {
+        html += `<p class="ledger-warning">⚠️ ${stock.recorded.toFixed(1)}g is on record, but the history adds up to ${Math.max(0, stock.onHand).toFixed(1)}g.
+            <button type="button" class="secondary-btn" onclick="recomputeInventoryFromHistory(${filament.id})">Recompute from history</button></p>`;
+    }
+    return html;
+}
+
+/**
+ * Checks every filament (or one) against its purchase and print history and
+ * offers to correct the stock on record
+ * @param {number} filamentId - Only this filament, e.g. from the weight history dialog
+ */
+function recomputeInventoryFromHistory(filamentId = null) {
+    const discrepancies = InventoryService.findDiscrepancies()
+        .filter(entry => filamentId === null || entry.filament.id === filamentId);
+    if (discrepancies.length === 0) {
+        showSuccessMessage('Stock on record matches the purchase and print history');
+        return;
+    }
+
+    const lines = discrepancies.map(({ filament, stock }) =>
+        `${filament.brand} ${filament.color}: ${stock.recorded.toFixed(1)}g on record → ${Math.max(0, stock.onHand).toFixed(1)}g from history`);
+    if (!confirm(`Recompute stock from purchase and print history?\n\n${lines.join('\n')}`)) return;
+
+    const pending = UndoHistory.begin('Recompute inventory from history', ['filaments', 'spools']);
+    const changed = InventoryService.recomputeFromHistory(discrepancies.map(entry => entry.filament.id));
+    saveData();
+    updateAllTables();
+    if (filamentId !== null) openFilamentLedger(filamentId);
+    commitUndoable(pending, `${changed} filament${changed !== 1 ? 's' : ''} recomputed from history`);
+}
+
+// ============================
+// Undo / Redo History
+// ============================
+
+// State outside the IndexedDB collections that commands may also restore
+const UndoableSettings = {
+    modelCategories: {
+        get: () => modelCategories,
+        set: records => {
+            modelCategories = records;
+            saveCategories();
+        }
+    }
+};
+
+function getUndoableAccessor(name) {
+    return CollectionAccessors[name] || UndoableSettings[name];
+}
+
+// Records are matched by id; plain values such as category names are their own key
+function getUndoableKey(record) {
+    return record !== null && typeof record === 'object' ? record.id : record;
+}
+
+/**
+ * Serializes each record of the named collections, so a later diff can tell
+ * which records a mutation touched even when they were changed in place
+ * @returns {Object} Per collection, a Map of record key to { json, index }
+ */
+function serializeUndoableState(names) {
+    const state = {};
+    names.forEach(name => {
+        state[name] = new Map(getUndoableAccessor(name).get().map((record, index) =>
+            [getUndoableKey(record), { json: JSON.stringify(record), index }]
+        ));
+    });
+    return state;
+}
+
+/**
+ * The records a mutation added, changed or removed, as JSON before and after
+ * (null where the record did not exist). Untouched records are not kept.
+ */
+function diffUndoableState(before, after) {
+    const changes = {};
+    Object.keys(before).forEach(name => {
+        const keys = new Set([...before[name].keys(), ...after[name].keys()]);
+        const collectionChanges = [];
+        keys.forEach(key => {
+            const previous = before[name].get(key);
+            const next = after[name].get(key);
+            if (previous && next && previous.json === next.json) return;
+            collectionChanges.push({
+                key,
+                before: previous ? previous.json : null,
+                beforeIndex: previous ? previous.index : null,
+                after: next ? next.json : null,
+                afterIndex: next ? next.index : null
+            });
+        });
+        if (collectionChanges.length > 0) {
+            changes[name] = collectionChanges;
+        }
+    });
+    return changes;
+}
+
+/**
+ * The record as it should be after undoing or redoing a change to it. When the
+ * change edited an existing record, only the fields it edited are put back.
+ */
+function applyRecordChange(current, change, side) {
+    const target = JSON.parse(change[side]);
+    if (current === undefined || change.before === null || change.after === null ||
+        typeof target !== 'object' || target === null) {
+        return target;
+    }
+
+    const other = JSON.parse(change[side === 'before' ? 'after' : 'before']);
+    const record = { ...current };
+    new Set([...Object.keys(target), ...Object.keys(other)]).forEach(field => {
+        if (JSON.stringify(target[field]) === JSON.stringify(other[field])) return;
+        if (field in target) {
+            record[field] = target[field];
+        } else {
+            delete record[field];
+        }
+    });
+    return record;
+}
+
+/**
+ * Puts back one side of a diff, record by record. Records and fields the
+ * command did not touch are left as they are, so later unrelated changes
+ * survive an undo.
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+function restoreUndoableState(changes, side, source, label) {
+    const previousWeights = InventoryLedger.snapshotWeights();
+
+    Object.entries(changes).forEach(([name, collectionChanges]) => {
+        const accessor = getUndoableAccessor(name);
+        const records = [...accessor.get()];
+        const removed = new Set(collectionChanges.filter(change => change[side] === null).map(change => change.key));
+        const restored = records.filter(record => !removed.has(getUndoableKey(record)));
+
+        // Insert in index order so each record lands where it was
+        collectionChanges
+            .filter(change => change[side] !== null)
+            .sort((a, b) => a[`${side}Index`] - b[`${side}Index`])
+            .forEach(change => {
+                const position = restored.findIndex(existing => getUndoableKey(existing) === change.key);
+                if (position >= 0) {
+                    restored[position] = applyRecordChange(restored[position], change, side);
+                } else {
+                    restored.splice(Math.min(change[`${side}Index`], restored.length), 0, applyRecordChange(undefined, change, side));
+                }
+            });
+
+        accessor.set(restored);
+    });
+
+    // The ledger is never rolled back - reversals are recorded as new entries
+    InventoryLedger.recordChanges(previousWeights, source, label);
+
+    saveData();
+    DataCache.invalidate();
+    updateAllTables();
+    renderCategoryList();
+    renderCategoryChips();
+    populateCategoryDropdown();
+}
+
+/**
+ * Creates a command that puts the records a mutation touched back to their
+ * state before (undo) or after (redo) it. Every touched record in the named
+ * collections is included, so side effects such as filament deducted by a
+ * print are reversed too.
+ */
+function createDiffCommand(label, changes) {
+    return {
+        label,
+        undo: () => restoreUndoableState(changes, 'before', 'undo', label),
+        redo: () => restoreUndoableState(changes, 'after', 'redo', label)
+    };
+}
+
+const UndoHistory = {
+    undoStack: [],
+    redoStack: [],
+    limit: 50,
+
+    /**
+     * Captures the named collections before a mutation
+     * @param {string} label - Human readable description, e.g. "Delete print"
+     * @param {Array} names - Collections the mutation may change
+     * @returns {Object} Pending command to pass to commit() once the change is made
+     */
+    begin(label, names) {
+        return { label, names, before: serializeUndoableState(names) };
+    },
+
+    /**
+     * Records a completed mutation started with begin()
+     * @returns {Object} The command pushed onto the undo stack
+     */
+    commit(pending) {
+        const changes = diffUndoableState(pending.before, serializeUndoableState(pending.names));
+        const command = createDiffCommand(pending.label, changes);
+        this.push(command);
+        return command;
+    },
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new change invalidates anything that was undone before it
+        this.redoStack = [];
+    },
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            showWarningMessage('Nothing to undo');
+            return false;
+        }
+
+        command.undo();
+        this.redoStack.push(command);
+        showSuccessMessage(`Undone: ${command.label}`, 4000, { label: 'Redo', handler: () => this.redo() });
+        return true;
+    },
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            showWarningMessage('Nothing to redo');
+            return false;
+        }
+
+        command.redo();
+        this.undoStack.push(command);
+        showSuccessMessage(`Redone: ${command.label}`, 4000, { label: 'Undo', handler: () => this.undo() });
+        return true;
+    },
+
+    // Undo a specific command, as long as nothing newer is on top of it
+    undoCommand(command) {
+        if (this.undoStack[this.undoStack.length - 1] !== command) {
+            showWarningMessage(`Undo newer changes first (Ctrl+Z) to revert "${command.label}"`);
+            return false;
+        }
+        return this.undo();
+    },
+
+    // Toast action that reverts the given command
+    undoAction(command) {
+        return { label: 'Undo', handler: () => this.undoCommand(command) };
+    }
+};
+
+// Commit a pending command and confirm it with an undoable toast
+function commitUndoable(pending, message) {
+    const command = UndoHistory.commit(pending);
+    showSuccessMessage(message, 6000, UndoHistory.undoAction(command));
+    return command;
+}
+
+function setupUndoKeyboardShortcuts() {
+    document.addEventListener('keydown', e => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave text fields to the browser's own undo
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            UndoHistory.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            UndoHistory.redo();
+        }
+    });
+}
+
+// Navigation
+function showPage(pageName) {
+    document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+    document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
+    const targetPage = document.getElementById(pageName + '-page');
+    const targetNav = document.querySelector(`.nav-item[data-page="${pageName}"]`);
+    if (targetPage) {
+        targetPage.classList.add('active');
+    } else {
+    }
+    if (targetNav) {
+        targetNav.classList.add('active');
+    } else {
+    }
+}
+
+// DOM Structure Fix
+function fixPageStructure() {
+
+    const filamentPage = document.getElementById('filament-page');
+    const container = document.querySelector('.container');
+
+    if (!filamentPage || !container) {
+        return;
+    }
+
+    // Debug: Check where the Add Filament button is
+    const addFilamentBtn = document.getElementById('addFilamentBtn');
+    if (addFilamentBtn) {
+
+        let parent = addFilamentBtn;
+        let level = 0;
+        while (parent && level < 10) {
+            parent = parent.parentElement;
+            level++;
+        }
+
+        // Check if button is inside the collapsible section
+        const addFilamentSection = document.getElementById('addFilamentSection');
+        if (addFilamentSection && !addFilamentBtn.closest('#addFilamentSection')) {
+
+            // Find the form-actions div that contains the button
+            const formActions = addFilamentBtn.closest('.form-actions');
+            if (formActions) {
+                addFilamentSection.appendChild(formActions);
+            }
+        }
+    }
+
+    // Find all elements that should be inside filament-page but are currently outside
+    const misplacedElements = [];
+    let current = container.firstElementChild;
+
+    // Check all direct children of the container
+    while (current) {
+        const nextElement = current.nextElementSibling;
+
+        // If this element is not a page and not already inside a page, it's misplaced
+        if (!current.classList.contains('page') && !current.closest('.page')) {
+            // Move elements until we hit the next page
+            if (current.id === 'filament-page' ||
+                current.classList.contains('section') ||
+                current.id === 'filamentForm' ||
+                current.querySelector('#filamentTable') ||
+                current.querySelector('#filamentGridWrapper') ||
+                current.querySelector('#filamentTableSearch') ||
+                current.querySelector('#duplicateWarning')) {
+
+                misplacedElements.push(current);
+            }
+        } else if (current.classList.contains('page') && current.id !== 'filament-page') {
+            // We've reached the next page, stop looking
+            break;
+        }
+
+        current = nextElement;
+    }
+
+    // Move all misplaced elements into the filament page
+    if (misplacedElements.length > 0) {
+
+        misplacedElements.forEach(element => {
+            filamentPage.appendChild(element);
+        });
+    }
+
+}
+
+// Utility Functions
+function ensureFilamentIds() {
+    let changed = false;
+    const reassigned = new Map();
+    filaments.forEach(f => {
+        if (!f.id || typeof f.id !== 'number' || !Number.isInteger(f.id)) {
+            const newId = Math.floor(Date.now() + Math.random() * 1000000);
+            if (f.id) reassigned.set(f.id, newId);
+            f.id = newId;
+            changed = true;
+        }
+    });
+
+    // Keep spools, ledger history, requirements and print usage attached to the new ids
+    if (reassigned.size > 0) {
+        [...spools, ...inventoryLedger].forEach(record => {
+            if (reassigned.has(record.filamentId)) record.filamentId = reassigned.get(record.filamentId);
+        });
+        models.forEach(m => (m.requirements || []).forEach(r => {
+            if (reassigned.has(r.filamentId)) r.filamentId = reassigned.get(r.filamentId);
+        }));
+        prints.forEach(p => (p.filaments || []).forEach(pf => {
+            if (reassigned.has(pf.filamentId)) pf.filamentId = reassigned.get(pf.filamentId);
+        }));
+    }
+
+    if (changed) saveData();
+}
+
+function resolveFilamentId(color, material) {
+    if (!color || !material) return null;
+    const c = color.toLowerCase().trim();
+    const m = material.toLowerCase().trim();
+    const match = filaments.find(f => 
+        f.color.toLowerCase().trim() === c && 
+        f.material.toLowerCase().trim() === m &&
+        f.inStock
+    );
+    return match ? match.id : null;
+}
+
+// ============================
+// IndexedDB Storage Layer
+// ============================
+
+// Collections persisted by the storage layer - each one gets its own object store
+const CollectionAccessors = {
+    filaments: { get: () => filaments, set: records => { filaments = records; } },
+    models: { get: () => models, set: records => { models = records; } },
+    prints: { get: () => prints, set: records => { prints = records; } },
+    spools: { get: () => spools, set: records => { spools = records; } },
+    inventoryLedger: { get: () => inventoryLedger, set: records => { inventoryLedger = records; } },
+    printers: { get: () => printers, set: records => { printers = records; } },
+    printJobs: { get: () => printJobs, set: records => { printJobs = records; } },
+    purchases: { get: () => purchases, set: records => { purchases = records; } }
+};
+
+// Current values of every persisted collection, keyed by store name
+function getPersistedCollections() {
+    const collections = {};
+    Object.entries(CollectionAccessors).forEach(([name, accessor]) => {
+        collections[name] = accessor.get();
+    });
+    return collections;
+}
+
+// localStorage keys read by the legacy loader, migrated once into IndexedDB
+const LEGACY_STORAGE_KEYS = ['filaments', 'models', 'prints', 'spools', 'inventoryLedger', 'printers', 'printJobs', 'purchases'];
+
+// Set when saves fell back to localStorage after the database went away mid-session,
+// so the next load copies them back in even though the one-time migration already ran
+const PENDING_LEGACY_WRITES_KEY = 'printStack_pendingLegacyWrites';
+
+const PrintStackDB = {
+    name: 'printstack',
+    version: 7,
+    metaStore: 'meta',
+    // Uploaded STL/OBJ files, kept out of the JSON collections because of their size.
+    // Each upload gets its own id (model.mesh.fileId), so a replaced file survives until pruned.
+    meshStore: 'meshes',
+    db: null,
+    available: false,
+    // True once a save had to fall back to localStorage in this session
+    pendingLegacyWrites: false,
+    // Last committed JSON per record, used to write only what changed
+    persisted: new Map(),
+    // Saves run one after another so each diff sees the previous commit
+    saveQueue: Promise.resolve(),
+
+    getStoreNames() {
+        return Object.keys(CollectionAccessors);
+    },
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not supported'));
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Create any store that is missing so new collections only need a version bump
+                [...this.getStoreNames(), this.metaStore].forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: storeName === this.metaStore ? 'key' : 'id' });
+                    }
+                });
+                if (!db.objectStoreNames.contains(this.meshStore)) {
+                    db.createObjectStore(this.meshStore, { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.available = true;
+                // Let a newer tab upgrade the schema instead of blocking it. The next save
+                // reopens the database; if that fails saveData() keeps changes in localStorage.
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    showWarningMessage('PrintStack was updated in another tab - reload this page to use the new version', 10000);
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    },
+
+    /**
+     * Runs work against several object stores inside a single transaction
+     * @param {Array} storeNames - Stores included in the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives a map of store name to IDBObjectStore
+     * @returns {Promise} Resolves with work's return value once the transaction commits
+     */
+    transaction(storeNames, mode, work) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(storeName => {
+                stores[storeName] = tx.objectStore(storeName);
+            });
+
+            let result;
+            try {
+                result = work(stores, tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        }));
+    },
+
+    getAll(storeName) {
+        return this.transaction([storeName], 'readonly', stores => {
+            const request = stores[storeName].getAll();
+            const holder = {};
+            request.onsuccess = () => { holder.records = request.result; };
+            return holder;
+        }).then(holder => holder.records || []);
+    },
+
+    getMeta(key) {
+        return this.transaction([this.metaStore], 'readonly', stores => {
+            const request = stores[this.metaStore].get(key);
+            const holder = {};
+            request.onsuccess = () => { holder.entry = request.result; };
+            return holder;
+        }).then(holder => holder.entry ? holder.entry.value : undefined);
+    },
+
+    setMeta(key, value) {
+        return this.transaction([this.metaStore], 'readwrite', stores => {
+            stores[this.metaStore].put({ key, value });
+        });
+    },
+
+    putMesh(record) {
+        return this.transaction([this.meshStore], 'readwrite', stores => {
+            stores[this.meshStore].put(record);
+        });
+    },
+
+    getMesh(fileId) {
+        return this.transaction([this.meshStore], 'readonly', stores => {
+            const request = stores[this.meshStore].get(fileId);
+            const holder = {};
+            request.onsuccess = () => { holder.record = request.result; };
+            return holder;
+        }).then(holder => holder.record);
+    },
+
+    /**
+     * Deletes stored mesh files no model refers to any more: files of deleted models,
+     * and files that were removed or replaced. Until then undo can still bring them back.
+     * @param {Array} models - Current models
+     * @returns {Promise<number>} Number of files deleted
+     */
+    pruneMeshes(models) {
+        const attached = new Set(models.filter(m => m.mesh).map(m => m.mesh.fileId));
+        return this.transaction([this.meshStore], 'readwrite', stores => {
+            const holder = { deleted: 0 };
+            const request = stores[this.meshStore].openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!attached.has(cursor.value.id)) {
+                    cursor.delete();
+                    holder.deleted++;
+                }
+                cursor.continue();
+            };
+            return holder;
+        }).then(holder => holder.deleted);
+    },
+
+    /**
+     * Loads every persisted collection and remembers what was read
+     * @returns {Promise<Object>} Map of collection name to records
+     */
+    loadCollections() {
+        const storeNames = this.getStoreNames();
+        return this.transaction(storeNames, 'readonly', stores => {
+            const collections = {};
+            storeNames.forEach(storeName => {
+                const request = stores[storeName].getAll();
+                request.onsuccess = () => { collections[storeName] = request.result; };
+            });
+            return collections;
+        }).then(collections => {
+            storeNames.forEach(storeName => this.rememberPersisted(storeName, collections[storeName] || []));
+            return collections;
+        });
+    },
+
+    rememberPersisted(storeName, records) {
+        const snapshot = new Map();
+        records.forEach(record => snapshot.set(record.id, JSON.stringify(record)));
+        this.persisted.set(storeName, snapshot);
+    },
+
+    /**
+     * Writes all changed collections in one atomic transaction, so a print and the
+     * filament deduction it caused are committed together or not at all
+     * @param {Object} collections - Map of collection name to the full record array
+     * @param {Object} meta - Optional meta entries committed in the same transaction
+     * @returns {Promise} Resolves once the transaction has committed
+     */
+    saveCollections(collections, meta = {}) {
+        // Serialize now - the in-memory records may change again before the write runs
+        const snapshots = {};
+        Object.entries(collections).forEach(([storeName, records]) => {
+            snapshots[storeName] = records.map(record => {
+                // Every record needs a key before it can be stored
+                if (record.id === undefined || record.id === null) {
+                    record.id = Date.now() + Math.random();
+                }
+                return [record.id, JSON.stringify(record)];
+            });
+        });
+
+        const save = this.saveQueue.then(() => this.writeSnapshots(snapshots, meta));
+        // A failed save must not block the ones queued after it
+        this.saveQueue = save.catch(() => {});
+        return save;
+    },
+
+    writeSnapshots(snapshots, meta) {
+        const changes = {};
+
+        Object.entries(snapshots).forEach(([storeName, entries]) => {
+            const previous = this.persisted.get(storeName) || new Map();
+            const next = new Map(entries);
+            const puts = entries
+                .filter(([id, json]) => previous.get(id) !== json)
+                .map(([, json]) => JSON.parse(json));
+
+            const deletes = [...previous.keys()].filter(id => !next.has(id));
+            if (puts.length > 0 || deletes.length > 0) {
+                changes[storeName] = { puts, deletes, next };
+            }
+        });
+
+        const metaEntries = Object.entries(meta);
+        const storeNames = Object.keys(changes);
+        if (storeNames.length === 0 && metaEntries.length === 0) {
+            return Promise.resolve();
+        }
+        if (metaEntries.length > 0) storeNames.push(this.metaStore);
+
+        return this.transaction(storeNames, 'readwrite', stores => {
+            Object.entries(changes).forEach(([storeName, change]) => {
+                change.puts.forEach(record => stores[storeName].put(record));
+                change.deletes.forEach(id => stores[storeName].delete(id));
+            });
+            metaEntries.forEach(([key, value]) => stores[this.metaStore].put({ key, value }));
+        }).then(() => {
+            // Only trust the snapshot once the transaction has committed
+            Object.entries(changes).forEach(([storeName, change]) => {
+                this.persisted.set(storeName, change.next);
+            });
+        });
+    },
+
+    /**
+     * One-time copy of the legacy localStorage keys into IndexedDB
+     * @returns {Promise<boolean>} True when legacy data was migrated
+     */
+    migrateFromLocalStorage() {
+        return this.getMeta('localStorageMigrated').then(migrated => {
+            const pendingWrites = localStorage.getItem(PENDING_LEGACY_WRITES_KEY);
+            if (migrated && !pendingWrites) return false;
+
+            const legacy = {};
+            const corruptKeys = [];
+            LEGACY_STORAGE_KEYS.forEach(key => {
+                const raw = localStorage.getItem(key);
+                if (!raw) return;
+
+                // One unreadable key must not keep the rest out of the database on every load
+                try {
+                    const records = JSON.parse(raw);
+                    if (!Array.isArray(records)) throw new Error('not a list of records');
+                    legacy[key] = records;
+                } catch (e) {
+                    console.warn(`Skipped unreadable localStorage key "${key}":`, e);
+                    corruptKeys.push(key);
+                }
+            });
+
+            // Carry over the schema version the combined blob was written with
+            const meta = { localStorageMigrated: new Date().toISOString() };
+            try {
+                const combined = JSON.parse(localStorage.getItem('printstackData') || 'null');
+                if (combined && combined.version) meta.version = combined.version;
+            } catch (e) {
+                // Unversioned data is migrated from the first schema step
+            }
+
+            // Pending writes are the newer full state: load what is stored first so that
+            // records deleted while the database was unavailable are deleted from it too
+            const stored = pendingWrites ? this.loadCollections() : Promise.resolve();
+            return stored.then(() => this.saveCollections(legacy, meta)).then(() => {
+                // Free the quota - the combined blob duplicated the individual keys.
+                // Unreadable keys stay behind so they can still be recovered by hand.
+                [...LEGACY_STORAGE_KEYS, 'printstackData', PENDING_LEGACY_WRITES_KEY]
+                    .filter(key => !corruptKeys.includes(key))
+                    .forEach(key => localStorage.removeItem(key));
+                if (corruptKeys.length > 0) {
+                    showErrorMessage(`Could not read saved ${corruptKeys.join(', ')} - skipped and left in local storage`, 10000);
+                }
+                if (pendingWrites) {
+                    showSuccessMessage('Changes saved while the browser database was unavailable have been restored');
+                    return false;
+                }
+                return Object.keys(legacy).length > 0;
+            });
+        });
+    }
+};
+
+// ============================
+// Schema Migrations
+// ============================
+
+// Version written by saveData() and exportData(); bump it when registering a new step
+const CURRENT_DATA_VERSION = '2.8';
+
+// Releases before this registry stamped every save and export '2.0' without migrating
+// anything, so data at or below it still needs every step
+const PRE_MIGRATION_DATA_VERSION = '2.0';
+
+function compareDataVersions(a, b) {
+    const partsA = String(a || '0').split('.').map(n => parseInt(n, 10) || 0);
+    const partsB = String(b || '0').split('.').map(n => parseInt(n, 10) || 0);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+const SchemaMigrations = {
+    steps: [],
+    // Version of the data currently in memory - older after a rollback
+    activeVersion: CURRENT_DATA_VERSION,
+
+    /**
+     * Registers an ordered migration step
+     * @param {Object} step - { version, description, migrate(data) } where migrate
+     *   mutates data in place, returns a list of change descriptions and must be
+     *   safe to run again on already-migrated data
+     */
+    register(step) {
+        this.steps.push(step);
+        this.steps.sort((a, b) => compareDataVersions(a.version, b.version));
+    },
+
+    pending(fromVersion) {
+        if (compareDataVersions(fromVersion, PRE_MIGRATION_DATA_VERSION) <= 0) {
+            return [...this.steps];
+        }
+        return this.steps.filter(step => compareDataVersions(step.version, fromVersion) > 0);
+    },
+
+    /**
+     * Runs every step newer than fromVersion against data
+     * @param {Object} data - Map of collection name to records, mutated in place
+     * @param {string} fromVersion - Version the data was saved with (undefined = unversioned)
+     * @returns {Object} Report of the steps that ran and what each changed
+     */
+    run(data, fromVersion) {
+        const report = {
+            fromVersion: fromVersion || 'unversioned',
+            toVersion: CURRENT_DATA_VERSION,
+            steps: [],
+            totalChanges: 0
+        };
+
+        Object.keys(CollectionAccessors).forEach(name => {
+            if (!Array.isArray(data[name])) data[name] = [];
+        });
+
+        this.pending(fromVersion).forEach(step => {
+            const changes = step.migrate(data) || [];
+            report.steps.push({ version: step.version, description: step.description, changes });
+            report.totalChanges += changes.length;
+        });
+
+        return report;
+    },
+
+    // Same as run() but against a copy, so nothing is modified
+    dryRun(data, fromVersion) {
+        return this.run(JSON.parse(JSON.stringify(data)), fromVersion);
+    }
+};
+
+SchemaMigrations.register({
+    version: '2.0',
+    description: 'Enhanced filament fields (brand, color code, diameter, material type)',
+    migrate(data) {
+        const changes = [];
+
+        data.filaments.forEach(f => {
+            const label = `${f.brand || 'Unknown'} ${f.color || f.colorName || 'filament'}`;
+            if (!f.materialType) {
+                f.materialType = f.material || 'Unknown';
+                changes.push(`Filament "${label}": material type set to ${f.materialType}`);
+            }
+            if (!f.brand) {
+                f.brand = 'Unknown';
+                changes.push(`Filament "${label}": missing brand set to Unknown`);
+            }
+            if (!f.colorHex) {
+                f.colorHex = '#cccccc';
+                changes.push(`Filament "${label}": default color code applied`);
+            }
+            if (!f.diameter) {
+                f.diameter = 1.75;
+                changes.push(`Filament "${label}": default diameter (1.75mm) applied`);
+            }
+            if (f.inStock === undefined) {
+                f.inStock = true;
+                changes.push(`Filament "${label}": marked as in stock`);
+            }
+        });
+
+        data.models.forEach(m => {
+            (m.requirements || []).forEach(req => {
+                if (req.material && !req.materialType) {
+                    req.materialType = req.material;
+                    changes.push(`Model "${m.name}": requirement material type set to ${req.material}`);
+                }
+            });
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.1',
+    description: 'Model usage requirements, category, difficulty and added date',
+    migrate(data) {
+        const changes = [];
+
+        data.models.forEach(model => {
+            (model.requirements || []).forEach(req => {
+                // A blank weight stays unknown (null) rather than getting a made-up default
+                if (req.expectedWeight === undefined || req.expectedWeight === '') {
+                    req.expectedWeight = null;
+                    changes.push(`Model "${model.name}": expected weight for ${req.color || 'unknown filament'} marked as unknown`);
+                }
+                if (!req.tolerance) {
+                    req.tolerance = 10; // Default 10% tolerance
+                    changes.push(`Model "${model.name}": Set default tolerance (10%) for ${req.color || 'unknown filament'}`);
+                }
+                if (!req.requiredCount) {
+                    req.requiredCount = 1; // Default 1 quantity
+                    changes.push(`Model "${model.name}": Set default quantity (1) for ${req.color || 'unknown filament'}`);
+                }
+            });
+
+            if (!model.category) {
+                model.category = 'Other';
+                changes.push(`Model "${model.name}": category set to Other`);
+            }
+            if (!model.difficulty) {
+                model.difficulty = 'Medium';
+                changes.push(`Model "${model.name}": difficulty set to Medium`);
+            }
+            if (!model.addedDate) {
+                model.addedDate = new Date().toISOString().split('T')[0];
+                changes.push(`Model "${model.name}": added date set to today`);
+            }
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.2',
+    description: 'Multi-filament print records with quality, duration and usage variance',
+    migrate(data) {
+        const changes = [];
+
+        data.prints.forEach(print => {
+            // Migrate legacy single-filament format to multi-filament array
+            if (!print.filaments && print.color) {
+                const filament = data.filaments.find(f => f.color === print.color);
+                print.filaments = [{
+                    filamentId: filament ? filament.id : null,
+                    color: print.color,
+                    material: filament ? (filament.materialType || filament.material) : 'Unknown',
+                    weight: print.weight || 0,
+                    colorHex: filament ? filament.colorHex : '#ccc'
+                }];
+                changes.push(`Print "${print.modelName}": Migrated single filament (${print.color}) to enhanced format`);
+            }
+
+            // Enhanced fields are explicitly null when not recorded
+            ['qualityRating', 'printNotes', 'printDuration'].forEach(field => {
+                if (print[field] === undefined) {
+                    print[field] = null;
+                    changes.push(`Print "${print.modelName}": added empty ${field}`);
+                }
+            });
+
+            if (!print.usageVariance && print.modelName) {
+                // Calculate variance if model is found with expected weights
+                const model = data.models.find(m => m.name === print.modelName);
+                const expectedTotal = model ? calculateTotalExpectedUsage(model) : 0;
+                if (expectedTotal > 0) {
+                    const actualTotal = print.weight || 0;
+                    const variancePercent = ((actualTotal - expectedTotal) / expectedTotal * 100).toFixed(1);
+                    print.usageVariance = {
+                        expected: expectedTotal,
+                        actual: actualTotal,
+                        variance: parseFloat(variancePercent)
+                    };
+                    changes.push(`Print "${print.modelName}": Calculated usage variance (${variancePercent}%)`);
+                }
+            }
+
+            // Derive a timestamp from the print date when missing
+            if (!print.timestamp) {
+                print.timestamp = print.date ?
+                    new Date(print.date + 'T12:00:00').toISOString() :
+                    new Date().toISOString();
+                changes.push(`Print "${print.modelName}": timestamp derived from print date`);
+            }
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.3',
+    description: 'Inventory ledger opened with the current weight of each filament',
+    migrate(data) {
+        const changes = [];
+
+        data.filaments.forEach(filament => {
+            // Filaments that already have history keep it as is
+            if (!filament.weight || data.inventoryLedger.some(e => e.filamentId === filament.id)) return;
+
+            data.inventoryLedger.push(createLedgerEntry(filament, filament.weight, 'opening'));
+            changes.push(`Filament "${filament.brand} ${filament.color}": opening balance ${filament.weight}g`);
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.4',
+    description: 'Physical spools split out of filament records',
+    migrate(data) {
+        const changes = [];
+
+        data.filaments.forEach(filament => {
+            if (data.spools.some(spool => spool.filamentId === filament.id)) return;
+
+            // Existing stock is assumed to be in use, so it is drawn from first
+            data.spools.push(createSpool(filament, {
+                remainingWeight: filament.weight || 0,
+                purchaseDate: filament.purchaseDate || null,
+                addedDate: filament.purchaseDate || new Date().toISOString(),
+                purchasePrice: filament.purchasePrice ?? null,
+                location: filament.location || '',
+                state: filament.weight > 0 ? 'opened' : 'empty'
+            }));
+            changes.push(`Filament "${filament.brand} ${filament.color}": ${filament.weight || 0}g moved to its first spool`);
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.5',
+    description: 'Print outcome recorded on every print',
+    migrate(data) {
+        const changes = [];
+
+        data.prints.forEach(print => {
+            if (print.outcome) return;
+
+            // Older versions only recorded prints that finished
+            print.outcome = print.success === false ? 'failed' : 'success';
+            print.success = print.outcome === 'success';
+            print.failureReason = print.failureReason || null;
+            print.completedPercent = print.outcome === 'success' ? 100 : null;
+            print.wastedWeight = print.outcome === 'success' ? 0 : (print.weight || 0);
+            changes.push(`Print "${print.modelName}": outcome set to ${print.outcome}`);
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.6',
+    description: 'Model lines with quantities on every print',
+    migrate(data) {
+        const changes = [];
+
+        data.prints.forEach(print => {
+            if (Array.isArray(print.models)) return;
+
+            const model = data.models.find(m => m.name === print.modelName);
+            print.models = [{
+                modelId: model ? model.id : null,
+                modelName: print.modelName,
+                quantity: 1,
+                expectedWeight: print.usageVariance ? print.usageVariance.expected : null
+            }];
+            changes.push(`Print "${print.modelName}": recorded as a single model line`);
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.7',
+    description: 'Stock basis (grams bought or added) on every filament',
+    migrate(data) {
+        const changes = [];
+
+        data.filaments.forEach(filament => {
+            if (typeof filament.initialWeight === 'number') return;
+
+            // Assume today's stock is right, so the basis is what is left plus what prints used
+            const filamentSpools = (data.spools || []).filter(spool => spool.filamentId === filament.id);
+            const onShelf = filamentSpools.length > 0 ?
+                filamentSpools.reduce((sum, spool) => sum + (spool.remainingWeight || 0), 0) :
+                (filament.weight || 0);
+            const consumed = data.prints.reduce((total, print) => total + (print.filaments || [])
+                .filter(pf => pf.filamentId === filament.id)
+                .reduce((sum, pf) => sum + (pf.weight || 0), 0), 0);
+            filament.initialWeight = Math.round((onShelf + consumed) * 100) / 100;
+            changes.push(`Filament "${filament.brand} ${filament.color}": stock basis set to ${filament.initialWeight}g`);
+        });
+
+        return changes;
+    }
+});
+
+SchemaMigrations.register({
+    version: '2.8',
+    description: 'Purchase records for prices entered before purchases were tracked',
+    migrate(data) {
+        const changes = [];
+
+        data.filaments.forEach(filament => {
+            if (!filament.purchasePrice) return;
+            if (data.purchases.some(purchase => purchase.items.some(item => item.filamentId === filament.id))) return;
+
+            // The price is per kg, so it becomes one 1kg spool - the stock itself is already on record
+            data.purchases.push({
+                id: Date.now() + Math.random(),
+                vendor: '',
+                date: (filament.purchaseDate || new Date().toISOString()).split('T')[0],
+                currency: DEFAULT_CURRENCY,
+                shipping: 0,
+                orderReference: '',
+                items: [{ filamentId: filament.id, spoolId: null, spoolCount: 1, weightPerSpool: 1000, pricePerSpool: filament.purchasePrice }],
+                addedDate: new Date().toISOString(),
+                legacy: true
+            });
+            changes.push(`Filament "${filament.brand} ${filament.color}": $${filament.purchasePrice}/kg recorded as a purchase`);
+        });
+
+        return changes;
+    }
+});
+
+/**
+ * Migrates freshly loaded collections, committing the result together with a
+ * pre-migration snapshot so the upgrade can be rolled back
+ * @param {Object} collections - Records read from IndexedDB
+ * @param {string} version - Schema version stored alongside them
+ * @returns {Promise<Object>} The migrated collections
+ */
+function applyMigrationsOnLoad(collections, version) {
+    if (SchemaMigrations.pending(version).length === 0) {
+        return Promise.resolve(collections);
+    }
+
+    const before = {};
+    Object.entries(collections).forEach(([name, records]) => { before[name] = JSON.stringify(records || []); });
+    const takenAt = new Date().toISOString();
+    const report = SchemaMigrations.run(collections, version);
+    report.ranAt = takenAt;
+
+    // Only collections the migrations changed are kept, so a rollback leaves the rest alone
+    const snapshot = { version: version || null, takenAt, data: {} };
+    Object.entries(before).forEach(([name, json]) => {
+        if (JSON.stringify(collections[name] || []) !== json) snapshot.data[name] = JSON.parse(json);
+    });
+
+    const meta = { version: CURRENT_DATA_VERSION };
+
+    // Keep the previous snapshot when the upgrade only bumped the version
+    if (report.totalChanges > 0) {
+        meta.preMigrationSnapshot = snapshot;
+        meta.lastMigrationReport = report;
+    }
+
+    return PrintStackDB.saveCollections(collections, meta).then(() => collections);
+}
+
+function formatMigrationReport(report) {
+    if (!report || report.steps.length === 0) {
+        return 'No migrations pending - data is up to date.';
+    }
+
+    return report.steps.map(step => {
+        const lines = step.changes.slice(0, 10).map(change => `  • ${change}`);
+        if (step.changes.length > 10) {
+            lines.push(`  • …and ${step.changes.length - 10} more`);
+        }
+        return `v${step.version} - ${step.description}: ${step.changes.length} change${step.changes.length !== 1 ? 's' : ''}\n${lines.join('\n')}`;
+    }).join('\n\n');
+}
+
+function openDataVersionModal() {
+    const content = document.getElementById('dataVersionContent');
+    const rollbackBtn = document.getElementById('rollbackMigrationBtn');
+    if (!content) return;
+
+    if (!PrintStackDB.available) {
+        content.innerHTML = '<p class="text-muted">Version history requires IndexedDB, which is not available in this browser.</p>';
+        rollbackBtn.disabled = true;
+        document.getElementById('dataVersionModal').style.display = 'block';
+        return;
+    }
+
+    Promise.all([
+        PrintStackDB.getMeta('version'),
+        PrintStackDB.getMeta('lastMigrationReport'),
+        PrintStackDB.getMeta('preMigrationSnapshot')
+    ]).then(([version, lastReport, snapshot]) => {
+        // Dry run against current data shows what a reload would still change
+        const pendingReport = SchemaMigrations.dryRun(getPersistedCollections(), version);
+
+        content.innerHTML = `
+            <p><strong>Data version:</strong> ${version || 'unversioned'} (application schema ${CURRENT_DATA_VERSION})</p>
+            <h4>Pending migrations (dry run)</h4>
+            <pre class="migration-report">${formatMigrationReport(pendingReport)}</pre>
+            <h4>Last migration</h4>
+            <pre class="migration-report">${lastReport ?
+                `${new Date(lastReport.ranAt).toLocaleString()} - ${lastReport.fromVersion} → ${lastReport.toVersion}\n\n${formatMigrationReport(lastReport)}` :
+                'No migrations have run yet.'}</pre>
+            <p><strong>Rollback snapshot:</strong> ${snapshot ?
+                `version ${snapshot.version || 'unversioned'}, taken ${new Date(snapshot.takenAt).toLocaleString()}` :
+                'none'}</p>
+        `;
+        rollbackBtn.disabled = !snapshot;
+        document.getElementById('dataVersionModal').style.display = 'block';
+    }).catch(error => {
+        showErrorMessage(`Could not read version history: ${error.message}`);
+    });
+}
+
+function closeDataVersionModal() {
+    document.getElementById('dataVersionModal').style.display = 'none';
+}
+
+function rollbackMigration() {
+    PrintStackDB.getMeta('preMigrationSnapshot').then(snapshot => {
+        if (!snapshot) {
+            showErrorMessage('No pre-migration snapshot is available');
+            return;
+        }
+
+        const confirmed = confirm(
+            `Restore ${Object.keys(snapshot.data).join(', ')} exactly as they were before the last migration (version ${snapshot.version || 'unversioned'}, ${new Date(snapshot.takenAt).toLocaleString()})?\n\n` +
+            `Changes made to them since then will be lost; other data is kept. Migrations run again the next time PrintStack loads, so export a backup now if you need this state.`
+        );
+        if (!confirmed) return;
+
+        const previousWeights = InventoryLedger.snapshotWeights();
+        Object.entries(CollectionAccessors).forEach(([name, accessor]) => {
+            // The ledger is append-only and survives the rollback. Collections the migrations
+            // did not change are not in the snapshot, so later edits to them are kept.
+            if (name !== 'inventoryLedger' && name in snapshot.data) accessor.set(snapshot.data[name] || []);
+        });
+        InventoryLedger.recordChanges(previousWeights, 'rollback', `Version ${snapshot.version || 'unversioned'}`);
+
+        return PrintStackDB.saveCollections(getPersistedCollections(), {
+            version: snapshot.version,
+            preMigrationSnapshot: null,
+            lastMigrationReport: null
+        }).then(() => {
+            SchemaMigrations.activeVersion = snapshot.version;
+            DataCache.invalidate();
+            updateAllTables();
+            closeDataVersionModal();
+            showSuccessMessage(`Data rolled back to version ${snapshot.version || 'unversioned'}`);
+        });
+    }).catch(error => {
+        showErrorMessage(`Rollback failed: ${error.message}`);
+    });
+}
+
+// Data Management
+function loadData() {
+    return PrintStackDB.open()
+        .then(() => PrintStackDB.migrateFromLocalStorage())
+        .then(migrated => {
+            if (migrated) {
+                showSuccessMessage('Your data has been moved to the new browser database');
+            }
+            return Promise.all([PrintStackDB.loadCollections(), PrintStackDB.getMeta('version')]);
+        })
+        .then(([collections, version]) => applyMigrationsOnLoad(collections, version))
+        .then(collections => {
+            Object.entries(CollectionAccessors).forEach(([name, accessor]) => {
+                accessor.set(collections[name] || []);
+            });
+            ensureFilamentIds();
+            updateAllTables();
+
+            PrintStackDB.pruneMeshes(models).catch(error => console.warn('Could not clean up mesh files:', error));
+        })
+        .catch(error => {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            PrintStackDB.available = false;
+            loadLegacyData();
+        });
+}
+
+// Legacy localStorage loader, used when IndexedDB is not available
+function loadLegacyData() {
+    try {
+        const f = localStorage.getItem('filaments');
+        if (f) filaments = JSON.parse(f);
+        const m = localStorage.getItem('models');
+        if (m) models = JSON.parse(m);
+        const p = localStorage.getItem('prints');
+        if (p) prints = JSON.parse(p);
+        const s = localStorage.getItem('spools');
+        if (s) spools = JSON.parse(s);
+        const l = localStorage.getItem('inventoryLedger');
+        if (l) inventoryLedger = JSON.parse(l);
+        const r = localStorage.getItem('printers');
+        if (r) printers = JSON.parse(r);
+        const j = localStorage.getItem('printJobs');
+        if (j) printJobs = JSON.parse(j);
+        const b = localStorage.getItem('purchases');
+        if (b) purchases = JSON.parse(b);
+
+        // Ledger entries created by the migration need stable filament ids
+        ensureFilamentIds();
+
+        const combined = JSON.parse(localStorage.getItem('printstackData') || 'null');
+        SchemaMigrations.run({ filaments, models, prints, spools, inventoryLedger, printers, printJobs, purchases }, combined ? combined.version : undefined);
+    } catch (e) {
+        // Keep whatever parsed cleanly - the tables still render
+    }
+
+    ensureFilamentIds();
+    updateAllTables();
+}
+
+function saveData() {
+    // The in-memory data changed whether or not the save below goes through
+    DataCache.invalidate();
+
+    try {
+        // Validate data structure before saving
+        if (!validateFilamentData()) {
+            return false;
+        }
+
+        // Save enhanced data structure with versioning
+        const dataVersion = SchemaMigrations.activeVersion;
+        const lastSaved = new Date().toISOString();
+
+        if (PrintStackDB.available) {
+            PrintStackDB.saveCollections(getPersistedCollections(), { version: dataVersion, lastSaved })
+                .catch(error => {
+                    // E.g. another tab upgraded the database - keep this and later saves in
+                    // localStorage, marked so the next load writes them back into the database
+                    PrintStackDB.available = false;
+                    PrintStackDB.pendingLegacyWrites = true;
+                    try {
+                        saveLegacyData(dataVersion, lastSaved);
+                        showErrorMessage(`Could not save to the browser database (${error.message}). Changes are kept in local storage and restored when you reload the page.`, 10000);
+                    } catch (legacyError) {
+                        showErrorMessage(`Failed to save data: ${error.message}`);
+                    }
+                    AccessibilityNotifications.announceError('Save Data', 'Failed to save data to the browser database');
+                });
+        } else {
+            saveLegacyData(dataVersion, lastSaved);
+        }
+
+        return true;
+    } catch (error) {
+        AccessibilityNotifications.announceError('Save Data', 'Failed to save data to local storage');
+        return false;
+    }
+}
+
+function saveLegacyData(dataVersion, lastSaved) {
+    const saveData = {
+        filaments,
+        models,
+        prints,
+        spools,
+        inventoryLedger,
+        printers,
+        printJobs,
+        purchases,
+        version: dataVersion,
+        lastSaved
+    };
+
+    localStorage.setItem('printstackData', JSON.stringify(saveData));
+
+    // Maintain backward compatibility by also saving individual data sets
+    localStorage.setItem('filaments', JSON.stringify(filaments));
+    localStorage.setItem('models', JSON.stringify(models));
+    localStorage.setItem('prints', JSON.stringify(prints));
+    localStorage.setItem('spools', JSON.stringify(spools));
+    localStorage.setItem('inventoryLedger', JSON.stringify(inventoryLedger));
+    localStorage.setItem('printers', JSON.stringify(printers));
+    localStorage.setItem('printJobs', JSON.stringify(printJobs));
+    localStorage.setItem('purchases', JSON.stringify(purchases));
+
+    if (PrintStackDB.pendingLegacyWrites) {
+        localStorage.setItem(PENDING_LEGACY_WRITES_KEY, lastSaved);
+    }
+}
+
+function validateFilamentData() {
+    return filaments.every(f => {
+        // Required fields for enhanced filament data
+        if (!f.brand || typeof f.brand !== 'string' || f.brand.trim() === '') {
+            return false;
+        }
+        if (!f.materialType || typeof f.materialType !== 'string' || f.materialType.trim() === '') {
+            return false;
+        }
+        if (!f.color || typeof f.color !== 'string' || f.color.trim() === '') {
+            return false;
+        }
+        if (!f.colorHex || typeof f.colorHex !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(f.colorHex)) {
+            return false;
+        }
+        // Zero is valid - every spool of the filament may be used up
+        if (typeof f.weight !== 'number' || isNaN(f.weight) || f.weight < 0) {
+            return false;
+        }
+        if (!f.diameter || ![1.75, 2.85].includes(f.diameter)) {
+            return false;
+        }
+
+        // Validate optional fields
+        if (f.purchasePrice && (typeof f.purchasePrice !== 'number' || f.purchasePrice < 0)) {
+            return false;
+        }
+
+        if (f.temperature) {
+            const temp = f.temperature;
+            if (temp.min && (typeof temp.min !== 'number' || temp.min < 150 || temp.min > 350)) {
+                return false;
+            }
+            if (temp.max && (typeof temp.max !== 'number' || temp.max < 150 || temp.max > 350)) {
+                return false;
+            }
+            if (temp.min && temp.max && temp.min >= temp.max) {
+                return false;
+            }
+        }
+
+        return true;
+    });
+}
+
+function preventNegativeInventory(filamentId, weightToUse) {
+    const filament = filaments.find(f => f.id === filamentId);
+    if (!filament) return false;
+
+    // filament.weight already has past prints taken off, so usage must not be subtracted again
+    const availableWeight = InventoryService.getStock(filament).available;
+
+    if (availableWeight < weightToUse) {
+        const shortage = weightToUse - availableWeight;
+        return {
+            canConsume: false,
+            available: availableWeight,
+            requested: weightToUse,
+            shortage: shortage,
+            message: `Insufficient filament. Available: ${availableWeight.toFixed(1)}g, Requested: ${weightToUse.toFixed(1)}g, Shortage: ${shortage.toFixed(1)}g`
+        };
+    }
+
+    return {
+        canConsume: true,
+        available: availableWeight,
+        requested: weightToUse,
+        message: 'Sufficient filament available'
+    };
+}
+
+function checkAndPreventNegativeInventory(filamentId, weightToUse, allowOverride = false) {
+    const check = preventNegativeInventory(filamentId, weightToUse);
+
+    if (!check.canConsume) {
+        if (!allowOverride) {
+            const filament = filaments.find(f => f.id === filamentId);
+            const shouldOverride = confirm(
+                `${check.message}\n\n` +
+                `Filament: ${filament.brand} ${filament.materialType} (${filament.color})\n\n` +
+                `Would you like to:\n\n` +
+                `OK = Proceed anyway (inventory will go negative)\n` +
+                `Cancel = Adjust the usage amount`
+            );
+
+            if (!shouldOverride) {
+                return false;
+            }
+        }
+
+        AccessibilityNotifications.announce(
+            `Warning: Filament inventory will go negative by ${check.shortage.toFixed(1)}g`,
+            'assertive'
+        );
+    }
+
+    return true;
+}
+
+function exportData() {
+    try {
+        // Enhanced export with version and metadata
+        const exportData = {
+            version: CURRENT_DATA_VERSION,
+            exportDate: new Date().toISOString(),
+            application: 'PrintStack Enhanced',
+            data: {
+                filaments,
+                models,
+                prints,
+                spools,
+                inventoryLedger,
+                printers,
+                printJobs,
+                purchases
+            },
+            metadata: {
+                totalFilaments: filaments.length,
+                totalModels: models.length,
+                totalPrints: prints.length,
+               FilamentTypes: [...new Set(filaments.map(f => f.materialType))],
+                Brands: [...new Set(filaments.map(f => f.brand))]
+            }
+        };
+
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `printstack-enhanced-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        showSuccessMessage('Data exported successfully');
+        AccessibilityNotifications.announceSuccess('Data exported successfully');
+
+    } catch (error) {
+        AccessibilityNotifications.announceError('Export', 'Failed to export data');
+    }
+}
+
+function handleImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = ev => {
+        try {
+            const importData = JSON.parse(ev.target.result);
+
+            // Handle both legacy and enhanced import formats
+            let filamentsToImport = [];
+            let modelsToImport = [];
+            let printsToImport = [];
+            let spoolsToImport = [];
+            let ledgerToImport = [];
+            let printersToImport = [];
+            let jobsToImport = [];
+            let purchasesToImport = [];
+
+            if (importData.version && importData.data) {
+                // Enhanced format (version 2.0+)
+                filamentsToImport = importData.data.filaments || [];
+                modelsToImport = importData.data.models || [];
+                printsToImport = importData.data.prints || [];
+                spoolsToImport = importData.data.spools || [];
+                ledgerToImport = importData.data.inventoryLedger || [];
+                printersToImport = importData.data.printers || [];
+                jobsToImport = importData.data.printJobs || [];
+                purchasesToImport = importData.data.purchases || [];
+
+                showSuccessMessage(`Importing enhanced data from ${importData.application || 'PrintStack Enhanced'} v${importData.version}`);
+            } else {
+                // Legacy format
+                filamentsToImport = importData.filaments || [];
+                modelsToImport = importData.models || [];
+                printsToImport = importData.prints || [];
+
+                showSuccessMessage('Importing legacy format data');
+            }
+
+            const hasFilaments = filamentsToImport.length > 0;
+            const hasModels = modelsToImport.length > 0;
+            const hasPrints = printsToImport.length > 0;
+
+            if (!hasFilaments && !hasModels && !hasPrints) {
+                AccessibilityNotifications.announceError('Import', 'No data found in file');
+                return;
+            }
+
+            const confirmed = confirm(
+                `File contains:\n${hasFilaments ? `• ${filamentsToImport.length} Filaments\n` : ''}${hasModels ? `• ${modelsToImport.length} Models\n` : ''}${hasPrints ? `• ${printsToImport.length} Print records\n` : ''}\n\nOK = Replace these items\nCancel = Add (keep existing)`
+            );
+
+            const mode = confirmed ? 'replace' : 'add';
+            const pending = UndoHistory.begin('Import data', ['filaments', 'models', 'prints', 'spools', 'printers', 'printJobs', 'purchases']);
+            const previousWeights = InventoryLedger.snapshotWeights();
+
+            // Ids first, so ledger entries opened by the migration point at them
+            filamentsToImport.forEach(f => {
+                if (f.id === undefined) f.id = Date.now() + Math.random();
+            });
+
+            // Bring the imported records up to the current schema before merging
+            SchemaMigrations.run({
+                filaments: filamentsToImport,
+                models: modelsToImport,
+                prints: printsToImport,
+                spools: spoolsToImport,
+                inventoryLedger: ledgerToImport,
+                printers: printersToImport,
+                printJobs: jobsToImport,
+                purchases: purchasesToImport
+            }, importData.version);
+
+            // History is append-only, so imported entries are added in either mode
+            const knownEntries = new Set(inventoryLedger.map(e => e.id));
+            inventoryLedger.push(...ledgerToImport.filter(e => !knownEntries.has(e.id)));
+
+            // Process and validate filaments
+            if (hasFilaments) {
+                // Spools belong to the imported filaments, older files get them from the migration
+                if (mode === 'replace') {
+                    filaments = filamentsToImport;
+                    spools = spoolsToImport;
+                } else {
+                    filaments.push(...filamentsToImport);
+                    spools.push(...spoolsToImport);
+                }
+                ensureFilamentIds();
+            }
+
+            // Process and validate models
+            if (hasModels) {
+                modelsToImport.forEach(m => {
+                    if (!m.id) m.id = Date.now() + Math.random();
+                    if (m.requirements) {
+                        m.requirements.forEach(req => {
+                            if (!req.filamentId && req.color && req.material) {
+                                req.filamentId = resolveFilamentId(req.color, req.material);
+                            }
+                            // Handle migration from material to materialType
+                            if (req.material && !req.materialType) {
+                                req.materialType = req.material;
+                            }
+                        });
+                    }
+                });
+
+                if (mode === 'replace') {
+                    models = modelsToImport;
+                } else {
+                    modelsToImport.forEach(m => {
+                        if (!models.some(x => x.name.toLowerCase() === m.name.toLowerCase())) {
+                            models.push(m);
+                        }
+                    });
+                }
+            }
+
+            // Printers are matched by id so prints keep pointing at the right machine
+            if (mode === 'replace' && printersToImport.length > 0) {
+                printers = printersToImport;
+            } else {
+                const knownPrinters = new Set(printers.map(p => p.id));
+                printers.push(...printersToImport.filter(p => !knownPrinters.has(p.id)));
+            }
+            if (mode === 'replace' && jobsToImport.length > 0) {
+                printJobs = jobsToImport;
+            } else {
+                const knownJobs = new Set(printJobs.map(j => j.id));
+                printJobs.push(...jobsToImport.filter(j => !knownJobs.has(j.id)));
+            }
+            // Purchase history follows the filaments it bought
+            if (mode === 'replace' && hasFilaments) {
+                purchases = purchasesToImport;
+            } else {
+                const knownPurchases = new Set(purchases.map(p => p.id));
+                purchases.push(...purchasesToImport.filter(p => !knownPurchases.has(p.id)));
+            }
+
+            // Process and validate prints
+            if (hasPrints) {
+                printsToImport.forEach(p => {
+                    if (!p.id) p.id = Date.now() + Math.random();
+                });
+
+                if (mode === 'replace') {
+                    prints = printsToImport;
+                } else {
+                    prints.push(...printsToImport);
+                }
+            }
+
+            InventoryLedger.recordChanges(previousWeights, 'import', file.name);
+
+            // Save with validation
+            if (saveData()) {
+                updateAllTables();
+                commitUndoable(pending, `Import completed successfully! ${hasFilaments ? `${filamentsToImport.length} filaments, ` : ''}${hasModels ? `${modelsToImport.length} models, ` : ''}${hasPrints ? `${printsToImport.length} print records` : ''} imported.`);
+                AccessibilityNotifications.announceSuccess('Import completed successfully');
+            } else {
+                AccessibilityNotifications.announceError('Import', 'Failed to save imported data');
+            }
+
+        } catch (error) {
+            AccessibilityNotifications.announceError('Import', `Invalid data format: ${error.message}`);
+        }
+    };
+
+    reader.readAsText(file);
+    e.target.value = '';
+}
+
+// Filament Functions
+function addFilament() {
+    const form = document.getElementById('filamentForm');
+    const submitButton = document.getElementById('addFilamentBtn');
+
+    // Validate form using enhanced validation
+    const validation = validateForm(form);
+    if (!validation.valid) {
+        return false;
+    }
+
+    // Show loading state for better UX
+    showLoadingState(submitButton, true);
+
+    try {
+        const filamentData = collectFilamentFormData();
+        const duplicate = checkForFilamentDuplicate(filamentData);
+        const pending = UndoHistory.begin(`Add ${filamentData.brand} ${filamentData.materialType}`, ['filaments', 'spools']);
+
+        const message = duplicate ?
+            handleDuplicateFilament(duplicate, filamentData, submitButton) :
+            addNewFilament(filamentData);
+
+        // Clear form
+        clearFilamentForm(form);
+
+        // Save and update UI
+        saveData();
+        updateAllTables();
+        commitUndoable(pending, message);
+
+        // Announce success for screen readers
+        AccessibilityNotifications.announceSuccess(`${filamentData.brand} ${filamentData.materialType} filament added successfully`);
+
+    } catch (error) {
+        AccessibilityNotifications.announceError('Add Filament', 'An unexpected error occurred');
+    } finally {
+        showLoadingState(submitButton, false);
+    }
+
+    return true;
+}
+
+function collectFilamentFormData() {
+    let materialType = document.getElementById('filamentMaterialType').value;
+
+    // Handle custom material type
+    if (materialType === 'Other') {
+        materialType = document.getElementById('filamentMaterialTypeCustom').value.trim();
+    }
+
+    const filament = {
+        id: Date.now() + Math.random(), // Ensure uniqueness
+        brand: document.getElementById('filamentBrand').value.trim(),
+        materialType,
+        color: document.getElementById('filamentColor').value.trim(),
+        colorHex: document.getElementById('filamentColorHex').value,
+        diameter: parseFloat(document.getElementById('filamentDiameter').value),
+        density: parseFloat(document.getElementById('filamentDensity').value) || null,
+        weight: parseFloat(document.getElementById('filamentWeight').value) || 0,
+        location: document.getElementById('filamentLocation').value.trim() || '',
+        purchasePrice: document.getElementById('filamentPurchasePrice').value ?
+            parseFloat(document.getElementById('filamentPurchasePrice').value) : null,
+        notes: document.getElementById('filamentNotes').value.trim() || '',
+        inStock: document.getElementById('filamentInStock').checked,
+        reorderThreshold: readReorderThreshold('filamentReorderThreshold', 'filamentReorderUnit'),
+        purchaseDate: new Date().toISOString() // Auto-add purchase date
+    };
+
+    // Add temperature range if provided
+    const tempMin = document.getElementById('filamentTempMin').value;
+    const tempMax = document.getElementById('filamentTempMax').value;
+
+    if (tempMin || tempMax) {
+        filament.temperature = {
+            min: tempMin ? parseInt(tempMin) : null,
+            max: tempMax ? parseInt(tempMax) : null
+        };
+    }
+
+    return filament;
+}
+
+function checkForFilamentDuplicate(filamentData) {
+    return filaments.find(f =>
+        f.brand.toLowerCase() === filamentData.brand.toLowerCase() &&
+        f.materialType.toLowerCase() === filamentData.materialType.toLowerCase() &&
+        f.colorHex.toLowerCase() === filamentData.colorHex.toLowerCase()
+    );
+}
+
+function handleDuplicateFilament(duplicate, filamentData, submitButton) {
+    showLoadingState(submitButton, false);
+
+    const addAsSpool = confirm(
+        `Duplicate filament detected:\n${duplicate.brand} ${duplicate.materialType} in ${duplicate.color}\n\n` +
+        `Would you like to add this as another spool of the existing filament?\n\n` +
+        `OK = Add as a new spool\nCancel = Create new entry anyway`
+    );
+
+    if (addAsSpool) {
+        spools.push(createFirstSpool(duplicate, filamentData));
+        syncFilamentWeight(duplicate);
+        duplicate.inStock = duplicate.inStock || filamentData.inStock;
+        InventoryService.recordAdjustment(duplicate, filamentData.weight, 'merge');
+        if (filamentData.notes) {
+            duplicate.notes = duplicate.notes ? `${duplicate.notes}; ${filamentData.notes}` : filamentData.notes;
+        }
+        return `New spool added to ${duplicate.brand} ${duplicate.color} (${getFilamentSpools(duplicate.id).length} spools)`;
+    }
+
+    // Add new entry anyway
+    return addNewFilament(filamentData, 'New filament added successfully');
+}
+
+function addNewFilament(filamentData, message = 'Filament added successfully') {
+    filaments.push(filamentData);
+    spools.push(createFirstSpool(filamentData, filamentData));
+    InventoryService.recordAdjustment(filamentData, filamentData.weight, 'added');
+    return message;
+}
+
+// Spool for the weight, shelf and price entered in the add filament form
+function createFirstSpool(filament, formData) {
+    return createSpool(filament, {
+        remainingWeight: formData.weight,
+        location: formData.location,
+        purchasePrice: formData.purchasePrice,
+        purchaseDate: formData.purchaseDate
+    });
+}
+
+function clearFilamentForm(form) {
+    form.reset();
+
+    // Clear custom material type field
+    const customMaterialType = document.getElementById('filamentMaterialTypeCustom');
+    if (customMaterialType) {
+        customMaterialType.style.display = 'none';
+        customMaterialType.setAttribute('aria-hidden', 'true');
+    }
+}
+
+function editFilament(id) {
+    const f = filaments.find(x => x.id === id);
+    if (!f) return;
+
+    editingFilamentId = id;
+
+    // Map to enhanced edit modal fields
+    document.getElementById('editFilamentBrand').value = f.brand || '';
+    document.getElementById('editFilamentMaterialType').value = f.materialType || f.material || '';
+    document.getElementById('editFilamentColor').value = f.color || '';
+    document.getElementById('editFilamentColorHex').value = f.colorHex || '#cccccc';
+    document.getElementById('editFilamentWeight').value = f.weight || 0;
+
+    // With spools the weight is their total - change it per spool instead
+    const weightInput = document.getElementById('editFilamentWeight');
+    const hasSpools = getFilamentSpools(f.id).length > 0;
+    weightInput.disabled = hasSpools;
+    weightInput.title = hasSpools ? 'Total of all spools - edit individual spools to change it' : 'Current weight in grams';
+    document.getElementById('editFilamentDiameter').value = f.diameter || 1.75;
+    document.getElementById('editFilamentDensity').value = f.density || '';
+    document.getElementById('editFilamentDensity').placeholder = `${getMaterialDensity(f.materialType)} (material default)`;
+    document.getElementById('editFilamentLocation').value = f.location || '';
+    document.getElementById('editFilamentPurchasePrice').value = f.purchasePrice || '';
+    document.getElementById('editFilamentInStock').checked = f.inStock;
+    document.getElementById('editFilamentReorderThreshold').value = f.reorderThreshold ? f.reorderThreshold.value : '';
+    document.getElementById('editFilamentReorderUnit').value = f.reorderThreshold ? f.reorderThreshold.unit : 'g';
+    document.getElementById('editFilamentNotes').value = f.notes || '';
+
+    // Handle temperature range
+    if (f.temperature) {
+        document.getElementById('editFilamentTempMin').value = f.temperature.min || '';
+        document.getElementById('editFilamentTempMax').value = f.temperature.max || '';
+    } else {
+        document.getElementById('editFilamentTempMin').value = '';
+        document.getElementById('editFilamentTempMax').value = '';
+    }
+
+    document.getElementById('editFilamentModal').style.display = 'block';
+    showFieldFeedback(document.getElementById('editFilamentBrand'), 'info', `Editing: ${f.brand} ${f.materialType}`);
+}
+
+function closeEditFilamentModal() {
+    document.getElementById('editFilamentModal').style.display = 'none';
+    editingFilamentId = null;
+}
+
+function saveEditFilament() {
+    const f = filaments.find(x => x.id === editingFilamentId);
+    if (!f) return;
+
+    // Get the actual edit form element
+    const editForm = document.getElementById('editFilamentForm');
+    if (!editForm) {
+        showErrorMessage('Edit form not found');
+        return false;
+    }
+
+    // Validate the actual form
+    const validation = validateForm(editForm);
+    if (!validation.valid) {
+        showErrorMessage(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+
+        // Clear any existing field errors
+        editForm.querySelectorAll('.form-error').forEach(el => {
+            el.classList.remove('form-error');
+            el.setAttribute('aria-invalid', 'false');
+        });
+        editForm.querySelectorAll('.error-message').forEach(el => el.remove());
+
+        // Show specific validation errors
+        Object.entries(validation.errors).forEach(([fieldName, message]) => {
+            const field = editForm.querySelector(`[name="${fieldName}"]`);
+            if (field) {
+                showFieldError(field, message);
+            } else {
+            }
+        });
+
+        // Focus the first error field
+        const firstErrorField = editForm.querySelector('.form-error');
+        if (firstErrorField) {
+            firstErrorField.focus();
+        }
+
+        return false;
+    }
+
+    try {
+        const pending = UndoHistory.begin(`Edit ${f.brand} ${f.materialType}`, ['filaments']);
+        const previousWeight = f.weight || 0;
+
+        // Update filament with enhanced fields
+        f.brand = document.getElementById('editFilamentBrand').value.trim();
+        f.materialType = document.getElementById('editFilamentMaterialType').value.trim();
+        f.color = document.getElementById('editFilamentColor').value.trim();
+        f.colorHex = document.getElementById('editFilamentColorHex').value;
+        if (getFilamentSpools(f.id).length === 0) {
+            f.weight = parseFloat(document.getElementById('editFilamentWeight').value) || 0;
+        }
+        f.diameter = parseFloat(document.getElementById('editFilamentDiameter').value) || 1.75;
+        f.density = parseFloat(document.getElementById('editFilamentDensity').value) || null;
+        f.location = document.getElementById('editFilamentLocation').value.trim() || '';
+        f.purchasePrice = document.getElementById('editFilamentPurchasePrice').value ?
+            parseFloat(document.getElementById('editFilamentPurchasePrice').value) : null;
+        f.inStock = document.getElementById('editFilamentInStock').checked;
+        f.reorderThreshold = readReorderThreshold('editFilamentReorderThreshold', 'editFilamentReorderUnit');
+        f.notes = document.getElementById('editFilamentNotes').value.trim() || '';
+
+        // Handle temperature range
+        const tempMin = document.getElementById('editFilamentTempMin').value;
+        const tempMax = document.getElementById('editFilamentTempMax').value;
+
+        if (tempMin || tempMax) {
+            f.temperature = {
+                min: tempMin ? parseInt(tempMin) : null,
+                max: tempMax ? parseInt(tempMax) : null
+            };
+        } else {
+            delete f.temperature;
+        }
+
+        // Update last modified timestamp
+        f.lastModified = new Date().toISOString();
+        InventoryService.recordAdjustment(f, f.weight - previousWeight, 'edit');
+
+        saveData();
+        updateAllTables();
+        closeEditFilamentModal();
+
+        commitUndoable(pending, `${f.brand} ${f.materialType} filament updated successfully`);
+        AccessibilityNotifications.announceSuccess('Filament updated successfully');
+
+    } catch (error) {
+        showErrorMessage('Failed to save filament changes');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Models and print records that still point at a filament
+ * @param {Object} filament - Filament about to be deleted
+ * @returns {Object} { modelReferences: [{ modelName, count }], printReferences }
+ */
+function getFilamentReferences(filament) {
+    // Check for references in models (Task T029: Filament deletion prevention)
+    const modelReferences = [];
+    models.forEach(m => {
+        if (m.requirements) {
+            const refs = m.requirements.filter(r => r.filamentId === filament.id);
+            if (refs.length > 0) {
+                modelReferences.push({
+                    modelName: m.name,
+                    count: refs.length
+                });
+            }
+        }
+    });
+
+    // Check for references in print history
+    const printReferences = prints.filter(p =>
+        p.filamentId === filament.id ||
+        (p.color === filament.color && (!p.material || p.material === filament.materialType))
+    );
+
+    return { modelReferences, printReferences };
+}
+
+function deleteFilament(id) {
+    const filament = filaments.find(f => f.id === id);
+    if (!filament) return;
+
+    const { modelReferences, printReferences } = getFilamentReferences(filament);
+
+    // Build warning message if references exist
+    let warningMessage = `Delete ${filament.brand} ${filament.materialType} (${filament.color})?`;
+    let canDelete = true;
+
+    if (modelReferences.length > 0 || printReferences.length > 0) {
+        canDelete = false;
+        warningMessage = `\u26a0\ufe0f Cannot delete - filament is referenced:\n\n`;
+
+        if (modelReferences.length > 0) {
+            warningMessage += ` MODELS (${modelReferences.length}):\n`;
+            modelReferences.forEach(ref => {
+                warningMessage += `  \u2022 ${ref.modelName} (${ref.count} reference${ref.count > 1 ? 's' : ''})\n`;
+            });
+        }
+
+        if (printReferences.length > 0) {
+            warningMessage += `\n PRINT HISTORY (${printReferences.length} records)\n`;
+        }
+
+        warningMessage += `\nTo delete this filament:\n`;
+        warningMessage += `1. Remove it from all models first\n`;
+        warningMessage += `2. Consider keeping it for print history\n`;
+        warningMessage += `3. OR mark as "Out of Stock" instead`;
+
+        showWarningMessage('Cannot delete filament - it is referenced by models or print history', 8000);
+    }
+
+    if (!canDelete) {
+        const confirmed = confirm(warningMessage + '\n\nClick OK to mark as "Out of Stock" instead\nClick Cancel to keep as is');
+        if (confirmed) {
+            const pending = UndoHistory.begin(`Mark ${filament.brand} ${filament.materialType} out of stock`, ['filaments']);
+
+            // Mark as out of stock instead of deleting
+            filament.inStock = false;
+            filament.deletionBlocked = true;
+            saveData();
+            updateAllTables();
+            commitUndoable(pending, 'Filament marked as Out of Stock instead of deletion');
+            AccessibilityNotifications.announceSuccess('Filament marked as Out of Stock');
+        }
+        return;
+    }
+
+    // Standard deletion confirmation for unused filaments
+    const confirmed = confirm(`Delete ${filament.brand} ${filament.materialType} (${filament.color})? 🗑️`);
+    if (confirmed) {
+        const pending = UndoHistory.begin(`Delete ${filament.brand} ${filament.materialType}`, ['filaments', 'spools']);
+        filaments = filaments.filter(f => f.id !== id);
+        spools = spools.filter(spool => spool.filamentId !== id);
+        saveData();
+        updateAllTables();
+        commitUndoable(pending, 'Filament deleted successfully');
+        AccessibilityNotifications.announceSuccess('Filament deleted');
+    }
+}
+
+function setFilamentWeightUnit(unit) {
+    if (window.dataGrids && window.dataGrids.filamentTable) {
+        window.dataGrids.filamentTable.setWeightUnit(unit);
+    }
+}
+
+function updateFilamentTable() {
+    // Initialize enhanced data grid if not already done
+    if (!window.dataGrids) {
+        window.dataGrids = {};
+    }
+
+    if (!window.dataGrids.filamentTable) {
+        window.dataGrids.filamentTable = new FilamentTable();
+    }
+
+    // Set global filaments data and refresh the grid
+    window.filaments = filaments;
+    window.dataGrids.filamentTable.updateData();
+}
+
+function setupFilamentSearch() {
+    // Search functionality is now handled by the enhanced data grid
+    // This function is kept for compatibility but no longer needed
+}
+// Filament Search Box for Models
+function createFilamentSearchBox(selectedId = null, isEdit = false) {
+    const div = document.createElement('div');
+    div.className = 'filament-req-item';
+    const fil = selectedId ? filaments.find(f => f.id === selectedId) : null;
+    let displayText = '';
+
+    if (fil) {
+        displayText = `${fil.colorName || fil.color} (${fil.materialType || fil.material})`;
+    } else if (selectedId) {
+        // Find the model requirement that references this filament to show what was expected
+        let req = null;
+        for (const model of models) {
+            if (model.requirements) {
+                req = model.requirements.find(r => r.filamentId === selectedId);
+                if (req) break;
+            }
         }
 
         if (req) {
@@ -2462,801 +6778,2778 @@ function createFilamentSearchBox(selectedId = null, isEdit = false) {
             const material = req.material || req.materialType || 'Unknown';
             displayText = `[MISSING] ${color} (${material})`;
         } else {
-            displayText = `[MISSING] Unknown filament (ID: ${selectedId})`;
+            displayText = `[MISSING] Unknown filament (ID: ${selectedId})`;
+        }
+    } else {
+        displayText = '';
+    }
+
+    const removeFn = isEdit ? 'removeEditFilamentRequirement' : 'removeFilamentRequirement';
+    
+    // Get requirement data if this is an edit or creating with existing data
+    let reqData = null;
+    if (selectedId && isEdit) {
+        // This is edit mode, find the requirement data
+        for (const model of models) {
+            if (model.requirements) {
+                reqData = model.requirements.find(r => r.filamentId === selectedId);
+                if (reqData) break;
+            }
+        }
+    }
+
+    div.innerHTML = `
+        <div class="search-container">
+            <input type="text" class="search-input req-search" placeholder="Search filaments..." value="${displayText}" data-selected-id="${selectedId || ''}" autocomplete="off" title="Search for filaments by name, color, or material type">
+            <div class="search-results"></div>
+        </div>
+        <div class="usage-fields">
+            <input type="number" class="expected-weight" placeholder="Expected weight (g)" min="0" step="0.1" value="${reqData?.expectedWeight || ''}" aria-label="Expected filament amount" title="Expected filament amount for this model, in grams or length">
+            ${buildQuantityUnitSelect()}
+            <input type="number" class="tolerance" placeholder="Tolerance %" min="0" max="100" step="1" value="${reqData?.tolerance || ''}" aria-label="Usage tolerance percentage" title="Tolerance percentage for weight variance (e.g., 5 for ±5%)">
+            <input type="number" class="required-count" placeholder="Qty" min="1" value="${reqData?.requiredCount || 1}" aria-label="Number of items required" title="Number of times this filament is needed for the model">
+        </div>
+        <button type="button" class="delete-btn" onclick="${removeFn}(this)" title="Remove this filament requirement">Remove</button>
+    `;
+    
+    const input = div.querySelector('.req-search');
+    const resultsDiv = div.querySelector('.search-results');
+    let selecting = false;
+    
+    const updateResults = () => {
+        const container = input.closest('#requiredFilamentsContainer, #editRequiredFilamentsContainer');
+        const selectedIds = Array.from(container.querySelectorAll('.req-search'))
+            .map(i => parseInt(i.dataset.selectedId))
+            .filter(id => !isNaN(id) && id !== parseInt(input.dataset.selectedId));
+        
+        const filtered = filaments.filter(f => !selectedIds.includes(f.id) &&
+            (!input.value || `${(f.materialType || f.material)} ${(f.colorName || f.color)}`.toLowerCase().includes(input.value.toLowerCase())));
+        
+        resultsDiv.innerHTML = filtered.length ? filtered.map(f => `
+            <div class="search-result-item" data-filament-id="${f.id}">
+                <span class="color-swatch" style="background:${f.colorHex || '#ccc'}" data-hex="${f.colorHex || '#CCCCCC'}"></span>
+                <span>${f.colorName || f.color} (${f.materialType || f.material})</span>
+                ${!f.inStock ? '<span class="badge badge-error">Out of Stock</span>' : ''}
+            </div>`).join('') : '<div class="no-results">No filaments found</div>';
+        
+        resultsDiv.querySelectorAll('.search-result-item').forEach(item => {
+            item.onmouseenter = () => selecting = true;
+            item.onmouseleave = () => selecting = false;
+            item.onclick = e => {
+                e.stopPropagation();
+                const fid = parseInt(item.dataset.filamentId, 10);
+                const filament = filaments.find(f => f.id === fid);
+                if (filament) {
+                    input.value = `${filament.colorName || filament.color} (${filament.materialType || filament.material})`;
+                    input.dataset.selectedId = fid;
+                    resultsDiv.style.display = 'none';
+                }
+            };
+        });
+        resultsDiv.style.display = 'block';
+    };
+    
+    input.onfocus = input.oninput = () => { input.dataset.selectedId = ''; updateResults(); };
+    input.onblur = () => { if (!selecting) setTimeout(() => resultsDiv.style.display = 'none', 200); };
+    
+    return div;
+}
+
+function addFilamentRequirement() {
+    document.getElementById('requiredFilamentsContainer').appendChild(createFilamentSearchBox());
+}
+
+function removeFilamentRequirement(btn) {
+    const container = btn.closest('#requiredFilamentsContainer, #editRequiredFilamentsContainer');
+    if (container.children.length <= 1) return alert('Model must have at least one filament');
+    btn.closest('.filament-req-item').remove();
+}
+
+function addEditFilamentRequirement() {
+    document.getElementById('editRequiredFilamentsContainer').appendChild(createFilamentSearchBox(null, true));
+}
+
+function removeEditFilamentRequirement(btn) { 
+    removeFilamentRequirement(btn); 
+}
+
+// Model Functions
+function addModel() {
+    // Enhanced model validation and creation
+    const name = document.getElementById('modelName').value.trim();
+    const link = document.getElementById('modelLink').value.trim();
+    const category = document.getElementById('modelCategory').value;
+    const difficulty = document.getElementById('modelDifficulty').value;
+    const printTime = parseFloat(document.getElementById('modelPrintTime').value) || null;
+    const layerHeight = parseFloat(document.getElementById('modelLayerHeight').value) || null;
+    const infill = parseInt(document.getElementById('modelInfill').value) || null;
+    const supportsRequired = document.getElementById('modelSupports').value === 'true';
+    const notes = document.getElementById('modelNotes').value.trim();
+
+    // Comprehensive validation - collect all errors
+    const validationErrors = [];
+
+    // Validate required fields
+    if (!name || name.trim() === '') {
+        validationErrors.push('• Model name is required');
+    }
+
+    if (!category) {
+        validationErrors.push('• Please select a category');
+    }
+
+    if (!difficulty) {
+        validationErrors.push('• Please select a difficulty level');
+    }
+
+    // Validate optional fields
+    if (printTime !== null && (printTime < 0 || printTime > 1440)) {
+        validationErrors.push('• Print time must be between 0 and 1440 minutes (24 hours)');
+    }
+
+    if (layerHeight !== null && (layerHeight < 0.05 || layerHeight > 1.0)) {
+        validationErrors.push('• Layer height must be between 0.05mm and 1.0mm');
+    }
+
+    if (infill !== null && (infill < 0 || infill > 100)) {
+        validationErrors.push('• Infill must be between 0% and 100%');
+    }
+
+    // Get filament requirements and validate them
+    const requirements = [];
+    document.querySelectorAll('#requiredFilamentsContainer .filament-req-item').forEach((item, index) => {
+        const searchInput = item.querySelector('.req-search');
+        const expectedWeightInput = item.querySelector('.expected-weight');
+        const toleranceInput = item.querySelector('.tolerance');
+        const requiredCountInput = item.querySelector('.required-count');
+
+        const id = parseInt(searchInput.dataset.selectedId, 10);
+        if (!isNaN(id) && id > 0) {
+            const f = filaments.find(x => x.id === id);
+            if (f) {
+                // Validate expected weight is provided (lengths are converted to grams)
+                const expectedWeight = readQuantityInput(expectedWeightInput, f);
+                if (isNaN(expectedWeight) || expectedWeight <= 0) {
+                    validationErrors.push(`• Filament ${index + 1}: Please provide a valid expected weight`);
+                    return;
+                }
+
+                // Validate tolerance if provided
+                const tolerance = parseFloat(toleranceInput.value);
+                if (toleranceInput.value && !isNaN(tolerance) && (tolerance < 0 || tolerance > 100)) {
+                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Tolerance must be between 0% and 100%`);
+                    return;
+                }
+
+                // Validate required count if provided
+                const requiredCount = parseInt(requiredCountInput.value);
+                if (requiredCountInput.value && (isNaN(requiredCount) || requiredCount < 1 || requiredCount > 100)) {
+                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Quantity must be between 1 and 100`);
+                    return;
+                }
+
+                requirements.push({
+                    filamentId: id,
+                    brand: f.brand,
+                    material: f.materialType || f.material,
+                    color: f.colorName || f.color,
+                    expectedWeight: expectedWeight,
+                    tolerance: !isNaN(tolerance) ? tolerance : 10, // Default 10% tolerance
+                    requiredCount: !isNaN(requiredCount) ? requiredCount : 1
+                });
+            }
+        }
+    });
+
+    if (requirements.length === 0) {
+        validationErrors.push('• Please select at least one filament from the dropdown');
+    }
+
+    // Show all validation errors in a single popup
+    if (validationErrors.length > 0) {
+        const errorMessage = `Please fix the following issues:\n\n${validationErrors.join('\n')}\n\nClick OK to continue editing.`;
+        alert(errorMessage);
+        return;
+    }
+
+    // Create enhanced model object
+    const newModel = {
+        id: Date.now(),
+        name,
+        requirements,
+        link,
+        category,
+        difficulty,
+        printTime,
+        layerHeight,
+        infill,
+        supportsRequired,
+        notes,
+        addedDate: new Date().toISOString().split('T')[0],
+        tags: extractTagsFromNotes(notes)
+    };
+
+    const pending = UndoHistory.begin(`Add model "${name}"`, ['models']);
+    models.push(newModel);
+
+    // Clear form
+    document.getElementById('modelName').value = '';
+    document.getElementById('modelLink').value = '';
+    document.getElementById('modelCategory').value = '';
+    document.getElementById('modelDifficulty').value = '';
+    document.getElementById('modelPrintTime').value = '';
+    document.getElementById('modelLayerHeight').value = '';
+    document.getElementById('modelInfill').value = '';
+    document.getElementById('modelSupports').value = 'false';
+    document.getElementById('modelNotes').value = '';
+    document.getElementById('requiredFilamentsContainer').innerHTML = '';
+    addFilamentRequirement();
+
+    saveData();
+    updateAllTables();
+
+    // Show success message
+    commitUndoable(pending, `Model "${name}" added successfully!`);
+}
+
+// Helper function to extract tags from notes (simple implementation)
+function extractTagsFromNotes(notes) {
+    if (!notes) return [];
+
+    // Look for hashtags in notes
+    const tags = notes.match(/#\w+/g) || [];
+    return tags.map(tag => tag.substring(1)); // Remove # symbol
+}
+
+function editModel(id) {
+    const m = models.find(x => x.id === id);
+    if (!m) return;
+
+    editingModelId = id;
+    document.getElementById('editModelName').value = m.name;
+    document.getElementById('editModelLink').value = m.link || '';
+    document.getElementById('editModelCategory').value = m.category || '';
+    document.getElementById('editModelDifficulty').value = m.difficulty || '';
+    document.getElementById('editModelPrintTime').value = m.printTime || '';
+    document.getElementById('editModelLayerHeight').value = m.layerHeight || '';
+    document.getElementById('editModelInfill').value = m.infill || '';
+    document.getElementById('editModelSupports').value = m.supportsRequired ? 'true' : 'false';
+    document.getElementById('editModelNotes').value = m.notes || '';
+
+    const container = document.getElementById('editRequiredFilamentsContainer');
+    container.innerHTML = '';
+    (m.requirements || []).forEach(req => {
+        container.appendChild(createFilamentSearchBox(req.filamentId, true));
+    });
+
+    document.getElementById('editModelModal').style.display = 'block';
+}
+
+function closeEditModelModal() {
+    document.getElementById('editModelModal').style.display = 'none';
+    editingModelId = null;
+}
+
+function saveEditModel() {
+    const m = models.find(x => x.id === editingModelId);
+    if (!m) return;
+
+    // Collect form data
+    const name = document.getElementById('editModelName').value.trim();
+    const link = document.getElementById('editModelLink').value.trim();
+    const category = document.getElementById('editModelCategory').value;
+    const difficulty = document.getElementById('editModelDifficulty').value;
+    const printTime = parseFloat(document.getElementById('editModelPrintTime').value) || null;
+    const layerHeight = parseFloat(document.getElementById('editModelLayerHeight').value) || null;
+    const infill = parseInt(document.getElementById('editModelInfill').value) || null;
+    const supportsRequired = document.getElementById('editModelSupports').value === 'true';
+    const notes = document.getElementById('editModelNotes').value.trim();
+
+    // Comprehensive validation - collect all errors
+    const validationErrors = [];
+
+    // Validate required fields
+    if (!name || name.trim() === '') {
+        validationErrors.push('• Model name is required');
+    }
+
+    if (!category) {
+        validationErrors.push('• Please select a category');
+    }
+
+    if (!difficulty) {
+        validationErrors.push('• Please select a difficulty level');
+    }
+
+    // Validate optional fields
+    if (printTime !== null && (printTime < 0 || printTime > 1440)) {
+        validationErrors.push('• Print time must be between 0 and 1440 minutes (24 hours)');
+    }
+
+    if (layerHeight !== null && (layerHeight < 0.05 || layerHeight > 1.0)) {
+        validationErrors.push('• Layer height must be between 0.05mm and 1.0mm');
+    }
+
+    if (infill !== null && (infill < 0 || infill > 100)) {
+        validationErrors.push('• Infill must be between 0% and 100%');
+    }
+
+    // Get and validate filament requirements
+    const requirements = [];
+    document.querySelectorAll('#editRequiredFilamentsContainer .filament-req-item').forEach((item, index) => {
+        const searchInput = item.querySelector('.req-search');
+        const expectedWeightInput = item.querySelector('.expected-weight');
+        const toleranceInput = item.querySelector('.tolerance');
+        const requiredCountInput = item.querySelector('.required-count');
+
+        const id = parseInt(searchInput.dataset.selectedId, 10);
+        if (!isNaN(id) && id > 0) {
+            const f = filaments.find(x => x.id === id);
+            if (f) {
+                // Validate expected weight is provided (lengths are converted to grams)
+                const expectedWeight = readQuantityInput(expectedWeightInput, f);
+                if (isNaN(expectedWeight) || expectedWeight <= 0) {
+                    validationErrors.push(`• Filament ${index + 1}: Please provide a valid expected weight`);
+                    return;
+                }
+
+                // Validate tolerance if provided
+                const tolerance = parseFloat(toleranceInput.value);
+                if (toleranceInput.value && !isNaN(tolerance) && (tolerance < 0 || tolerance > 100)) {
+                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Tolerance must be between 0% and 100%`);
+                    return;
+                }
+
+                // Validate required count if provided
+                const requiredCount = parseInt(requiredCountInput.value);
+                if (requiredCountInput.value && (isNaN(requiredCount) || requiredCount < 1 || requiredCount > 100)) {
+                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Quantity must be between 1 and 100`);
+                    return;
+                }
+
+                requirements.push({
+                    filamentId: id,
+                    brand: f.brand,
+                    material: f.materialType || f.material,
+                    color: f.colorName || f.color,
+                    expectedWeight: expectedWeight,
+                    tolerance: !isNaN(tolerance) ? tolerance : 10, // Default 10% tolerance
+                    requiredCount: !isNaN(requiredCount) ? requiredCount : 1
+                });
+            }
+        }
+    });
+
+    if (requirements.length === 0) {
+        validationErrors.push('• Please select at least one filament from the dropdown');
+    }
+
+    // Show all validation errors in a single popup
+    if (validationErrors.length > 0) {
+        const errorMessage = `Please fix the following issues:\n\n${validationErrors.join('\n')}\n\nClick OK to continue editing.`;
+        alert(errorMessage);
+        return;
+    }
+
+    const pending = UndoHistory.begin(`Edit model "${m.name}"`, ['models']);
+
+    // Update model data
+    m.name = name;
+    m.link = link;
+    m.category = category;
+    m.difficulty = difficulty;
+    m.printTime = printTime;
+    m.layerHeight = layerHeight;
+    m.infill = infill;
+    m.supportsRequired = supportsRequired;
+    m.notes = notes;
+    m.requirements = requirements;
+    m.tags = extractTagsFromNotes(notes);
+
+    saveData();
+    updateAllTables();
+    closeEditModelModal();
+    commitUndoable(pending, `Model "${name}" updated`);
+}
+
+function deleteModel(id) {
+    const model = models.find(m => m.id === id);
+    if (!model) return;
+
+    // Check if model has print history
+    const modelPrints = prints.filter(p => p.modelId === id);
+
+    let confirmMessage = `Delete model "${model.name}"?`;
+    let relationshipWarnings = [];
+
+    if (modelPrints.length > 0) {
+        relationshipWarnings.push(`• Has ${modelPrints.length} print record${modelPrints.length !== 1 ? 's' : ''} (${modelPrints.map(p => new Date(p.date).toLocaleDateString()).join(', ')})`);
+    }
+
+    // Check if model is the only one using certain filaments
+    const uniqueFilaments = [];
+    model.requirements?.forEach(req => {
+        const otherModels = models.filter(m => m.id !== id && m.requirements?.some(r => r.filamentId === req.filamentId));
+        if (otherModels.length === 0) {
+            const filament = filaments.find(f => f.id === req.filamentId);
+            if (filament) {
+                uniqueFilaments.push(`• ${filament.colorName || filament.color} (${filament.materialType || filament.material})`);
+            }
+        }
+    });
+
+    if (uniqueFilaments.length > 0) {
+        relationshipWarnings.push(`• Only model using these filaments:\n${uniqueFilaments.join('\n')}`);
+    }
+
+    if (relationshipWarnings.length > 0) {
+        confirmMessage += '\n\n⚠️ Related data will be preserved:\n' + relationshipWarnings.join('\n') + '\n\nContinue with deletion?';
+    }
+
+    if (confirm(confirmMessage)) {
+        const pending = UndoHistory.begin(`Delete model "${model.name}"`, ['models']);
+        models = models.filter(m => m.id !== id);
+
+        // Print history is preserved but will show "Model not found" in display
+        saveData();
+        updateAllTables();
+
+        // Show success message with additional info if there were relationships
+        commitUndoable(pending, relationshipWarnings.length > 0 ?
+            `Model "${model.name}" deleted - related print history kept` :
+            `Model "${model.name}" deleted`);
+    }
+}
+
+/**
+ * Determines if a model can be printed based on available filament inventory
+ * @param {Object} m - The model to check for printability
+ * @returns {Object} Printability status with details and count
+ */
+function canPrintModel(m) {
+    // Early return for models with no filament requirements
+    if (!m.requirements || m.requirements.length === 0) {
+        return {
+            canPrint: false,
+            missingRequirements: ['None defined'],
+            availableFilaments: [],
+            canPrintCount: 0
+        };
+    }
+
+    const missing = [];              // Required filaments that are missing or out of stock
+    const availableFilaments = [];   // Available filaments that meet requirements
+    let maxCanPrintCount = Infinity; // Maximum prints possible based最 limited filament
+
+    // Check each filament requirement against available inventory
+    m.requirements.forEach(req => {
+        const filament = filaments.find(f => f.id === req.filamentId);
+        if (!filament || !filament.inStock) {
+            // Track missing or out-of-stock filaments with descriptive messages
+            missing.push(`${req.color} (${req.material}) - ${filament ? 'Out of Stock' : 'Missing'}`);
+            maxCanPrintCount = 0; // Cannot print if any requirement is unavailable
+        } else {
+            // Store available filament information for reference
+            availableFilaments.push({
+                filament: filament,
+                requirement: req,
+                weightPerPrint: req.expectedWeight || 0,
+                tolerance: req.tolerance || 10
+            });
+
+            // Calculate maximum prints possible for this specific filament
+            if (req.expectedWeight && req.expectedWeight > 0) {
+                // Filament reserved by queued jobs is not available for another print
+                const canPrintCount = Math.floor(Math.max(0, InventoryService.getStock(filament).available) / req.expectedWeight);
+                // Account for quantity required per print (e.g., 2 identical parts)
+                const actualCount = Math.floor(canPrintCount / (req.requiredCount || 1));
+                // Overall print count limited by most constrained filament
+                maxCanPrintCount = Math.min(maxCanPrintCount, actualCount);
+            }
+        }
+    });
+
+    // Handle edge case: if no expected weights defined, assume printable if all in stock
+    if (maxCanPrintCount === Infinity) {
+        maxCanPrintCount = missing.length === 0 ? 1 : 0;
+    }
+
+    // Without a printer registry any machine is assumed to be able to print it
+    let compatiblePrinters = printers;
+    if (printers.length > 0 && missing.length === 0) {
+        compatiblePrinters = findCompatiblePrinters(availableFilaments.map(a => a.filament), m.mesh ? m.mesh.boundingBox : null);
+        if (compatiblePrinters.length === 0) {
+            missing.push('No compatible printer');
+            maxCanPrintCount = 0;
+        }
+    }
+
+    return {
+        canPrint: missing.length === 0,
+        missingRequirements: missing,
+        availableFilaments: availableFilaments,
+        compatiblePrinters: compatiblePrinters,
+        canPrintCount: Math.max(0, maxCanPrintCount)
+    };
+}
+
+// Model usage calculation functions
+
+/**
+ * Calculates the total expected filament usage for a model
+ * @param {Object} model - The model with filament requirements
+ * @returns {number} Total expected filament weight in grams
+ */
+function calculateTotalExpectedUsage(model) {
+    // Return zero for models with no filament requirements
+    if (!model.requirements || model.requirements.length === 0) {
+        return 0;
+    }
+
+    // Sum up expected weight for each requirement, accounting for quantity
+    return model.requirements.reduce((total, req) => {
+        const expectedWeight = req.expectedWeight || 0; // Default to 0 if not specified
+        const requiredCount = req.requiredCount || 1;  // Default to 1 item if not specified
+        return total + (expectedWeight * requiredCount); // Total weight for this requirement
+    }, 0);
+}
+
+/**
+ * Calculates the estimated material cost for printing a model, priced with the
+ * selected cost basis (see getFilamentCost)
+ * @param {Object} model - The model with filament requirements and pricing info
+ * @returns {number} Total estimated cost in currency units
+ */
+function calculateModelCost(model) {
+    // Return zero for models with no filament requirements
+    if (!model.requirements || model.requirements.length === 0) {
+        return 0;
+    }
+
+    let totalCost = 0;
+
+    // Calculate cost for each filament requirement
+    model.requirements.forEach(req => {
+        const filament = filaments.find(f => f.id === req.filamentId);
+        if (filament) {
+            const expectedWeight = req.expectedWeight || 0;
+            const requiredCount = req.requiredCount || 1;
+            totalCost += getFilamentCost(filament, expectedWeight * requiredCount) || 0;
+        }
+    });
+
+    return totalCost;
+}
+
+function getModelUsageStatistics(modelId) {
+    const model = models.find(m => m.id === modelId);
+    if (!model) {
+        return null;
+    }
+
+    // Shared plates only count the part of the print that went to this model
+    const modelLines = getModelPrintAllocations(model);
+    const modelPrints = [...new Set(modelLines.map(entry => entry.print))];
+    return {
+        totalPrints: modelPrints.length,
+        totalCopies: modelLines.reduce((total, entry) => total + entry.quantity, 0),
+        expectedWeight: calculateTotalExpectedUsage(model),
+        actualWeightUsed: modelLines.reduce((total, entry) => total + entry.weight, 0),
+        averageVariance: calculateModelUsageVariance(modelId),
+        lastPrinted: modelPrints.length > 0 ? Math.max(...modelPrints.map(p => new Date(p.date))) : null
+    };
+}
+
+// Average variance of one copy of the model against its expected usage
+function calculateModelUsageVariance(modelId) {
+    const model = models.find(m => m.id === modelId);
+    if (!model || !model.requirements) {
+        return 0;
+    }
+
+    const expectedPerCopy = calculateTotalExpectedUsage(model);
+    const modelLines = getModelPrintAllocations(model).filter(entry => getPrintOutcome(entry.print) === 'success');
+    if (expectedPerCopy === 0 || modelLines.length === 0) {
+        return 0;
+    }
+
+    const variances = modelLines.map(entry => {
+        const actualPerCopy = entry.weight / entry.quantity;
+        return ((actualPerCopy - expectedPerCopy) / expectedPerCopy) * 100;
+    });
+
+    return variances.reduce((sum, variance, _, arr) => sum + variance / arr.length, 0);
+}
+
+function updateModelTable() {
+    // Initialize enhanced data grid if not already done
+    if (!window.dataGrids) {
+        window.dataGrids = {};
+    }
+
+    if (!window.dataGrids.modelTable) {
+        window.dataGrids.modelTable = new ModelsTable();
+    }
+
+    // Set global models data and refresh the grid
+    window.models = models;
+    window.dataGrids.modelTable.updateData();
+}
+
+function validateModelFilamentRelationships() {
+    const issues = [];
+
+    models.forEach(model => {
+        if (!model.requirements || model.requirements.length === 0) {
+            issues.push({
+                type: 'missing_requirements',
+                modelId: model.id,
+                modelName: model.name,
+                message: 'Model has no filament requirements defined'
+            });
+            return;
+        }
+
+        model.requirements.forEach(req => {
+            const filament = filaments.find(f => f.id === req.filamentId);
+            if (!filament) {
+                issues.push({
+                    type: 'missing_filament',
+                    modelId: model.id,
+                    modelName: model.name,
+                    filamentId: req.filamentId,
+                    message: `Required filament (ID: ${req.filamentId}) not found in inventory`
+                });
+            }
+        });
+    });
+
+    return issues;
+}
+
+// ============================
+// Model Meshes
+// ============================
+
+// Slicer defaults used for the shell of the weight estimate
+const MESH_LINE_WIDTH_MM = 0.45;
+const MESH_DEFAULT_WALLS = 2;
+const MESH_THUMBNAIL_SIZE = 96;
+// Larger meshes are thinned out for the thumbnail only, never for the measurements
+const MESH_THUMBNAIL_MAX_TRIANGLES = 150000;
+
+// Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+function parseBinaryStl(buffer) {
+    const view = new DataView(buffer);
+    const count = view.getUint32(80, true);
+    const positions = new Float32Array(count * 9);
+    for (let i = 0; i < count; i++) {
+        const offset = 84 + i * 50 + 12; // skip the facet normal
+        for (let j = 0; j < 9; j++) {
+            positions[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+        }
+    }
+    return positions;
+}
+
+function parseAsciiStl(text) {
+    const values = [];
+    const pattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        values.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+    }
+    return new Float32Array(values);
+}
+
+// Faces may be polygons, use v/vt/vn syntax and negative (relative) indices
+function parseObj(text) {
+    const vertices = [];
+    const values = [];
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            vertices.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+        } else if (parts[0] === 'f') {
+            const corners = parts.slice(1).map(part => {
+                const index = parseInt(part.split('/')[0], 10);
+                return vertices[index < 0 ? vertices.length + index : index - 1];
+            });
+            if (corners.some(corner => !corner)) return;
+            for (let i = 1; i < corners.length - 1; i++) {
+                values.push(...corners[0], ...corners[i], ...corners[i + 1]);
+            }
+        }
+    });
+    return new Float32Array(values);
+}
+
+/**
+ * Reads an STL or OBJ file into a flat triangle list
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - Used to tell OBJ from STL
+ * @returns {Float32Array} Nine coordinates (three vertices) per triangle, in mm
+ */
+function parseMeshFile(buffer, fileName) {
+    if (/\.obj$/i.test(fileName)) {
+        return parseObj(new TextDecoder().decode(buffer));
+    }
+    // ASCII STL also starts with "solid", so trust the size check instead of the header
+    const isBinary = buffer.byteLength >= 84 &&
+        84 + new DataView(buffer).getUint32(80, true) * 50 === buffer.byteLength;
+    return isBinary ? parseBinaryStl(buffer) : parseAsciiStl(new TextDecoder().decode(buffer));
+}
+
+// Volume from signed tetrahedra against the origin, which only works for closed meshes
+function measureMesh(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let volume = 0;
+    let area = 0;
+
+    for (let i = 0; i < positions.length; i += 9) {
+        const [ax, ay, az, bx, by, bz, cx, cy, cz] = positions.subarray(i, i + 9);
+        volume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+        const ux = bx - ax, uy = by - ay, uz = bz - az;
+        const vx = cx - ax, vy = cy - ay, vz = cz - az;
+        area += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+
+        for (let j = 0; j < 9; j++) {
+            const axis = j % 3;
+            min[axis] = Math.min(min[axis], positions[i + j]);
+            max[axis] = Math.max(max[axis], positions[i + j]);
+        }
+    }
+
+    const size = axis => (max[axis] > min[axis] ? Math.round((max[axis] - min[axis]) * 100) / 100 : 0);
+    return {
+        triangles: positions.length / 9,
+        volumeMm3: Math.round(Math.abs(volume)),
+        surfaceAreaMm2: Math.round(area),
+        boundingBox: { x: size(0), y: size(1), z: size(2) }
+    };
+}
+
+/**
+ * Estimates printed grams: solid walls around the surface plus the infill fraction of the rest
+ * @param {Object} mesh - Measurements from measureMesh()
+ * @param {number} infill - Infill percentage
+ * @param {number} walls - Wall (perimeter) count
+ * @param {number} density - Material density in g/cm³
+ * @returns {number} Estimated grams, to 0.1g
+ */
+function estimateMeshWeight(mesh, infill, walls, density) {
+    const shell = Math.min(mesh.volumeMm3, mesh.surfaceAreaMm2 * walls * MESH_LINE_WIDTH_MM);
+    const core = (mesh.volumeMm3 - shell) * Math.min(Math.max(infill, 0), 100) / 100;
+    return Math.round((shell + core) / 1000 * density * 10) / 10;
+}
+
+// Flat-shaded isometric render, painted back to front, as a PNG data URL
+function renderMeshThumbnail(positions, size = MESH_THUMBNAIL_SIZE) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx || positions.length === 0) return null;
+
+    // Camera above the front right corner (Z up), looking at the origin
+    const view = [1 / Math.sqrt(3), -1 / Math.sqrt(3), 1 / Math.sqrt(3)];
+    const right = [1 / Math.SQRT2, 1 / Math.SQRT2, 0];
+    const up = [-1 / Math.sqrt(6), 1 / Math.sqrt(6), 2 / Math.sqrt(6)];
+    const dot = (a, i) => a[0] * positions[i] + a[1] * positions[i + 1] + a[2] * positions[i + 2];
+
+    const step = Math.max(1, Math.ceil(positions.length / 9 / MESH_THUMBNAIL_MAX_TRIANGLES));
+    const faces = [];
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = 0; i < positions.length; i += 9 * step) {
+        const points = [i, i + 3, i + 6].map(v => [dot(right, v), -dot(up, v)]);
+        points.forEach(([x, y]) => {
+            minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+        });
+
+        const u = [0, 1, 2].map(k => positions[i + 3 + k] - positions[i + k]);
+        const v = [0, 1, 2].map(k => positions[i + 6 + k] - positions[i + k]);
+        const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...normal) || 1;
+        // Absolute value so meshes with flipped winding still look solid
+        const light = Math.abs(normal[0] * view[0] + normal[1] * view[1] + normal[2] * view[2]) / length;
+
+        faces.push({ points, light, depth: (dot(view, i) + dot(view, i + 3) + dot(view, i + 6)) / 3 });
+    }
+
+    const padding = 4;
+    const scale = (size - padding * 2) / Math.max(maxX - minX, maxY - minY, 1e-6);
+    const offsetX = (size - (maxX - minX) * scale) / 2;
+    const offsetY = (size - (maxY - minY) * scale) / 2;
+
+    faces.sort((a, b) => a.depth - b.depth);
+    faces.forEach(face => {
+        const shade = Math.round(70 + 150 * face.light);
+        ctx.fillStyle = ctx.strokeStyle = `rgb(${Math.round(shade * 0.55)}, ${Math.round(shade * 0.75)}, ${shade})`;
+        ctx.beginPath();
+        face.points.forEach(([x, y], k) => {
+            const px = offsetX + (x - minX) * scale;
+            const py = offsetY + (y - minY) * scale;
+            if (k === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke(); // hides hairline gaps between neighbouring triangles
+    });
+
+    return canvas.toDataURL('image/png');
+}
+
+// Mesh modal, opened from the models table
+let meshModelId = null;
+
+function openModelMesh(modelId) {
+    const model = models.find(m => m.id === modelId);
+    if (!model) return;
+
+    meshModelId = modelId;
+    document.getElementById('modelMeshTitle').textContent = `Mesh - ${model.name}`;
+    document.getElementById('meshEstimateInfill').value = model.infill ?? 20;
+    document.getElementById('meshEstimateWalls').value = MESH_DEFAULT_WALLS;
+    renderModelMesh();
+    document.getElementById('modelMeshModal').style.display = 'block';
+}
+
+function closeModelMesh() {
+    document.getElementById('modelMeshModal').style.display = 'none';
+    document.getElementById('modelMeshFile').value = '';
+    meshModelId = null;
+}
+
+// Requirement filaments first, so the estimate can go straight into one of them
+function buildMeshFilamentOptions(model) {
+    const required = (model.requirements || []).map(req => filaments.find(f => f.id === req.filamentId)).filter(Boolean);
+    const candidates = required.length > 0 ? required : filaments;
+    return candidates.map(f =>
+        `<option value="${f.id}">${f.brand} ${f.materialType || f.material} ${f.colorName || f.color} (${getFilamentDensity(f)} g/cm³)</option>`
+    ).join('');
+}
+
+function renderModelMesh() {
+    const model = models.find(m => m.id === meshModelId);
+    if (!model) return;
+
+    const details = document.getElementById('modelMeshDetails');
+    const estimate = document.getElementById('modelMeshEstimate');
+    const mesh = model.mesh;
+    document.getElementById('modelMeshFileLabel').textContent = mesh ? 'Replace STL/OBJ' : 'Attach STL/OBJ';
+    document.getElementById('modelMeshRemoveBtn').style.display = mesh ? '' : 'none';
+    document.getElementById('modelMeshDownloadBtn').style.display = mesh ? '' : 'none';
+
+    if (!mesh) {
+        details.innerHTML = '<p class="text-muted">No mesh attached. Files are read and stored in this browser only.</p>';
+        estimate.style.display = 'none';
+        return;
+    }
+
+    const box = mesh.boundingBox;
+    details.innerHTML = `
+        <div class="mesh-summary">
+            ${mesh.thumbnail ? `<img src="${mesh.thumbnail}" class="mesh-thumbnail-large" alt="Preview of ${mesh.fileName}">` : ''}
+            <dl class="mesh-metrics">
+                <dt>File</dt><dd>${mesh.fileName} (${(mesh.size / 1024 / 1024).toFixed(2)} MB)</dd>
+                <dt>Triangles</dt><dd>${mesh.triangles.toLocaleString()}</dd>
+                <dt>Size</dt><dd>${box.x} × ${box.y} × ${box.z} mm</dd>
+                <dt>Volume</dt><dd>${(mesh.volumeMm3 / 1000).toFixed(2)} cm³</dd>
+                <dt>Surface</dt><dd>${(mesh.surfaceAreaMm2 / 100).toFixed(1)} cm²</dd>
+            </dl>
+        </div>
+    `;
+
+    const select = document.getElementById('meshEstimateFilament');
+    select.innerHTML = buildMeshFilamentOptions(model);
+    estimate.style.display = filaments.length > 0 ? '' : 'none';
+    updateMeshEstimate();
+}
+
+function readMeshEstimate() {
+    const model = models.find(m => m.id === meshModelId);
+    const filament = filaments.find(f => f.id === parseInt(document.getElementById('meshEstimateFilament').value, 10));
+    const infill = parseFloat(document.getElementById('meshEstimateInfill').value);
+    const walls = parseInt(document.getElementById('meshEstimateWalls').value, 10);
+    if (!model || !model.mesh || !filament || isNaN(infill) || isNaN(walls) || walls < 0) {
+        return null;
+    }
+    return { model, filament, grams: estimateMeshWeight(model.mesh, infill, walls, getFilamentDensity(filament)) };
+}
+
+function updateMeshEstimate() {
+    const result = document.getElementById('meshEstimateResult');
+    const estimate = readMeshEstimate();
+    result.innerHTML = estimate ?
+        `Estimated: <strong>${estimate.grams}g</strong> (${formatQuantity(estimate.grams, estimate.filament, 'm')})` :
+        'Enter the infill and wall count to estimate the weight.';
+}
+
+function attachModelMesh(file) {
+    const model = models.find(m => m.id === meshModelId);
+    if (!model || !file) return;
+
+    file.arrayBuffer().then(buffer => {
+        const positions = parseMeshFile(buffer, file.name);
+        if (positions.length === 0) {
+            throw new Error('no triangles found');
+        }
+
+        const mesh = {
+            fileId: Date.now() + Math.random(),
+            fileName: file.name,
+            format: /\.obj$/i.test(file.name) ? 'obj' : 'stl',
+            size: file.size,
+            ...measureMesh(positions),
+            thumbnail: renderMeshThumbnail(positions),
+            attachedAt: new Date().toISOString()
+        };
+        const stored = PrintStackDB.available ?
+            PrintStackDB.putMesh({ id: mesh.fileId, modelId: model.id, fileName: file.name, data: buffer }).then(() => true) :
+            Promise.resolve(false);
+        return stored.then(saved => ({ mesh, saved }));
+    }).then(({ mesh, saved }) => {
+        const pending = UndoHistory.begin(`Attach mesh to "${model.name}"`, ['models']);
+        model.mesh = mesh;
+        saveData();
+        updateAllTables();
+        renderModelMesh();
+        commitUndoable(pending, `${mesh.fileName} attached to "${model.name}"`);
+
+        if (!saved) {
+            showWarningMessage('The browser database is unavailable - the measurements were kept but not the file itself');
+        }
+        if (mesh.volumeMm3 === 0) {
+            showWarningMessage('The mesh has no enclosed volume - it is probably not closed, so the weight estimate is unreliable', 6000);
+        }
+    }).catch(error => {
+        showErrorMessage(`Could not read ${file.name}: ${error.message}`);
+    }).then(() => {
+        document.getElementById('modelMeshFile').value = '';
+    });
+}
+
+function applyMeshEstimate() {
+    const estimate = readMeshEstimate();
+    if (!estimate) {
+        showErrorMessage('Enter a valid infill and wall count');
+        return;
+    }
+
+    const { model, filament, grams } = estimate;
+    const pending = UndoHistory.begin(`Estimate "${model.name}" from mesh`, ['models']);
+    model.requirements = model.requirements || [];
+    const requirement = model.requirements.find(req => req.filamentId === filament.id);
+    if (requirement) {
+        requirement.expectedWeight = grams;
+    } else {
+        model.requirements.push({
+            filamentId: filament.id,
+            brand: filament.brand,
+            material: filament.materialType || filament.material,
+            color: filament.colorName || filament.color,
+            expectedWeight: grams,
+            tolerance: 10,
+            requiredCount: 1
+        });
+    }
+
+    saveData();
+    updateAllTables();
+    renderModelMesh();
+    commitUndoable(pending, `Expected ${filament.color} usage for "${model.name}" set to ${grams}g`);
+}
+
+function downloadModelMesh() {
+    const model = models.find(m => m.id === meshModelId);
+    if (!model || !model.mesh) return;
+
+    PrintStackDB.getMesh(model.mesh.fileId).then(record => {
+        if (!record) {
+            showErrorMessage(`${model.mesh.fileName} is not stored in this browser - attach it again`);
+            return;
+        }
+        const url = URL.createObjectURL(new Blob([record.data], { type: 'application/octet-stream' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = record.fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }).catch(error => {
+        showErrorMessage(`Could not load the mesh file: ${error.message}`);
+    });
+}
+
+function removeModelMesh() {
+    const model = models.find(m => m.id === meshModelId);
+    if (!model || !model.mesh) return;
+
+    const pending = UndoHistory.begin(`Remove mesh from "${model.name}"`, ['models']);
+    const fileName = model.mesh.fileName;
+    delete model.mesh;
+    saveData();
+    updateAllTables();
+    renderModelMesh();
+    commitUndoable(pending, `${fileName} removed from "${model.name}"`);
+}
+
+// ============================
+// 3MF Project Import
+// ============================
+
+// Beyond this redmean distance a slot colour is not considered the same filament
+const COLOR_MATCH_MAX_DISTANCE = 150;
+
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{6})/i.exec(hex || '');
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+// "Redmean" weighted RGB distance - cheap and close to perceived colour difference
+function colorDistance(hexA, hexB) {
+    const a = hexToRgb(hexA);
+    const b = hexToRgb(hexB);
+    if (!a || !b) return Infinity;
+
+    const meanRed = (a.r + b.r) / 2;
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return Math.sqrt((2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db);
+}
+
+/**
+ * Finds the inventory filament closest to a slicer filament slot
+ * @param {string} type - Material reported by the slicer (e.g. "PLA"), may be empty
+ * @param {string} colour - Slot colour as #RRGGBB
+ * @returns {Object|null} { filament, distance, materialMatched } or null when nothing is close enough
+ */
+function findClosestFilament(type, colour) {
+    const sameMaterial = type ? filaments.filter(f => (f.materialType || f.material || '').toLowerCase() === type.toLowerCase()) : [];
+    const candidates = sameMaterial.length > 0 ? sameMaterial : filaments;
+
+    let best = null;
+    candidates.forEach(filament => {
+        // In-stock filament wins a tie
+        const distance = colorDistance(colour, filament.colorHex) + (filament.inStock ? 0 : 0.5);
+        if (!best || distance < best.distance) {
+            best = { filament, distance, materialMatched: sameMaterial.length > 0 };
+        }
+    });
+
+    return best && best.distance <= COLOR_MATCH_MAX_DISTANCE ? best : null;
+}
+
+// Minimal ZIP reader - 3MF files are ZIP archives of XML and config files
+function readZipDirectory(buffer) {
+    const view = new DataView(buffer);
+
+    // The end of central directory record sits in the last 64KB (plus its own 22 bytes)
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a ZIP archive');
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeader: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
+}
+
+function readZipEntryText(buffer, entry) {
+    const view = new DataView(buffer);
+    const start = entry.localHeader + 30 + view.getUint16(entry.localHeader + 26, true) + view.getUint16(entry.localHeader + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return Promise.resolve(new TextDecoder().decode(data));
+    }
+    if (entry.method !== 8) {
+        return Promise.reject(new Error(`Unsupported ZIP compression method ${entry.method}`));
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        return Promise.reject(new Error('This browser cannot decompress 3MF files'));
+    }
+    return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+}
+
+// Reads the named archive files that exist, as { path: text }
+function readZipTexts(buffer, entries, paths) {
+    const present = paths.filter(path => entries.has(path));
+    return Promise.all(present.map(path => readZipEntryText(buffer, entries.get(path))))
+        .then(texts => Object.fromEntries(present.map((path, i) => [path, texts[i]])));
+}
+
+function getXmlMetadata(element, key) {
+    const node = [...element.children].find(child => child.tagName === 'metadata' && child.getAttribute('key') === key);
+    return node ? node.getAttribute('value') : null;
+}
+
+// Bambu Studio / OrcaSlicer: sliced plates with per-filament usage in slice_info.config
+function parseBambuProject(files) {
+    const parser = new DOMParser();
+    const settings = files['Metadata/project_settings.config'] ? JSON.parse(files['Metadata/project_settings.config']) : {};
+    const firstSetting = value => (Array.isArray(value) ? value[0] : value);
+
+    const plateNames = {};
+    let objectName = null;
+    if (files['Metadata/model_settings.config']) {
+        const modelDoc = parser.parseFromString(files['Metadata/model_settings.config'], 'application/xml');
+        modelDoc.querySelectorAll('plate').forEach(plate => {
+            plateNames[getXmlMetadata(plate, 'plater_id')] = getXmlMetadata(plate, 'plater_name');
+        });
+        const firstObject = modelDoc.querySelector('object');
+        objectName = firstObject ? getXmlMetadata(firstObject, 'name') : null;
+    }
+
+    const plates = [];
+    if (files['Metadata/slice_info.config']) {
+        const sliceDoc = parser.parseFromString(files['Metadata/slice_info.config'], 'application/xml');
+        sliceDoc.querySelectorAll('plate').forEach(plate => {
+            const index = parseInt(getXmlMetadata(plate, 'index'), 10) || plates.length + 1;
+            plates.push({
+                index,
+                name: plateNames[index] || `Plate ${index}`,
+                printSeconds: parseFloat(getXmlMetadata(plate, 'prediction')) || null,
+                weightG: parseFloat(getXmlMetadata(plate, 'weight')) || null,
+                filaments: [...plate.querySelectorAll('filament')].map(filament => ({
+                    slot: parseInt(filament.getAttribute('id'), 10),
+                    type: filament.getAttribute('type'),
+                    colour: filament.getAttribute('color'),
+                    weightG: parseFloat(filament.getAttribute('used_g')) || null
+                }))
+            });
+        });
+    }
+
+    // Unsliced project: one plate using the first filament, with no estimates
+    if (plates.length === 0 && settings.filament_colour) {
+        plates.push({
+            index: 1,
+            name: plateNames[1] || 'Plate 1',
+            printSeconds: null,
+            weightG: null,
+            filaments: [{ slot: 1, type: firstSetting(settings.filament_type), colour: firstSetting(settings.filament_colour), weightG: null }]
+        });
+    }
+
+    return {
+        slicer: 'Bambu Studio',
+        name: objectName,
+        layerHeight: parseFloat(firstSetting(settings.layer_height)) || null,
+        infill: parseFloat(firstSetting(settings.sparse_infill_density)) || null,
+        supportsRequired: firstSetting(settings.enable_support) === '1',
+        plates
+    };
+}
+
+// PrusaSlicer: config in G-code comment syntax, extruders assigned per object
+function parsePrusaProject(files) {
+    const config = parseGcodeHeader(files['Metadata/Slic3r_PE.config']);
+    const colours = (matchGcodeField(files['Metadata/Slic3r_PE.config'], 'filamentColours') || '').split(';');
+    const types = (matchGcodeField(files['Metadata/Slic3r_PE.config'], 'filamentTypes') || '').split(';');
+
+    const usedSlots = new Set();
+    let objectName = null;
+    if (files['Metadata/Slic3r_PE_model.config']) {
+        const modelDoc = new DOMParser().parseFromString(files['Metadata/Slic3r_PE_model.config'], 'application/xml');
+        modelDoc.querySelectorAll('metadata[key="extruder"]').forEach(node => usedSlots.add(parseInt(node.getAttribute('value'), 10) || 1));
+        const nameNode = modelDoc.querySelector('object > metadata[key="name"]');
+        objectName = nameNode ? nameNode.getAttribute('value') : null;
+    }
+    if (usedSlots.size === 0) usedSlots.add(1);
+
+    // PrusaSlicer projects carry no usage estimates - those come from the exported G-code
+    return {
+        slicer: 'PrusaSlicer',
+        name: objectName,
+        layerHeight: config.layerHeight,
+        infill: config.infill,
+        supportsRequired: false,
+        plates: [{
+            index: 1,
+            name: 'Plate 1',
+            printSeconds: null,
+            weightG: null,
+            filaments: [...usedSlots].sort((a, b) => a - b).map(slot => ({
+                slot,
+                type: (types[slot - 1] || '').trim() || null,
+                colour: (colours[slot - 1] || '').trim() || null,
+                weightG: null
+            }))
+        }]
+    };
+}
+
+/**
+ * Unzips a 3MF file in the browser and reads the slicer project metadata
+ * @param {File} file - .3mf project from Bambu Studio, OrcaSlicer or PrusaSlicer
+ * @returns {Promise<Object>} { slicer, name, layerHeight, infill, supportsRequired, plates: [{ index, name, printSeconds, weightG, filaments }] }
+ */
+function parse3mfFile(file) {
+    return file.arrayBuffer().then(buffer => {
+        const entries = readZipDirectory(buffer);
+        return readZipTexts(buffer, entries, [
+            'Metadata/slice_info.config',
+            'Metadata/model_settings.config',
+            'Metadata/project_settings.config',
+            'Metadata/Slic3r_PE.config',
+            'Metadata/Slic3r_PE_model.config'
+        ]);
+    }).then(files => {
+        if (files['Metadata/slice_info.config'] || files['Metadata/project_settings.config']) {
+            return parseBambuProject(files);
+        }
+        if (files['Metadata/Slic3r_PE.config']) {
+            return parsePrusaProject(files);
+        }
+        throw new Error('No Bambu Studio or PrusaSlicer project metadata found');
+    });
+}
+
+// Sum of two expected weights; null (unknown) counts as 0 unless both sides are unknown
+function addExpectedWeights(a, b) {
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return null;
+    return Math.round(((a || 0) + (b || 0)) * 10) / 10;
+}
+
+// Turns a plate's filament slots into model requirements matched against the inventory
+function build3mfRequirements(slots, warnings) {
+    const requirements = [];
+    slots.forEach(slot => {
+        const match = findClosestFilament(slot.type, slot.colour);
+        if (!match) {
+            warnings.push(`Slot ${slot.slot} (${slot.type || 'unknown'} ${slot.colour || ''}) has no matching filament`);
+            return;
+        }
+        if (!match.materialMatched && slot.type) {
+            warnings.push(`Slot ${slot.slot}: no ${slot.type} in inventory, matched ${match.filament.materialType} by colour`);
+        }
+
+        // Two slots can map to the same spool - their usage adds up
+        const existing = requirements.find(r => r.filamentId === match.filament.id);
+        if (existing) {
+            existing.expectedWeight = addExpectedWeights(existing.expectedWeight, slot.weightG || null);
+            return;
+        }
+        requirements.push({
+            filamentId: match.filament.id,
+            brand: match.filament.brand,
+            material: match.filament.materialType || match.filament.material,
+            color: match.filament.colorName || match.filament.color,
+            expectedWeight: slot.weightG ? Math.round(slot.weightG * 10) / 10 : null,
+            tolerance: 10,
+            requiredCount: 1
+        });
+    });
+    return requirements;
+}
+
+// Requirements of every plate combined, for the model as a whole
+function mergePlateRequirements(plates) {
+    const merged = [];
+    plates.forEach(plate => plate.requirements.forEach(req => {
+        const existing = merged.find(r => r.filamentId === req.filamentId);
+        if (!existing) {
+            merged.push({ ...req });
+        } else {
+            existing.expectedWeight = addExpectedWeights(existing.expectedWeight, req.expectedWeight);
         }
-    } else {
-        displayText = '';
-    }
+    }));
+    return merged;
+}
 
-    const removeFn = isEdit ? 'removeEditFilamentRequirement' : 'removeFilamentRequirement';
-    
-    // Get requirement data if this is an edit or creating with existing data
-    let reqData = null;
-    if (selectedId && isEdit) {
-        // This is edit mode, find the requirement data
-        for (const model of models) {
-            if (model.requirements) {
-                reqData = model.requirements.find(r => r.filamentId === selectedId);
-                if (reqData) break;
+function import3mfProject(file) {
+    if (!file) return;
+
+    parse3mfFile(file).then(project => {
+        const warnings = [];
+        const plates = project.plates.map(plate => ({
+            index: plate.index,
+            name: plate.name,
+            printTime: plate.printSeconds ? Math.round(plate.printSeconds / 60) : null,
+            weight: plate.weightG,
+            requirements: build3mfRequirements(plate.filaments, warnings)
+        }));
+        const requirements = mergePlateRequirements(plates);
+        if (requirements.length === 0) {
+            showErrorMessage(`Nothing imported - ${warnings.join('; ') || 'no filament slots found'}`);
+            return;
+        }
+
+        const name = project.name || file.name.replace(/(\.gcode)?\.3mf$/i, '');
+        const totalMinutes = plates.reduce((sum, plate) => sum + (plate.printTime || 0), 0);
+        const existing = models.find(m => m.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Model "${existing.name}" already exists.\n\nOK = Update it from ${file.name}\nCancel = Keep it unchanged`)) {
+            return;
+        }
+
+        const pending = UndoHistory.begin(`${existing ? 'Update' : 'Import'} model "${name}" from 3MF`, ['models', 'modelCategories']);
+        const fields = {
+            requirements,
+            plates,
+            printTime: totalMinutes || null,
+            layerHeight: project.layerHeight,
+            infill: project.infill,
+            supportsRequired: project.supportsRequired,
+            source3mf: { fileName: file.name, slicer: project.slicer, importedAt: new Date().toISOString() }
+        };
+
+        if (existing) {
+            Object.assign(existing, fields);
+        } else {
+            if (!modelCategories.includes('Other')) {
+                modelCategories.push('Other');
+                saveCategories();
             }
+            const notes = `Imported from ${file.name} (${project.slicer})`;
+            models.push({
+                id: Date.now(),
+                name,
+                link: '',
+                category: 'Other',
+                difficulty: 'Medium',
+                notes,
+                addedDate: new Date().toISOString().split('T')[0],
+                tags: extractTagsFromNotes(notes),
+                ...fields
+            });
+        }
+
+        saveData();
+        updateAllTables();
+
+        const missingEstimates = requirements.some(r => r.expectedWeight === null);
+        commitUndoable(pending, `Model "${name}" ${existing ? 'updated' : 'imported'}: ${plates.length} plate${plates.length !== 1 ? 's' : ''}, ${requirements.length} filament${requirements.length !== 1 ? 's' : ''}`);
+        if (warnings.length > 0 || missingEstimates) {
+            showWarningMessage([
+                ...warnings,
+                missingEstimates ? 'The project has no slicer estimates - edit the model to enter expected weights' : null
+            ].filter(Boolean).join('\n'), 8000);
         }
+    }).catch(error => {
+        showErrorMessage(`Could not import ${file.name}: ${error.message}`);
+    });
+}
+
+// ============================
+// G-code Import
+// ============================
+
+// Slicers put their summary either at the top (Cura, Bambu Studio) or the bottom (PrusaSlicer, OrcaSlicer)
+const GCODE_HEADER_BYTES = 512 * 1024;
+const GCODE_CHUNK_BYTES = 4 * 1024 * 1024;
+
+const GcodeSlicers = [
+    { name: 'PrusaSlicer', pattern: /generated by PrusaSlicer/i },
+    { name: 'OrcaSlicer', pattern: /generated by OrcaSlicer/i },
+    { name: 'Bambu Studio', pattern: /BambuStudio|Bambu Studio/i },
+    { name: 'Cura', pattern: /;FLAVOR:|Cura_SteamEngine|Generated with Cura/i }
+];
+
+// Comment patterns for each value, tried in order - the first match wins
+const GcodeFields = {
+    lengthsMm: [/^;\s*filament used \[mm\]\s*=\s*(.+)$/m, /^;\s*total filament length \[mm\]\s*:\s*(.+)$/m],
+    lengthsM: [/^;\s*Filament used:\s*(.+)$/m],
+    weightsG: [/^;\s*filament used \[g\]\s*=\s*(.+)$/m, /^;\s*total filament weight \[g\]\s*:\s*(.+)$/m, /^;\s*total filament used \[g\]\s*=\s*(.+)$/m],
+    time: [/^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/m, /total estimated time:\s*([^;\n]+)/, /^;TIME:(\d+)/m],
+    layerHeight: [/^;\s*layer_height\s*=\s*([\d.]+)/m, /^;\s*Layer height:\s*([\d.]+)/m],
+    infill: [/^;\s*(?:fill_density|sparse_infill_density)\s*=\s*([\d.]+)/m, /infill_sparse_density\s*=\s*([\d.]+)/],
+    nozzleTemperature: [/^;\s*(?:nozzle_temperature|temperature)\s*=\s*([\d.]+)/m, /^M10[49]\s+(?:T\d+\s+)?S([1-9][\d.]*)/m],
+    filamentTypes: [/^;\s*filament_type\s*=\s*(.+)$/m],
+    filamentColours: [/^;\s*filament_colou?r\s*=\s*(.+)$/m]
+};
+
+// Settings parsed from the last G-code file, attached to the next recorded print
+let pendingSlicerSettings = null;
+
+function matchGcodeField(text, field) {
+    for (const pattern of GcodeFields[field]) {
+        const match = text.match(pattern);
+        if (match) return match[1].trim();
     }
+    return null;
+}
 
-    div.innerHTML = `
-        <div class="search-container">
-            <input type="text" class="search-input req-search" placeholder="Search filaments..." value="${displayText}" data-selected-id="${selectedId || ''}" autocomplete="off" title="Search for filaments by name, color, or material type">
-            <div class="search-results"></div>
-        </div>
-        <div class="usage-fields">
-            <input type="number" class="expected-weight" placeholder="Expected weight (g)" min="0" step="0.1" value="${reqData?.expectedWeight || ''}" aria-label="Expected filament weight in grams" title="Expected filament weight in grams for this model">
-            <input type="number" class="tolerance" placeholder="Tolerance %" min="0" max="100" step="1" value="${reqData?.tolerance || ''}" aria-label="Usage tolerance percentage" title="Tolerance percentage for weight variance (e.g., 5 for ±5%)">
-            <input type="number" class="required-count" placeholder="Qty" min="1" value="${reqData?.requiredCount || 1}" aria-label="Number of items required" title="Number of times this filament is needed for the model">
-        </div>
-        <button type="button" class="delete-btn" onclick="${removeFn}(this)" title="Remove this filament requirement">Remove</button>
-    `;
-    
-    const input = div.querySelector('.req-search');
-    const resultsDiv = div.querySelector('.search-results');
-    let selecting = false;
-    
-    const updateResults = () => {
-        const container = input.closest('#requiredFilamentsContainer, #editRequiredFilamentsContainer');
-        const selectedIds = Array.from(container.querySelectorAll('.req-search'))
-            .map(i => parseInt(i.dataset.selectedId))
-            .filter(id => !isNaN(id) && id !== parseInt(input.dataset.selectedId));
-        
-        const filtered = filaments.filter(f => !selectedIds.includes(f.id) &&
-            (!input.value || `${(f.materialType || f.material)} ${(f.colorName || f.color)}`.toLowerCase().includes(input.value.toLowerCase())));
-        
-        resultsDiv.innerHTML = filtered.length ? filtered.map(f => `
-            <div class="search-result-item" data-filament-id="${f.id}">
-                <span class="color-swatch" style="background:${f.colorHex || '#ccc'}" data-hex="${f.colorHex || '#CCCCCC'}"></span>
-                <span>${f.colorName || f.color} (${f.materialType || f.material})</span>
-                ${!f.inStock ? '<span class="badge badge-error">Out of Stock</span>' : ''}
-            </div>`).join('') : '<div class="no-results">No filaments found</div>';
-        
-        resultsDiv.querySelectorAll('.search-result-item').forEach(item => {
-            item.onmouseenter = () => selecting = true;
-            item.onmouseleave = () => selecting = false;
-            item.onclick = e => {
-                e.stopPropagation();
-                const fid = parseInt(item.dataset.filamentId, 10);
-                const filament = filaments.find(f => f.id === fid);
-                if (filament) {
-                    input.value = `${filament.colorName || filament.color} (${filament.materialType || filament.material})`;
-                    input.dataset.selectedId = fid;
-                    resultsDiv.style.display = 'none';
-                }
-            };
-        });
-        resultsDiv.style.display = 'block';
-    };
-    
-    input.onfocus = input.oninput = () => { input.dataset.selectedId = ''; updateResults(); };
-    input.onblur = () => { if (!selecting) setTimeout(() => resultsDiv.style.display = 'none', 200); };
-    
-    return div;
+function parseGcodeNumberList(value) {
+    return value ? value.split(/[,;]/).map(v => parseFloat(v)).map(v => (isNaN(v) ? 0 : v)) : [];
 }
 
-function addFilamentRequirement() {
-    document.getElementById('requiredFilamentsContainer').appendChild(createFilamentSearchBox());
+// Accepts "1d 2h 3m 4s", "2h 3m" or plain seconds (Cura)
+function parseGcodeDuration(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+    const units = { d: 86400, h: 3600, m: 60, s: 1 };
+    let seconds = 0;
+    (value.match(/\d+(?:\.\d+)?\s*[dhms]/g) || []).forEach(part => {
+        seconds += parseFloat(part) * units[part.trim().slice(-1)];
+    });
+    return seconds || null;
 }
 
-function removeFilamentRequirement(btn) {
-    const container = btn.closest('#requiredFilamentsContainer, #editRequiredFilamentsContainer');
-    if (container.children.length <= 1) return alert('Model must have at least one filament');
-    btn.closest('.filament-req-item').remove();
+/**
+ * Reads the slicer summary comments from G-code text
+ * @param {string} text - Start and end of the file
+ * @returns {Object} { slicer, extruders: [{ index, lengthMm, weightG, type, colour }], estimatedSeconds, layerHeight, infill, nozzleTemperature }
+ */
+function parseGcodeHeader(text) {
+    const slicer = GcodeSlicers.find(s => s.pattern.test(text));
+    const lengthsMm = parseGcodeNumberList(matchGcodeField(text, 'lengthsMm'));
+    const lengthsM = parseGcodeNumberList(matchGcodeField(text, 'lengthsM'));
+    const weightsG = parseGcodeNumberList(matchGcodeField(text, 'weightsG'));
+    const types = (matchGcodeField(text, 'filamentTypes') || '').split(/[;,]/).map(t => t.trim());
+    const colours = (matchGcodeField(text, 'filamentColours') || '').split(/[;,]/).map(c => c.trim());
+
+    // Cura reports metres, everything else millimetres
+    const lengths = lengthsMm.length > 0 ? lengthsMm : lengthsM.map(m => m * 1000);
+    const count = Math.max(lengths.length, weightsG.length);
+
+    const extruders = [];
+    for (let index = 0; index < count; index++) {
+        const lengthMm = lengths[index] || null;
+        const weightG = weightsG[index] || null;
+        // Multi-material profiles list every slot, including unused ones
+        if (!lengthMm && !weightG) continue;
+        extruders.push({ index, lengthMm, weightG, type: types[index] || null, colour: colours[index] || null });
+    }
+
+    const infill = parseFloat(matchGcodeField(text, 'infill'));
+    const layerHeight = parseFloat(matchGcodeField(text, 'layerHeight'));
+    const nozzleTemperature = parseFloat(matchGcodeField(text, 'nozzleTemperature'));
+
+    return {
+        slicer: slicer ? slicer.name : null,
+        extruders,
+        estimatedSeconds: parseGcodeDuration(matchGcodeField(text, 'time')),
+        layerHeight: isNaN(layerHeight) ? null : layerHeight,
+        infill: isNaN(infill) ? null : infill,
+        nozzleTemperature: isNaN(nozzleTemperature) ? null : nozzleTemperature
+    };
 }
 
-function addEditFilamentRequirement() {
-    document.getElementById('editRequiredFilamentsContainer').appendChild(createFilamentSearchBox(null, true));
+/**
+ * Fallback for unknown slicers: adds up the E axis of every move, per tool
+ * @param {File} file - G-code file, read in chunks so large files are not held in memory
+ * @returns {Promise<Array>} Millimetres of filament extruded by each tool
+ */
+function sumGcodeExtrusion(file) {
+    const state = { relative: false, e: 0, tool: 0, totals: [], remainder: '' };
+
+    const processLine = line => {
+        const code = line.split(';')[0].trim().toUpperCase();
+        if (!code) return;
+
+        const command = code.split(/\s+/)[0];
+        const eMatch = code.match(/\bE(-?\d*\.?\d+)/);
+
+        if (command === 'M82' || command === 'G90') {
+            state.relative = false;
+        } else if (command === 'M83' || command === 'G91') {
+            state.relative = true;
+        } else if (command === 'G92' && eMatch) {
+            state.e = parseFloat(eMatch[1]);
+        } else if (/^T\d+$/.test(command)) {
+            state.tool = parseInt(command.slice(1), 10);
+        } else if (/^G[0-3]$/.test(command) && eMatch) {
+            const value = parseFloat(eMatch[1]);
+            // Retractions are negative, so the net sum is what actually left the nozzle
+            const delta = state.relative ? value : value - state.e;
+            if (!state.relative) state.e = value;
+            state.totals[state.tool] = (state.totals[state.tool] || 0) + delta;
+        }
+    };
+
+    const readChunk = offset => {
+        if (offset >= file.size) {
+            processLine(state.remainder);
+            return Promise.resolve(state.totals.map(total => Math.max(0, total || 0)));
+        }
+
+        return file.slice(offset, offset + GCODE_CHUNK_BYTES).text().then(text => {
+            const lines = (state.remainder + text).split('\n');
+            state.remainder = lines.pop();
+            lines.forEach(processLine);
+            return readChunk(offset + GCODE_CHUNK_BYTES);
+        });
+    };
+
+    return readChunk(0);
 }
 
-function removeEditFilamentRequirement(btn) { 
-    removeFilamentRequirement(btn); 
+/**
+ * Parses a G-code file locally
+ * @param {File} file - Dropped or chosen .gcode file
+ * @returns {Promise<Object>} Result of parseGcodeHeader(), with extrusion totals filled in when the header had none
+ */
+function parseGcodeFile(file) {
+    const head = file.slice(0, GCODE_HEADER_BYTES).text();
+    const tail = file.size > GCODE_HEADER_BYTES ?
+        file.slice(Math.max(GCODE_HEADER_BYTES, file.size - GCODE_HEADER_BYTES)).text() :
+        Promise.resolve('');
+
+    return Promise.all([head, tail]).then(([headText, tailText]) => {
+        const result = parseGcodeHeader(`${headText}\n${tailText}`);
+        if (result.extruders.length > 0) return result;
+
+        return sumGcodeExtrusion(file).then(totals => {
+            result.extrusionFallback = true;
+            result.extruders = totals
+                .map((lengthMm, index) => ({ index, lengthMm: Math.round(lengthMm * 10) / 10, weightG: null, type: null, colour: null }))
+                .filter(extruder => extruder.lengthMm > 0);
+            return result;
+        });
+    });
 }
 
-// Model Functions
-function addModel() {
-    // Enhanced model validation and creation
-    const name = document.getElementById('modelName').value.trim();
-    const link = document.getElementById('modelLink').value.trim();
-    const category = document.getElementById('modelCategory').value;
-    const difficulty = document.getElementById('modelDifficulty').value;
-    const printTime = parseFloat(document.getElementById('modelPrintTime').value) || null;
-    const layerHeight = parseFloat(document.getElementById('modelLayerHeight').value) || null;
-    const infill = parseInt(document.getElementById('modelInfill').value) || null;
-    const supportsRequired = document.getElementById('modelSupports').value === 'true';
-    const notes = document.getElementById('modelNotes').value.trim();
+// Filament in the library that matches the slicer's filament type and colour
+function matchGcodeFilament(type, colour) {
+    if (!colour) return null;
+    const match = findClosestFilament(type, colour);
+    return match ? match.filament : null;
+}
 
-    // Comprehensive validation - collect all errors
-    const validationErrors = [];
+// "Benchy_0.2mm_PLA_MK4_1h2m.gcode" -> an existing model name when one is contained in the file name
+function guessModelFromFileName(fileName) {
+    const base = fileName.replace(/\.(gcode|gco|g)$/i, '');
+    const model = models
+        .filter(m => base.toLowerCase().includes(m.name.toLowerCase()))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    return model ? model.name : base.replace(/_/g, ' ');
+}
 
-    // Validate required fields
-    if (!name || name.trim() === '') {
-        validationErrors.push('• Model name is required');
+function applyGcodeToPrintForm(result, fileName) {
+    if (result.extruders.length === 0) {
+        showErrorMessage(`No filament usage found in ${fileName}`);
+        return;
     }
 
-    if (!category) {
-        validationErrors.push('• Please select a category');
+    const modelInput = document.getElementById('printModel');
+    if (!modelInput.value.trim()) {
+        modelInput.value = guessModelFromFileName(fileName);
+        const model = models.find(m => m.name === modelInput.value);
+        if (model) modelInput.setAttribute('data-selected-model', model.id);
     }
 
-    if (!difficulty) {
-        validationErrors.push('• Please select a difficulty level');
+    if (result.estimatedSeconds) {
+        document.getElementById('printDuration').value = (result.estimatedSeconds / 3600).toFixed(1);
     }
 
-    // Validate optional fields
-    if (printTime !== null && (printTime < 0 || printTime > 1440)) {
-        validationErrors.push('• Print time must be between 0 and 1440 minutes (24 hours)');
-    }
+    // One row per extruder; grams when the slicer reports them, otherwise the length
+    const container = document.getElementById('printFilamentsContainer');
+    container.innerHTML = '';
+    result.extruders.forEach(extruder => {
+        const filament = matchGcodeFilament(extruder.type, extruder.colour);
+        const row = createPrintFilamentSearchBox(filament ? filament.id : null, extruder.weightG || extruder.lengthMm);
+
+        if (!extruder.weightG) {
+            const unitSelect = row.querySelector('.quantity-unit');
+            unitSelect.value = 'mm';
+            unitSelect.dataset.unit = 'mm';
+            row.querySelector('.print-filament-weight').placeholder = 'Length Used (mm)';
+        }
+        row.title = `Extruder ${extruder.index + 1}${extruder.type ? ` - ${extruder.type}` : ''}${extruder.colour ? ` ${extruder.colour}` : ''}`;
+        container.appendChild(row);
+    });
 
-    if (layerHeight !== null && (layerHeight < 0.05 || layerHeight > 1.0)) {
-        validationErrors.push('• Layer height must be between 0.05mm and 1.0mm');
+    const settings = [
+        result.layerHeight ? `${result.layerHeight}mm layers` : null,
+        result.infill !== null ? `${result.infill}% infill` : null,
+        result.nozzleTemperature ? `${result.nozzleTemperature}°C nozzle` : null
+    ].filter(Boolean);
+    const notesInput = document.getElementById('printNotes');
+    const summary = `Sliced with ${result.slicer || 'unknown slicer'}${settings.length ? `: ${settings.join(', ')}` : ''}`;
+    if (!notesInput.value.includes(summary)) {
+        notesInput.value = notesInput.value ? `${notesInput.value}\n${summary}` : summary;
+    }
+
+    pendingSlicerSettings = {
+        fileName,
+        slicer: result.slicer,
+        estimatedSeconds: result.estimatedSeconds,
+        layerHeight: result.layerHeight,
+        infill: result.infill,
+        nozzleTemperature: result.nozzleTemperature
+    };
+
+    updateTotalWeight();
+    const unmatched = result.extruders.length - container.querySelectorAll('.print-filament-select option:checked:not([value=""])').length;
+    showSuccessMessage(`Read ${fileName}: ${result.extruders.length} filament${result.extruders.length !== 1 ? 's' : ''}` +
+        (result.extrusionFallback ? ' (summed from extrusion moves)' : '') +
+        (unmatched > 0 ? ` - select the filament for ${unmatched} row${unmatched !== 1 ? 's' : ''}` : ''), 5000);
+}
+
+function importGcodeFile(file) {
+    if (!file) return;
+    if (!/\.(gcode|gco|g)$/i.test(file.name)) {
+        showErrorMessage(`${file.name} is not a G-code file`);
+        return;
     }
 
-    if (infill !== null && (infill < 0 || infill > 100)) {
-        validationErrors.push('• Infill must be between 0% and 100%');
+    const dropZone = document.getElementById('gcodeDropZone');
+    if (dropZone) dropZone.classList.add('loading');
+
+    parseGcodeFile(file)
+        .then(result => applyGcodeToPrintForm(result, file.name))
+        .catch(error => showErrorMessage(`Could not read ${file.name}: ${error.message}`))
+        .finally(() => {
+            if (dropZone) dropZone.classList.remove('loading');
+        });
+}
+
+function setupGcodeDropZone() {
+    const page = document.getElementById('prints-page');
+    const dropZone = document.getElementById('gcodeDropZone');
+    const fileInput = document.getElementById('gcodeFile');
+    if (!page || !dropZone) return;
+
+    // The whole Print History page accepts the drop, the zone shows where
+    page.addEventListener('dragover', e => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    page.addEventListener('dragleave', e => {
+        if (!page.contains(e.relatedTarget)) dropZone.classList.remove('drag-over');
+    });
+    page.addEventListener('drop', e => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        importGcodeFile(e.dataTransfer.files[0]);
+    });
+
+    if (fileInput) {
+        fileInput.addEventListener('change', e => {
+            importGcodeFile(e.target.files[0]);
+            e.target.value = '';
+        });
     }
+}
 
-    // Get filament requirements and validate them
-    const requirements = [];
-    document.querySelectorAll('#requiredFilamentsContainer .filament-req-item').forEach((item, index) => {
-        const searchInput = item.querySelector('.req-search');
-        const expectedWeightInput = item.querySelector('.expected-weight');
-        const toleranceInput = item.querySelector('.tolerance');
-        const requiredCountInput = item.querySelector('.required-count');
+// ============================
+// Printers
+// ============================
 
-        const id = parseInt(searchInput.dataset.selectedId, 10);
-        if (!isNaN(id) && id > 0) {
-            const f = filaments.find(x => x.id === id);
-            if (f) {
-                // Validate expected weight is provided
-                const expectedWeight = parseFloat(expectedWeightInput.value);
-                if (isNaN(expectedWeight) || expectedWeight <= 0) {
-                    validationErrors.push(`• Filament ${index + 1}: Please provide a valid expected weight`);
-                    return;
-                }
+// How many different filaments a printer can load at once - an AMS feeds a single extruder
+function getPrinterFilamentSlots(printer) {
+    return Math.max(printer.extruders || 1, printer.amsSlots || 0);
+}
 
-                // Validate tolerance if provided
-                const tolerance = parseFloat(toleranceInput.value);
-                if (toleranceInput.value && !isNaN(tolerance) && (tolerance < 0 || tolerance > 100)) {
-                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Tolerance must be between 0% and 100%`);
-                    return;
-                }
+function describePrinter(printer) {
+    const details = [printer.model, printer.nozzleDiameter ? `${printer.nozzleDiameter}mm` : null].filter(Boolean);
+    return details.length > 0 ? `${printer.name} (${details.join(', ')})` : printer.name;
+}
 
-                // Validate required count if provided
-                const requiredCount = parseInt(requiredCountInput.value);
-                if (requiredCountInput.value && (isNaN(requiredCount) || requiredCount < 1 || requiredCount > 100)) {
-                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Quantity must be between 1 and 100`);
-                    return;
-                }
+/**
+ * Lists why a printer cannot run a job
+ * @param {Object} printer - Printer record
+ * @param {Array} jobFilaments - Filament records the job needs
+ * @param {Object} boundingBox - Optional part size in mm ({ x, y, z }), e.g. from an attached mesh
+ * @returns {Array} Reasons it is incompatible, empty when the printer can run the job
+ */
+function checkPrinterCompatibility(printer, jobFilaments, boundingBox = null) {
+    const reasons = [];
 
-                requirements.push({
-                    filamentId: id,
-                    brand: f.brand,
-                    material: f.materialType || f.material,
-                    color: f.colorName || f.color,
-                    expectedWeight: expectedWeight,
-                    tolerance: !isNaN(tolerance) ? tolerance : 10, // Default 10% tolerance
-                    requiredCount: !isNaN(requiredCount) ? requiredCount : 1
-                });
-            }
+    const distinct = [...new Set(jobFilaments.map(f => f.id))];
+    if (distinct.length > getPrinterFilamentSlots(printer)) {
+        reasons.push(`needs ${distinct.length} filaments, has ${getPrinterFilamentSlots(printer)} slot${getPrinterFilamentSlots(printer) !== 1 ? 's' : ''}`);
+    }
+
+    jobFilaments.forEach(filament => {
+        const material = filament.materialType || filament.material;
+        // An empty list means the printer has no material restrictions
+        if (printer.materials && printer.materials.length > 0 && material &&
+            !printer.materials.some(m => m.toLowerCase() === material.toLowerCase())) {
+            reasons.push(`does not print ${material}`);
+        }
+        if (printer.maxNozzleTemp && filament.temperature && filament.temperature.min > printer.maxNozzleTemp) {
+            reasons.push(`${material} needs ${filament.temperature.min}°C, nozzle max is ${printer.maxNozzleTemp}°C`);
         }
     });
 
-    if (requirements.length === 0) {
-        validationErrors.push('• Please select at least one filament from the dropdown');
+    const volume = printer.buildVolume;
+    if (boundingBox && volume && volume.x && volume.y && volume.z) {
+        // Parts can be turned on the bed, but not laid on their side
+        const fitsFlat = (boundingBox.x <= volume.x && boundingBox.y <= volume.y) ||
+            (boundingBox.y <= volume.x && boundingBox.x <= volume.y);
+        if (!fitsFlat || boundingBox.z > volume.z) {
+            reasons.push(`part is ${boundingBox.x} × ${boundingBox.y} × ${boundingBox.z} mm, build volume is ${volume.x} × ${volume.y} × ${volume.z} mm`);
+        }
     }
 
-    // Show all validation errors in a single popup
-    if (validationErrors.length > 0) {
-        const errorMessage = `Please fix the following issues:\n\n${validationErrors.join('\n')}\n\nClick OK to continue editing.`;
-        alert(errorMessage);
-        return;
-    }
+    return [...new Set(reasons)];
+}
 
-    // Create enhanced model object
-    const newModel = {
-        id: Date.now(),
-        name,
-        requirements,
-        link,
-        category,
-        difficulty,
-        printTime,
-        layerHeight,
-        infill,
-        supportsRequired,
-        notes,
-        addedDate: new Date().toISOString().split('T')[0],
-        tags: extractTagsFromNotes(notes)
+function findCompatiblePrinters(jobFilaments, boundingBox = null) {
+    return printers.filter(printer => checkPrinterCompatibility(printer, jobFilaments, boundingBox).length === 0);
+}
+
+function renderPrinterMaterialOptions(selected = []) {
+    const container = document.getElementById('printerMaterials');
+    if (!container) return;
+
+    const types = [...new Set([...getMaterialTypes(), ...selected])];
+    container.innerHTML = types.map(type => `
+        <label class="printer-material-option">
+            <input type="checkbox" value="${type}" ${selected.includes(type) ? 'checked' : ''}>
+            ${type}
+        </label>
+    `).join('');
+}
+
+function readPrinterForm() {
+    const number = id => parseFloat(document.getElementById(id).value);
+    const optional = id => (isNaN(number(id)) ? null : number(id));
+    const buildVolume = { x: optional('printerBuildX'), y: optional('printerBuildY'), z: optional('printerBuildZ') };
+
+    return {
+        name: document.getElementById('printerName').value.trim(),
+        model: document.getElementById('printerModel').value.trim(),
+        nozzleDiameter: optional('printerNozzle'),
+        extruders: parseInt(document.getElementById('printerExtruders').value, 10) || 1,
+        amsSlots: parseInt(document.getElementById('printerAmsSlots').value, 10) || 0,
+        materials: [...document.querySelectorAll('#printerMaterials input:checked')].map(input => input.value),
+        maxNozzleTemp: optional('printerMaxNozzleTemp'),
+        maxBedTemp: optional('printerMaxBedTemp'),
+        buildVolume: buildVolume.x || buildVolume.y || buildVolume.z ? buildVolume : null,
+        notes: document.getElementById('printerNotes').value.trim()
     };
+}
 
-    models.push(newModel);
+function validatePrinter(printer) {
+    const errors = [];
+    if (!printer.name) {
+        errors.push('• Printer name is required');
+    } else if (printers.some(p => p.id !== editingPrinterId && p.name.toLowerCase() === printer.name.toLowerCase())) {
+        errors.push(`• A printer named "${printer.name}" already exists`);
+    }
+    if (printer.nozzleDiameter !== null && (printer.nozzleDiameter < 0.1 || printer.nozzleDiameter > 2)) {
+        errors.push('• Nozzle diameter must be between 0.1mm and 2mm');
+    }
+    if (printer.extruders < 1 || printer.extruders > 16) {
+        errors.push('• Extruders must be between 1 and 16');
+    }
+    if (printer.amsSlots < 0 || printer.amsSlots > 32) {
+        errors.push('• AMS slots must be between 0 and 32');
+    }
+    if (printer.maxNozzleTemp !== null && (printer.maxNozzleTemp < 150 || printer.maxNozzleTemp > 500)) {
+        errors.push('• Max nozzle temperature must be between 150°C and 500°C');
+    }
+    if (printer.maxBedTemp !== null && (printer.maxBedTemp < 0 || printer.maxBedTemp > 200)) {
+        errors.push('• Max bed temperature must be between 0°C and 200°C');
+    }
+    if (printer.buildVolume && Object.values(printer.buildVolume).some(size => !size || size <= 0)) {
+        errors.push('• Enter all three build volume dimensions');
+    }
+    return errors;
+}
 
-    // Clear form
-    document.getElementById('modelName').value = '';
-    document.getElementById('modelLink').value = '';
-    document.getElementById('modelCategory').value = '';
-    document.getElementById('modelDifficulty').value = '';
-    document.getElementById('modelPrintTime').value = '';
-    document.getElementById('modelLayerHeight').value = '';
-    document.getElementById('modelInfill').value = '';
-    document.getElementById('modelSupports').value = 'false';
-    document.getElementById('modelNotes').value = '';
-    document.getElementById('requiredFilamentsContainer').innerHTML = '';
-    addFilamentRequirement();
+function savePrinter() {
+    const fields = readPrinterForm();
+    const errors = validatePrinter(fields);
+    if (errors.length > 0) {
+        alert(`Please fix the following issues:\n\n${errors.join('\n')}\n\nClick OK to continue editing.`);
+        return;
+    }
+
+    const existing = printers.find(p => p.id === editingPrinterId);
+    const pending = UndoHistory.begin(existing ? `Edit printer "${existing.name}"` : `Add printer "${fields.name}"`, ['printers']);
+    if (existing) {
+        Object.assign(existing, fields);
+    } else {
+        printers.push({ id: Date.now(), ...fields, addedDate: new Date().toISOString().split('T')[0] });
+    }
 
     saveData();
     updateAllTables();
+    resetPrinterForm();
+    commitUndoable(pending, existing ? `Printer "${fields.name}" updated` : `Printer "${fields.name}" added`);
+}
+
+function editPrinter(id) {
+    const printer = printers.find(p => p.id === id);
+    if (!printer) return;
+
+    editingPrinterId = id;
+    const setValue = (fieldId, value) => { document.getElementById(fieldId).value = value ?? ''; };
+    setValue('printerName', printer.name);
+    setValue('printerModel', printer.model);
+    setValue('printerNozzle', printer.nozzleDiameter);
+    setValue('printerExtruders', printer.extruders);
+    setValue('printerAmsSlots', printer.amsSlots);
+    setValue('printerMaxNozzleTemp', printer.maxNozzleTemp);
+    setValue('printerMaxBedTemp', printer.maxBedTemp);
+    setValue('printerBuildX', printer.buildVolume && printer.buildVolume.x);
+    setValue('printerBuildY', printer.buildVolume && printer.buildVolume.y);
+    setValue('printerBuildZ', printer.buildVolume && printer.buildVolume.z);
+    setValue('printerNotes', printer.notes);
+    renderPrinterMaterialOptions(printer.materials || []);
+
+    document.getElementById('savePrinterBtn').textContent = 'Save Printer';
+    document.getElementById('cancelPrinterBtn').style.display = '';
+    const section = document.getElementById('addPrinterSection');
+    if (section.style.maxHeight === '0px') toggleSection('addPrinterSection');
+    document.getElementById('printerName').focus();
+}
+
+function resetPrinterForm() {
+    editingPrinterId = null;
+    document.getElementById('printerForm').reset();
+    renderPrinterMaterialOptions();
+    document.getElementById('savePrinterBtn').textContent = 'Add Printer';
+    document.getElementById('cancelPrinterBtn').style.display = 'none';
+}
+
+function deletePrinter(id) {
+    const printer = printers.find(p => p.id === id);
+    if (!printer) return;
+
+    const printCount = prints.filter(p => p.printerId === id).length;
+    if (!confirm(`Delete printer "${printer.name}"?${printCount > 0 ? `\n\n${printCount} print record${printCount !== 1 ? 's' : ''} will keep its name.` : ''}`)) {
+        return;
+    }
 
-    // Show success message
-    showSuccessMessage(`Model "${name}" added successfully!`);
+    const pending = UndoHistory.begin(`Delete printer "${printer.name}"`, ['printers']);
+    printers = printers.filter(p => p.id !== id);
+    if (editingPrinterId === id) resetPrinterForm();
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `Printer "${printer.name}" deleted`);
 }
 
-// Helper function to extract tags from notes (simple implementation)
-function extractTagsFromNotes(notes) {
-    if (!notes) return [];
+function updatePrinterTable() {
+    const tbody = document.getElementById('printerTableBody');
+    if (!tbody) return;
+    if (!printers.length) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No printers added yet</td></tr>';
+        return;
+    }
 
-    // Look for hashtags in notes
-    const tags = notes.match(/#\w+/g) || [];
-    return tags.map(tag => tag.substring(1)); // Remove # symbol
+    tbody.innerHTML = printers.map(printer => {
+        const volume = printer.buildVolume;
+        const printCount = prints.filter(p => p.printerId === printer.id).length;
+        return `
+            <tr>
+                <td><strong>${printer.name}</strong>${printer.model ? `<div class="text-muted">${printer.model}</div>` : ''}</td>
+                <td>${printer.nozzleDiameter ? `${printer.nozzleDiameter}mm` : '—'}</td>
+                <td>${printer.extruders || 1}${printer.amsSlots ? ` + AMS ${printer.amsSlots}` : ''}</td>
+                <td>${printer.materials && printer.materials.length > 0 ? printer.materials.join(', ') : '<span class="text-muted">Any</span>'}</td>
+                <td>${printer.maxNozzleTemp ? `${printer.maxNozzleTemp}°C` : '—'} / ${printer.maxBedTemp ? `${printer.maxBedTemp}°C` : '—'}</td>
+                <td>${volume ? `${volume.x} × ${volume.y} × ${volume.z} mm` : '—'}</td>
+                <td>
+                    <span class="text-muted">${printCount} print${printCount !== 1 ? 's' : ''}</span>
+                    <button class="edit-btn" onclick="editPrinter(${printer.id})">Edit</button>
+                    <button class="delete-btn" onclick="deletePrinter(${printer.id})">Delete</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
 }
 
-function editModel(id) {
-    const m = models.find(x => x.id === id);
-    if (!m) return;
+// Printer picker in the print form, keeping the current choice between prints
+function updatePrinterSelect() {
+    const select = document.getElementById('printPrinter');
+    if (!select) return;
 
-    editingModelId = id;
-    document.getElementById('editModelName').value = m.name;
-    document.getElementById('editModelLink').value = m.link || '';
-    document.getElementById('editModelCategory').value = m.category || '';
-    document.getElementById('editModelDifficulty').value = m.difficulty || '';
-    document.getElementById('editModelPrintTime').value = m.printTime || '';
-    document.getElementById('editModelLayerHeight').value = m.layerHeight || '';
-    document.getElementById('editModelInfill').value = m.infill || '';
-    document.getElementById('editModelSupports').value = m.supportsRequired ? 'true' : 'false';
-    document.getElementById('editModelNotes').value = m.notes || '';
+    const current = select.value;
+    select.innerHTML = `<option value="">${printers.length > 0 ? 'Select printer...' : 'No printers - add one on the Printers page'}</option>` +
+        printers.map(printer => `<option value="${printer.id}">${describePrinter(printer)}</option>`).join('');
+    if (printers.some(p => String(p.id) === current)) {
+        select.value = current;
+    } else if (printers.length === 1) {
+        select.value = printers[0].id;
+    }
+}
 
-    const container = document.getElementById('editRequiredFilamentsContainer');
-    container.innerHTML = '';
-    (m.requirements || []).forEach(req => {
-        container.appendChild(createFilamentSearchBox(req.filamentId, true));
+// Prints, grams and hours per printer for the statistics page
+function analyzePrinterUsage() {
+    const usage = new Map();
+    prints.forEach(print => {
+        const printer = printers.find(p => p.id === print.printerId);
+        const key = printer ? printer.id : (print.printerName || 'Unassigned');
+        if (!usage.has(key)) {
+            usage.set(key, { name: printer ? printer.name : key, printCount: 0, totalWeight: 0, totalHours: 0, poorCount: 0 });
+        }
+        const entry = usage.get(key);
+        entry.printCount++;
+        entry.totalWeight += print.weight || 0;
+        entry.totalHours += print.printDuration || 0;
+        if (print.qualityRating === 'poor') entry.poorCount++;
     });
-
-    document.getElementById('editModelModal').style.display = 'block';
+    return [...usage.values()].sort((a, b) => b.printCount - a.printCount);
 }
 
-function closeEditModelModal() {
-    document.getElementById('editModelModal').style.display = 'none';
-    editingModelId = null;
+// ============================
+// Print Queue
+// ============================
+
+// Queued and printing jobs hold a reservation on the filament they will use
+const JobStatuses = {
+    queued: { label: 'Queued', icon: '⏳', active: true },
+    printing: { label: 'Printing', icon: '🖨️', active: true },
+    done: { label: 'Done', icon: '✅', active: false },
+    failed: { label: 'Failed', icon: '❌', active: false }
+};
+
+// Job the print form was filled from, completed when that print is recorded
+let pendingQueueJobId = null;
+
+function isJobActive(job) {
+    return Boolean(JobStatuses[job.status] && JobStatuses[job.status].active);
 }
 
-function saveEditModel() {
-    const m = models.find(x => x.id === editingModelId);
-    if (!m) return;
+// Expected grams of each filament for all copies of a model
+function buildJobReservations(model, quantity) {
+    return (model.requirements || [])
+        .filter(req => req.filamentId && req.expectedWeight > 0)
+        .map(req => ({
+            filamentId: req.filamentId,
+            weight: Math.round(req.expectedWeight * (req.requiredCount || 1) * quantity * 10) / 10
+        }));
+}
 
-    // Collect form data
-    const name = document.getElementById('editModelName').value.trim();
-    const link = document.getElementById('editModelLink').value.trim();
-    const category = document.getElementById('editModelCategory').value;
-    const difficulty = document.getElementById('editModelDifficulty').value;
-    const printTime = parseFloat(document.getElementById('editModelPrintTime').value) || null;
-    const layerHeight = parseFloat(document.getElementById('editModelLayerHeight').value) || null;
-    const infill = parseInt(document.getElementById('editModelInfill').value) || null;
-    const supportsRequired = document.getElementById('editModelSupports').value === 'true';
-    const notes = document.getElementById('editModelNotes').value.trim();
+function getReservedWeight(filamentId, excludeJobId = null) {
+    return printJobs
+        .filter(job => job.id !== excludeJobId && isJobActive(job))
+        .reduce((sum, job) => sum + (job.reservations || [])
+            .filter(r => r.filamentId === filamentId)
+            .reduce((jobSum, r) => jobSum + r.weight, 0), 0);
+}
 
-    // Comprehensive validation - collect all errors
-    const validationErrors = [];
+function addQueueJob() {
+    const model = models.find(m => String(m.id) === document.getElementById('queueModel').value);
+    const quantity = parseInt(document.getElementById('queueQuantity').value, 10) || 1;
+    const printer = printers.find(p => String(p.id) === document.getElementById('queuePrinter').value);
+    const notes = document.getElementById('queueNotes').value.trim();
 
-    // Validate required fields
-    if (!name || name.trim() === '') {
-        validationErrors.push('• Model name is required');
+    const errors = [];
+    if (!model) errors.push('• Select a model to queue');
+    if (quantity < 1 || quantity > 100) errors.push('• Quantity must be between 1 and 100');
+    if (printers.length > 0 && !printer) errors.push('• Select the printer to run the job on');
+    if (errors.length > 0) {
+        alert(`Please fix the following issues:\n\n${errors.join('\n')}\n\nClick OK to continue editing.`);
+        return;
     }
 
-    if (!category) {
-        validationErrors.push('• Please select a category');
+    const reservations = buildJobReservations(model, quantity);
+    const warnings = [];
+    reservations.forEach(r => {
+        const filament = filaments.find(f => f.id === r.filamentId);
+        const free = filament ? Math.max(0, InventoryService.getStock(filament).available) : 0;
+        if (r.weight > free) {
+            warnings.push(`${filament ? `${filament.brand} ${filament.color}` : 'A missing filament'}: needs ${r.weight.toFixed(1)}g, ${free.toFixed(1)}g free`);
+        }
+    });
+    if (printer) {
+        const jobFilaments = reservations.map(r => filaments.find(f => f.id === r.filamentId)).filter(Boolean);
+        const reasons = checkPrinterCompatibility(printer, jobFilaments, model.mesh ? model.mesh.boundingBox : null);
+        if (reasons.length > 0) warnings.push(`${printer.name} ${reasons.join('; ')}`);
     }
-
-    if (!difficulty) {
-        validationErrors.push('• Please select a difficulty level');
+    if (reservations.length === 0) {
+        warnings.push(`"${model.name}" has no expected weights, so nothing will be reserved`);
     }
-
-    // Validate optional fields
-    if (printTime !== null && (printTime < 0 || printTime > 1440)) {
-        validationErrors.push('• Print time must be between 0 and 1440 minutes (24 hours)');
+    if (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\nQueue the job anyway?`)) {
+        return;
     }
 
-    if (layerHeight !== null && (layerHeight < 0.05 || layerHeight > 1.0)) {
-        validationErrors.push('• Layer height must be between 0.05mm and 1.0mm');
-    }
+    const pending = UndoHistory.begin(`Queue "${model.name}"`, ['printJobs']);
+    printJobs.push({
+        id: Date.now(),
+        modelId: model.id,
+        modelName: model.name,
+        quantity,
+        printerId: printer ? printer.id : null,
+        status: 'queued',
+        reservations,
+        notes: notes || null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        printId: null
+    });
 
-    if (infill !== null && (infill < 0 || infill > 100)) {
-        validationErrors.push('• Infill must be between 0% and 100%');
+    document.getElementById('queueQuantity').value = 1;
+    document.getElementById('queueNotes').value = '';
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `${quantity} × "${model.name}" queued`);
+}
+
+function setQueueJobStatus(id, status) {
+    const job = printJobs.find(j => j.id === id);
+    if (!job) return;
+
+    const pending = UndoHistory.begin(`Mark "${job.modelName}" ${JobStatuses[status].label.toLowerCase()}`, ['printJobs']);
+    job.status = status;
+    if (status === 'printing') job.startedAt = new Date().toISOString();
+    if (status === 'queued') {
+        // Retrying a failed job reserves the current expected weights again
+        const model = models.find(m => m.id === job.modelId);
+        if (model) job.reservations = buildJobReservations(model, job.quantity);
+        job.startedAt = null;
+        job.finishedAt = null;
     }
+    if (status === 'failed') job.finishedAt = new Date().toISOString();
 
-    // Get and validate filament requirements
-    const requirements = [];
-    document.querySelectorAll('#editRequiredFilamentsContainer .filament-req-item').forEach((item, index) => {
-        const searchInput = item.querySelector('.req-search');
-        const expectedWeightInput = item.querySelector('.expected-weight');
-        const toleranceInput = item.querySelector('.tolerance');
-        const requiredCountInput = item.querySelector('.required-count');
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `"${job.modelName}" ${JobStatuses[status].label.toLowerCase()}`);
+}
 
-        const id = parseInt(searchInput.dataset.selectedId, 10);
-        if (!isNaN(id) && id > 0) {
-            const f = filaments.find(x => x.id === id);
-            if (f) {
-                // Validate expected weight is provided
-                const expectedWeight = parseFloat(expectedWeightInput.value);
-                if (isNaN(expectedWeight) || expectedWeight <= 0) {
-                    validationErrors.push(`• Filament ${index + 1}: Please provide a valid expected weight`);
-                    return;
-                }
+function failQueueJob(id) {
+    const job = printJobs.find(j => j.id === id);
+    if (!job) return;
 
-                // Validate tolerance if provided
-                const tolerance = parseFloat(toleranceInput.value);
-                if (toleranceInput.value && !isNaN(tolerance) && (tolerance < 0 || tolerance > 100)) {
-                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Tolerance must be between 0% and 100%`);
-                    return;
-                }
+    // The filament used before the failure is waste, recorded like any other print
+    if (confirm(`Record the filament "${job.modelName}" used before it failed?\n\nOK = Fill in the print form\nCancel = Only mark the job failed`)) {
+        finishQueueJob(id, 'failed');
+    } else {
+        setQueueJobStatus(id, 'failed');
+    }
+}
 
-                // Validate required count if provided
-                const requiredCount = parseInt(requiredCountInput.value);
-                if (requiredCountInput.value && (isNaN(requiredCount) || requiredCount < 1 || requiredCount > 100)) {
-                    validationErrors.push(`• Filament ${index + 1} (${f.colorName || f.color}): Quantity must be between 1 and 100`);
-                    return;
-                }
+/**
+ * Fills the print form from a job so the actual usage can be adjusted before recording.
+ * The job is marked done (or failed) once that print is recorded.
+ * @param {number} id - Job to finish
+ * @param {string} outcome - Outcome preselected in the form
+ */
+function finishQueueJob(id, outcome = 'success') {
+    const job = printJobs.find(j => j.id === id);
+    if (!job) return;
 
-                requirements.push({
-                    filamentId: id,
-                    brand: f.brand,
-                    material: f.materialType || f.material,
-                    color: f.colorName || f.color,
-                    expectedWeight: expectedWeight,
-                    tolerance: !isNaN(tolerance) ? tolerance : 10, // Default 10% tolerance
-                    requiredCount: !isNaN(requiredCount) ? requiredCount : 1
-                });
-            }
-        }
+    const model = models.find(m => m.id === job.modelId);
+    const modelInput = document.getElementById('printModel');
+    modelInput.value = model ? model.name : job.modelName;
+    if (model) modelInput.setAttribute('data-selected-model', model.id);
+    resetPrintModelLines();
+    document.getElementById('printModelQuantity').value = job.quantity;
+
+    const container = document.getElementById('printFilamentsContainer');
+    container.innerHTML = '';
+    (job.reservations.length > 0 ? job.reservations : [{ filamentId: null, weight: null }]).forEach(r => {
+        const row = createPrintFilamentSearchBox(r.filamentId, r.weight);
+        container.appendChild(row);
     });
 
-    if (requirements.length === 0) {
-        validationErrors.push('• Please select at least one filament from the dropdown');
+    if (job.printerId) document.getElementById('printPrinter').value = job.printerId;
+    document.getElementById('printDate').value = new Date().toISOString().split('T')[0];
+    if (job.startedAt) {
+        const hours = (Date.now() - new Date(job.startedAt).getTime()) / 3600000;
+        if (hours > 0 && hours <= 168) document.getElementById('printDuration').value = hours.toFixed(1);
     }
+    if (job.notes) document.getElementById('printNotes').value = job.notes;
+    document.getElementById('printOutcome').value = outcome;
+    updatePrintOutcomeFields();
 
-    // Show all validation errors in a single popup
-    if (validationErrors.length > 0) {
-        const errorMessage = `Please fix the following issues:\n\n${validationErrors.join('\n')}\n\nClick OK to continue editing.`;
-        alert(errorMessage);
+    pendingQueueJobId = id;
+    updateTotalWeight();
+    showPage('prints');
+    showSuccessMessage(outcome === 'success' ?
+        `Adjust the filament used for ${job.quantity} × "${job.modelName}" and click Record Print` :
+        `Enter the filament "${job.modelName}" used before it failed, pick a reason and click Record Print`, 5000);
+}
+
+// Called by addPrint() once the print from finishQueueJob() is saved
+function completePendingQueueJob(print) {
+    const job = printJobs.find(j => j.id === pendingQueueJobId);
+    pendingQueueJobId = null;
+    if (!job) return;
+
+    // The form may have been reused for a different model since the job filled it
+    if (!getPrintLines(print).some(line => line.modelId === job.modelId)) return;
+
+    job.status = getPrintOutcome(print) === 'success' ? 'done' : 'failed';
+    job.finishedAt = new Date().toISOString();
+    job.printId = print.id;
+}
+
+function removeQueueJob(id) {
+    const job = printJobs.find(j => j.id === id);
+    if (!job) return;
+    if (isJobActive(job) && !confirm(`Remove "${job.modelName}" from the queue? Its filament reservation is released.`)) {
         return;
     }
 
-    // Update model data
-    m.name = name;
-    m.link = link;
-    m.category = category;
-    m.difficulty = difficulty;
-    m.printTime = printTime;
-    m.layerHeight = layerHeight;
-    m.infill = infill;
-    m.supportsRequired = supportsRequired;
-    m.notes = notes;
-    m.requirements = requirements;
-    m.tags = extractTagsFromNotes(notes);
-
+    const pending = UndoHistory.begin(`Remove "${job.modelName}" from queue`, ['printJobs']);
+    printJobs = printJobs.filter(j => j.id !== id);
+    if (pendingQueueJobId === id) pendingQueueJobId = null;
     saveData();
     updateAllTables();
-    closeEditModelModal();
+    commitUndoable(pending, `"${job.modelName}" removed from the queue`);
 }
 
-function deleteModel(id) {
-    const model = models.find(m => m.id === id);
-    if (!model) return;
+function clearFinishedQueueJobs() {
+    const finished = printJobs.filter(job => !isJobActive(job));
+    if (finished.length === 0) return;
 
-    // Check if model has print history
-    const modelPrints = prints.filter(p => p.modelId === id);
+    const pending = UndoHistory.begin('Clear finished jobs', ['printJobs']);
+    printJobs = printJobs.filter(isJobActive);
+    saveData();
+    updateAllTables();
+    commitUndoable(pending, `${finished.length} finished job${finished.length !== 1 ? 's' : ''} cleared`);
+}
 
-    let confirmMessage = `Delete model "${model.name}"?`;
-    let relationshipWarnings = [];
+function describeJobReservations(job) {
+    if (!job.reservations || job.reservations.length === 0) {
+        return '<span class="text-muted">Nothing reserved</span>';
+    }
+    return job.reservations.map(r => {
+        const filament = filaments.find(f => f.id === r.filamentId);
+        return `
+            <div class="print-filament">
+                <span class="color-swatch" style="background:${filament ? filament.colorHex || '#ccc' : '#ccc'}; width:12px; height:12px; display:inline-block; border-radius:2px; margin-right:4px; vertical-align:middle;"></span>
+                <span class="filament-info">${filament ? `${filament.color} (${filament.materialType})` : 'Missing filament'} ${r.weight.toFixed(1)}g</span>
+            </div>
+        `;
+    }).join('');
+}
 
-    if (modelPrints.length > 0) {
-        relationshipWarnings.push(`• Has ${modelPrints.length} print record${modelPrints.length !== 1 ? 's' : ''} (${modelPrints.map(p => new Date(p.date).toLocaleDateString()).join(', ')})`);
+function renderQueueActions(job) {
+    const actions = {
+        queued: `<button class="edit-btn" onclick="setQueueJobStatus(${job.id}, 'printing')">Start</button>`,
+        printing: `<button class="edit-btn" onclick="finishQueueJob(${job.id})">Done</button>
+            <button class="delete-btn" onclick="failQueueJob(${job.id})">Failed</button>`,
+        failed: `<button class="edit-btn" onclick="setQueueJobStatus(${job.id}, 'queued')">Retry</button>`,
+        done: ''
+    };
+    return `${actions[job.status] || ''}
+        <button class="delete-btn" onclick="removeQueueJob(${job.id})" aria-label="Remove job">✕</button>`;
+}
+
+function updateQueueTable() {
+    const tbody = document.getElementById('queueTableBody');
+    if (!tbody) return;
+    if (!printJobs.length) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">The queue is empty</td></tr>';
+        return;
     }
 
-    // Check if model is the only one using certain filaments
-    const uniqueFilaments = [];
-    model.requirements?.forEach(req => {
-        const otherModels = models.filter(m => m.id !== id && m.requirements?.some(r => r.filamentId === req.filamentId));
-        if (otherModels.length === 0) {
-            const filament = filaments.find(f => f.id === req.filamentId);
-            if (filament) {
-                uniqueFilaments.push(`• ${filament.colorName || filament.color} (${filament.materialType || filament.material})`);
-            }
-        }
+    // Running jobs first, then the queue in order, then finished jobs newest first
+    const rank = { printing: 0, queued: 1 };
+    const sorted = [...printJobs].sort((a, b) => {
+        const ra = rank[a.status] ?? 2;
+        const rb = rank[b.status] ?? 2;
+        if (ra !== rb) return ra - rb;
+        return ra === 2 ? (b.finishedAt || '').localeCompare(a.finishedAt || '') : a.createdAt.localeCompare(b.createdAt);
     });
 
-    if (uniqueFilaments.length > 0) {
-        relationshipWarnings.push(`• Only model using these filaments:\n${uniqueFilaments.join('\n')}`);
-    }
+    tbody.innerHTML = sorted.map(job => {
+        const status = JobStatuses[job.status] || { label: job.status, icon: '' };
+        const printer = printers.find(p => p.id === job.printerId);
+        return `
+            <tr class="queue-job queue-job-${job.status}">
+                <td><strong>${job.quantity} × ${job.modelName}</strong>${job.notes ? `<div class="text-muted">${job.notes}</div>` : ''}</td>
+                <td>${printer ? printer.name : '<span class="text-muted">—</span>'}</td>
+                <td>${describeJobReservations(job)}</td>
+                <td><span class="job-status job-status-${job.status}">${status.icon} ${status.label}</span></td>
+                <td>${new Date(job.createdAt).toLocaleDateString()}</td>
+                <td>${renderQueueActions(job)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function updateQueueSelects() {
+    const modelSelect = document.getElementById('queueModel');
+    const printerSelect = document.getElementById('queuePrinter');
+    if (!modelSelect || !printerSelect) return;
+
+    const selectedModel = modelSelect.value;
+    modelSelect.innerHTML = '<option value="">Select model...</option>' +
+        [...models].sort((a, b) => a.name.localeCompare(b.name))
+            .map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    modelSelect.value = selectedModel;
+    updateQueuePrinterOptions();
+}
+
+// Printers that cannot run the selected model are listed last and marked
+function updateQueuePrinterOptions() {
+    const printerSelect = document.getElementById('queuePrinter');
+    const model = models.find(m => String(m.id) === document.getElementById('queueModel').value);
+    const selectedPrinter = printerSelect.value;
+
+    const jobFilaments = model ? (model.requirements || []).map(req => filaments.find(f => f.id === req.filamentId)).filter(Boolean) : [];
+    const options = printers.map(printer => ({
+        printer,
+        reasons: model ? checkPrinterCompatibility(printer, jobFilaments, model.mesh ? model.mesh.boundingBox : null) : []
+    })).sort((a, b) => a.reasons.length - b.reasons.length);
+
+    printerSelect.innerHTML = `<option value="">${printers.length > 0 ? 'Select printer...' : 'Any printer'}</option>` +
+        options.map(({ printer, reasons }) =>
+            `<option value="${printer.id}" ${reasons.length > 0 ? `title="${reasons.join('; ')}"` : ''}>${describePrinter(printer)}${reasons.length > 0 ? ' - incompatible' : ''}</option>`
+        ).join('');
+    printerSelect.value = selectedPrinter;
+}
+
+// ============================
+// Print Outcomes
+// ============================
+
+const PrintOutcomes = {
+    success: { label: 'Success', icon: '✅' },
+    failed: { label: 'Failed', icon: '❌' },
+    cancelled: { label: 'Cancelled', icon: '⏹️' }
+};
 
-    if (relationshipWarnings.length > 0) {
-        confirmMessage += '\n\n⚠️ Related data will be preserved:\n' + relationshipWarnings.join('\n') + '\n\nContinue with deletion?';
-    }
+const FailureReasons = {
+    spaghetti: 'Spaghetti / detached part',
+    adhesion: 'Bed adhesion',
+    warping: 'Warping',
+    clog: 'Nozzle clog',
+    underExtrusion: 'Under-extrusion',
+    layerShift: 'Layer shift',
+    supports: 'Support failure',
+    filamentRunout: 'Filament ran out / tangled',
+    powerLoss: 'Power loss',
+    userCancelled: 'Stopped by user',
+    other: 'Other'
+};
 
-    if (confirm(confirmMessage)) {
-        models = models.filter(m => m.id !== id);
+// Records from before outcomes were tracked count as successful
+function getPrintOutcome(print) {
+    return print.outcome || 'success';
+}
 
-        // Print history is preserved but will show "Model not found" in display
-        saveData();
-        updateAllTables();
+// Everything a failed or cancelled print used is waste
+function getPrintWaste(print) {
+    if (getPrintOutcome(print) === 'success') return 0;
+    return print.wastedWeight ?? (print.weight || 0);
+}
 
-        // Show success message with additional info if there were relationships
-        if (relationshipWarnings.length > 0) {
-        }
+// Cost of one filament line, using the price of the spools it was drawn from
+function calculatePrintFilamentCost(printFilament) {
+    const filament = filaments.find(f => f.id === printFilament.filamentId);
+    const filamentPrice = filament && filament.purchasePrice ? filament.purchasePrice : 0;
+
+    if (printFilament.spoolDraws && printFilament.spoolDraws.length > 0) {
+        return printFilament.spoolDraws.reduce((sum, draw) => {
+            const spool = spools.find(s => s.id === draw.spoolId);
+            const pricePerKg = spool && spool.purchasePrice ? spool.purchasePrice : filamentPrice;
+            return sum + draw.weight * pricePerKg / 1000;
+        }, 0);
     }
+    return (printFilament.weight || 0) * filamentPrice / 1000;
 }
 
-/**
- * Determines if a model can be printed based on available filament inventory
- * @param {Object} m - The model to check for printability
- * @returns {Object} Printability status with details and count
- */
-function canPrintModel(m) {
-    // Early return for models with no filament requirements
-    if (!m.requirements || m.requirements.length === 0) {
-        return {
-            canPrint: false,
-            missingRequirements: ['None defined'],
-            availableFilaments: [],
-            canPrintCount: 0
-        };
-    }
+function calculatePrintWasteCost(print) {
+    if (getPrintOutcome(print) === 'success') return 0;
+    return (print.filaments || []).reduce((sum, pf) => sum + calculatePrintFilamentCost(pf), 0);
+}
 
-    const missing = [];              // Required filaments that are missing or out of stock
-    const availableFilaments = [];   // Available filaments that meet requirements
-    let maxCanPrintCount = Infinity; // Maximum prints possible based最 limited filament
+function describePrintOutcome(print) {
+    const outcome = getPrintOutcome(print);
+    if (outcome === 'success') return '';
 
-    // Check each filament requirement against available inventory
-    m.requirements.forEach(req => {
-        const filament = filaments.find(f => f.id === req.filamentId);
-        if (!filament || !filament.inStock) {
-            // Track missing or out-of-stock filaments with descriptive messages
-            missing.push(`${req.color} (${req.material}) - ${filament ? 'Out of Stock' : 'Missing'}`);
-            maxCanPrintCount = 0; // Cannot print if any requirement is unavailable
-        } else {
-            // Store available filament information for reference
-            availableFilaments.push({
-                filament: filament,
-                requirement: req,
-                weightPerPrint: req.expectedWeight || 0,
-                tolerance: req.tolerance || 10
-            });
+    const config = PrintOutcomes[outcome] || { label: outcome, icon: '' };
+    const details = [
+        print.failureReason ? FailureReasons[print.failureReason] || print.failureReason : null,
+        print.completedPercent !== null && print.completedPercent !== undefined ? `at ${print.completedPercent}%` : null
+    ].filter(Boolean).join(' ');
+    return `<span class="print-outcome print-outcome-${outcome}" title="${getPrintWaste(print).toFixed(1)}g wasted">${config.icon} ${config.label}${details ? ` - ${details}` : ''}</span>`;
+}
 
-            // Calculate maximum prints possible for this specific filament
-            if (req.expectedWeight && req.expectedWeight > 0) {
-                const canPrintCount = Math.floor(filament.weight / req.expectedWeight);
-                // Account for quantity required per print (e.g., 2 identical parts)
-                const actualCount = Math.floor(canPrintCount / (req.requiredCount || 1));
-                // Overall print count limited by most constrained filament
-                maxCanPrintCount = Math.min(maxCanPrintCount, actualCount);
-            }
-        }
+// Reason and progress only apply to prints that did not finish. prefix is 'print' or 'editPrint'.
+function updatePrintOutcomeFields(prefix = 'print') {
+    const select = document.getElementById(`${prefix}Outcome`);
+    select.closest('.print-quality-controls').querySelectorAll('.print-failure-field').forEach(field => {
+        field.style.display = select.value === 'success' ? 'none' : '';
     });
+}
 
-    // Handle edge case: if no expected weights defined, assume printable if all in stock
-    if (maxCanPrintCount === Infinity) {
-        maxCanPrintCount = missing.length === 0 ? 1 : 0;
+function readPrintOutcome(errors, prefix = 'print') {
+    const outcome = document.getElementById(`${prefix}Outcome`).value || 'success';
+    if (outcome === 'success') {
+        return { outcome, failureReason: null, completedPercent: 100 };
     }
 
-    return {
-        canPrint: missing.length === 0,
-        missingRequirements: missing,
-        availableFilaments: availableFilaments,
-        canPrintCount: Math.max(0, maxCanPrintCount)
-    };
+    const failureReason = document.getElementById(`${prefix}FailureReason`).value;
+    const percentValue = document.getElementById(`${prefix}CompletedPercent`).value;
+    const completedPercent = percentValue === '' ? null : parseFloat(percentValue);
+    if (!FailureReasons[failureReason]) {
+        errors.push(`• Select why the print ${outcome === 'failed' ? 'failed' : 'was cancelled'}`);
+    }
+    if (completedPercent !== null && (isNaN(completedPercent) || completedPercent < 0 || completedPercent > 100)) {
+        errors.push('• Completed percentage must be between 0 and 100');
+    }
+    return { outcome, failureReason, completedPercent };
 }
 
-// Model usage calculation functions
+function resetPrintOutcomeFields() {
+    document.getElementById('printOutcome').value = 'success';
+    document.getElementById('printFailureReason').value = '';
+    document.getElementById('printCompletedPercent').value = '';
+    updatePrintOutcomeFields();
+}
 
 /**
- * Calculates the total expected filament usage for a model
- * @param {Object} model - The model with filament requirements
- * @returns {number} Total expected filament weight in grams
+ * Failure rate and waste grouped by model, filament, printer and reason
+ * @returns {Object} { failedCount, totalWaste, wasteCost, byModel, byFilament, byPrinter, byReason }
  */
-function calculateTotalExpectedUsage(model) {
-    // Return zero for models with no filament requirements
-    if (!model.requirements || model.requirements.length === 0) {
-        return 0;
-    }
+function analyzePrintFailures() {
+    const groups = { byModel: new Map(), byFilament: new Map(), byPrinter: new Map(), byReason: new Map() };
+    const tally = (map, key, name, print, waste, cost) => {
+        if (!map.has(key)) map.set(key, { name, printCount: 0, failedCount: 0, waste: 0, cost: 0 });
+        const entry = map.get(key);
+        entry.printCount++;
+        if (getPrintOutcome(print) !== 'success') entry.failedCount++;
+        entry.waste += waste;
+        entry.cost += cost;
+    };
 
-    // Sum up expected weight for each requirement, accounting for quantity
-    return model.requirements.reduce((total, req) => {
-        const expectedWeight = req.expectedWeight || 0; // Default to 0 if not specified
-        const requiredCount = req.requiredCount || 1;  // Default to 1 item if not specified
-        return total + (expectedWeight * requiredCount); // Total weight for this requirement
-    }, 0);
-}
+    let failedCount = 0;
+    let totalWaste = 0;
+    let wasteCost = 0;
+    prints.forEach(print => {
+        const failed = getPrintOutcome(print) !== 'success';
+        const waste = getPrintWaste(print);
+        const cost = calculatePrintWasteCost(print);
+        if (failed) {
+            failedCount++;
+            totalWaste += waste;
+            wasteCost += cost;
+            const reason = print.failureReason || 'other';
+            tally(groups.byReason, reason, FailureReasons[reason] || reason, print, waste, cost);
+        }
 
-/**
- * Calculates the estimated material cost for printing a model
- * @param {Object} model - The model with filament requirements and pricing info
- * @returns {number} Total estimated cost in currency units
- */
-function calculateModelCost(model) {
-    // Return zero for models with no filament requirements
-    if (!model.requirements || model.requirements.length === 0) {
-        return 0;
-    }
+        allocatePrintUsage(print).forEach(line => {
+            tally(groups.byModel, line.modelName, line.modelName, print, line.waste, cost * line.share);
+        });
 
-    let totalCost = 0;
+        const printer = printers.find(p => p.id === print.printerId);
+        const printerName = printer ? printer.name : (print.printerName || 'Unassigned');
+        tally(groups.byPrinter, printer ? printer.id : printerName, printerName, print, waste, cost);
 
-    // Calculate cost for each filament requirement
-    model.requirements.forEach(req => {
-        const filament = filaments.find(f => f.id === req.filamentId);
-        if (filament && filament.purchasePrice) {
-            // Convert price per kg to price per gram
-            const pricePerGram = filament.purchasePrice / 1000;
-            const expectedWeight = req.expectedWeight || 0;
-            const requiredCount = req.requiredCount || 1;
-            // Add cost: weight × quantity × price per gram
-            totalCost += pricePerGram * expectedWeight * requiredCount;
-        }
+        (print.filaments || []).forEach(pf => {
+            const filament = filaments.find(f => f.id === pf.filamentId);
+            const name = filament ? `${filament.brand} ${filament.color} (${filament.materialType})` : `${pf.color} (${pf.material})`;
+            tally(groups.byFilament, pf.filamentId, name, print, failed ? pf.weight : 0, failed ? calculatePrintFilamentCost(pf) : 0);
+        });
     });
 
-    return totalCost;
-}
-
-function getModelUsageStatistics(modelId) {
-    const model = models.find(m => m.id === modelId);
-    if (!model) {
-        return null;
-    }
+    const sorted = map => [...map.values()]
+        .map(entry => ({ ...entry, failureRate: entry.printCount > 0 ? entry.failedCount / entry.printCount * 100 : 0 }))
+        .sort((a, b) => b.failureRate - a.failureRate || b.waste - a.waste);
 
-    const modelPrints = prints.filter(p => p.modelId === modelId);
     return {
-        totalPrints: modelPrints.length,
-        expectedWeight: calculateTotalExpectedUsage(model),
-        actualWeightUsed: modelPrints.reduce((total, print) => {
-            // Handle both legacy and new print formats
-            if (print.filaments && print.filaments.length > 0) {
-                return total + print.filaments.reduce((filTotal, fil) => filTotal + (fil.actualWeight || 0), 0);
-            } else {
-                return total + (print.weight || 0);
-            }
-        }, 0),
-        averageVariance: calculateAverageUsageVariance(modelId),
-        lastPrinted: modelPrints.length > 0 ? Math.max(...modelPrints.map(p => new Date(p.date))) : null
+        failedCount,
+        totalWaste,
+        wasteCost,
+        byModel: sorted(groups.byModel),
+        byFilament: sorted(groups.byFilament),
+        byPrinter: sorted(groups.byPrinter),
+        byReason: [...groups.byReason.values()].sort((a, b) => b.printCount - a.printCount)
     };
 }
 
-function calculateAverageUsageVariance(modelId) {
-    const model = models.find(m => m.id === modelId);
-    if (!model || !model.requirements) {
-        return 0;
-    }
+function renderFailureTable(title, rows) {
+    const withFailures = rows.filter(row => row.failedCount > 0).slice(0, 5);
+    return `
+        <div class="stats-card">
+            <h3>${title}</h3>
+            ${withFailures.length === 0 ? '<div class="text-muted">No failures</div>' : `
+            <table>
+                ${withFailures.map(row =>
+                    `<tr><td>${row.name}</td><td>${row.failedCount}/${row.printCount} (${row.failureRate.toFixed(0)}%)</td><td>${row.waste.toFixed(1)}g</td></tr>`
+                ).join('')}
+            </table>`}
+        </div>
+    `;
+}
 
-    const modelPrints = prints.filter(p => p.modelId === modelId);
-    if (modelPrints.length === 0) {
-        return 0;
-    }
+// ============================
+// Print Model Lines
+// ============================
 
-    const variances = modelPrints.map(print => {
-        let totalExpectedWeight = 0;
-        let totalActualWeight = 0;
+// Records from before model lines were kept hold one copy of a single model
+function getPrintLines(print) {
+    if (Array.isArray(print.models) && print.models.length > 0) return print.models;
+    const model = models.find(m => m.name === print.modelName);
+    return [{
+        modelId: model ? model.id : null,
+        modelName: print.modelName,
+        quantity: 1,
+        expectedWeight: print.usageVariance ? print.usageVariance.expected : null
+    }];
+}
 
-        model.requirements.forEach(req => {
-            totalExpectedWeight += (req.expectedWeight || 0) * (req.requiredCount || 1);
-        });
+function describePrintLines(lines) {
+    return lines.map(line => line.quantity > 1 ? `${line.modelName} ×${line.quantity}` : line.modelName).join(' + ');
+}
 
-        // Get actual weight from print
-        if (print.filaments && print.filaments.length > 0) {
-            totalActualWeight = print.filaments.reduce((total, fil) => total + (fil.actualWeight || 0), 0);
-        } else {
-            totalActualWeight = print.weight || 0;
-        }
+// Expected total for a plate, or 0 when any line has no estimate to compare against
+function calculateLinesExpectedUsage(lines) {
+    if (lines.length === 0 || lines.some(line => !line.expectedWeight)) return 0;
+    return lines.reduce((sum, line) => sum + line.expectedWeight, 0);
+}
 
-        if (totalExpectedWeight === 0) return 0;
-        return ((totalActualWeight - totalExpectedWeight) / totalExpectedWeight) * 100;
-    });
+// Variance of a successful print against its plate's expected usage, or null without an estimate
+function calculatePrintVariance(lines, actualTotal) {
+    const expectedTotal = calculateLinesExpectedUsage(lines);
+    if (expectedTotal === 0) return null;
 
-    return variances.reduce((sum, variance, _, arr) => sum + variance / arr.length, 0);
+    return {
+        expected: expectedTotal,
+        actual: actualTotal,
+        variance: parseFloat(((actualTotal - expectedTotal) / expectedTotal * 100).toFixed(1))
+    };
 }
 
-function updateModelTable() {
-    // Initialize enhanced data grid if not already done
-    if (!window.dataGrids) {
-        window.dataGrids = {};
-    }
+function getExpectedWeightForLines(lines, filamentId) {
+    return lines.reduce((sum, line) => {
+        const model = models.find(m => m.id === line.modelId);
+        return sum + (model ? getExpectedWeightForFilamentRequirement(model, filamentId) * line.quantity : 0);
+    }, 0);
+}
 
-    if (!window.dataGrids.modelTable) {
-        window.dataGrids.modelTable = new ModelsTable();
-    }
+/**
+ * Splits a print's usage and waste between its model lines in proportion to their
+ * expected weight, falling back to the number of copies when a line has no estimate.
+ * @param {Object} print - Print record
+ * @returns {Array} Lines with share, weight and waste added
+ */
+function allocatePrintUsage(print) {
+    const lines = getPrintLines(print);
+    const byWeight = calculateLinesExpectedUsage(lines) > 0;
+    const basis = line => byWeight ? line.expectedWeight : line.quantity;
+    const total = lines.reduce((sum, line) => sum + basis(line), 0);
+    const waste = getPrintWaste(print);
+
+    return lines.map(line => {
+        const share = total > 0 ? basis(line) / total : 1 / lines.length;
+        return {
+            ...line,
+            print,
+            share,
+            weight: (print.weight || 0) * share,
+            waste: waste * share
+        };
+    });
+}
 
-    // Set global models data and refresh the grid
-    window.models = models;
-    window.dataGrids.modelTable.updateData();
+function getModelPrintAllocations(model) {
+    return prints.flatMap(allocatePrintUsage)
+        .filter(entry => entry.modelId === model.id || (entry.modelId === null && entry.modelName === model.name));
 }
 
-// Model data migration functions
-function migrateModelData() {
-    let migrationCount = 0;
-    const migrationWarnings = [];
+function buildPrintModelLineOptions(selectedId = null) {
+    return '<option value="">Select Model</option>' + models.map(model =>
+        `<option value="${model.id}" ${selectedId === model.id ? 'selected' : ''}>${model.name}</option>`
+    ).join('');
+}
 
-    models.forEach(model => {
-        let needsMigration = false;
-
-        // Migrate requirements to enhanced schema
-        if (model.requirements) {
-            model.requirements.forEach(req => {
-                if (!req.expectedWeight) {
-                    req.expectedWeight = 20; // Default 20g per print
-                    migrationWarnings.push(`Model "${model.name}": Set default expected weight (20g) for ${req.color || 'unknown filament'}`);
-                    needsMigration = true;
-                }
+// prefix selects the add ('print') or edit ('editPrint') form
+function addPrintModelLine(modelId = null, quantity = 1, prefix = 'print') {
+    const div = document.createElement('div');
+    div.className = 'print-model-line';
+    div.innerHTML = `
+        <select class="print-model-line-select" onchange="updateTotalWeight()" title="Another model printed on the same plate">
+            ${buildPrintModelLineOptions(modelId)}
+        </select>
+        <input type="number" class="print-model-line-quantity" min="1" step="1" value="${quantity}" oninput="updateTotalWeight()" title="Number of copies">
+        <button class="remove-btn" onclick="removePrintModelLine(this)" title="Remove model">✕</button>
+    `;
+    document.getElementById(`${prefix}ModelLinesContainer`).appendChild(div);
+}
 
-                if (!req.tolerance) {
-                    req.tolerance = 10; // Default 10% tolerance
-                    needsMigration = true;
-                }
+function removePrintModelLine(btn) {
+    const line = btn.closest('.print-model-line');
+    if (line) line.remove();
+    updateTotalWeight();
+}
 
-                if (!req.requiredCount) {
-                    req.requiredCount = 1; // Default 1 quantity
-                    needsMigration = true;
-                }
-            });
-        }
+function resetPrintModelLines(prefix = 'print') {
+    document.getElementById(`${prefix}ModelQuantity`).value = 1;
+    document.getElementById(`${prefix}ModelLinesContainer`).innerHTML = '';
+}
 
-        // Set default values for new enhanced fields
-        if (!model.category) {
-            model.category = 'Other';
-            needsMigration = true;
+/**
+ * Reads the model and any extra plate lines from the add or edit print form
+ * @param {Array} errors - Validation messages are appended here
+ * @param {string} prefix - 'print' or 'editPrint'
+ * @returns {Array} [{ modelId, modelName, quantity, expectedWeight }]
+ */
+function readPrintModelLines(errors = [], prefix = 'print') {
+    const lines = [];
+    const addLine = (model, modelName, quantityValue, label) => {
+        const quantity = Number(quantityValue);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push(`• ${label}: Copies must be a whole number of at least 1`);
         }
+        const expectedTotal = model ? calculateTotalExpectedUsage(model) : 0;
+        lines.push({
+            modelId: model ? model.id : null,
+            modelName,
+            quantity: quantity > 0 ? Math.round(quantity) : 1,
+            expectedWeight: expectedTotal > 0 ? expectedTotal * Math.max(1, Math.round(quantity) || 1) : null
+        });
+    };
 
-        if (!model.difficulty) {
-            model.difficulty = 'Medium';
-            needsMigration = true;
-        }
+    const modelName = document.getElementById(`${prefix}Model`).value.trim();
+    if (modelName) {
+        addLine(models.find(m => m.name === modelName), modelName, document.getElementById(`${prefix}ModelQuantity`).value, modelName);
+    }
 
-        if (!model.addedDate) {
-            model.addedDate = new Date().toISOString().split('T')[0];
-            needsMigration = true;
+    document.querySelectorAll(`#${prefix}ModelLinesContainer .print-model-line`).forEach((row, index) => {
+        const model = models.find(m => String(m.id) === row.querySelector('.print-model-line-select').value);
+        if (!model) {
+            errors.push(`• Model line ${index + 1}: Please select a model or remove the line`);
+            return;
         }
+        addLine(model, model.name, row.querySelector('.print-model-line-quantity').value, model.name);
+    });
 
-        if (needsMigration) {
-            migrationCount++;
-        }
+    return lines;
+}
+
+// Replaces the filament rows with the combined expected usage of every line on the plate
+function fillPrintFilamentsFromLines(prefix = 'print') {
+    const totals = new Map();
+    readPrintModelLines([], prefix).forEach(line => {
+        const model = models.find(m => m.id === line.modelId);
+        (model && model.requirements || []).forEach(req => {
+            if (!req.filamentId) return;
+            const weight = (req.expectedWeight || 0) * (req.requiredCount || 1) * line.quantity;
+            totals.set(req.filamentId, (totals.get(req.filamentId) || 0) + weight);
+        });
     });
 
-    if (migrationCount > 0) {
-        saveData();
+    if (totals.size === 0) {
+        showWarningMessage('None of the models on this plate have expected filament usage');
+        return;
     }
 
-    return { migratedCount, warnings: migrationWarnings };
+    const container = document.getElementById(`${prefix}FilamentsContainer`);
+    container.innerHTML = '';
+    totals.forEach((weight, filamentId) => {
+        container.appendChild(createPrintFilamentSearchBox(filamentId, weight > 0 ? weight.toFixed(1) : null));
+    });
+    updateTotalWeight();
 }
 
-function validateModelFilamentRelationships() {
-    const issues = [];
+// ============================
+// Shopping List
+// ============================
 
-    models.forEach(model => {
-        if (!model.requirements || model.requirements.length === 0) {
-            issues.push({
-                type: 'missing_requirements',
-                modelId: model.id,
-                modelName: model.name,
-                message: 'Model has no filament requirements defined'
-            });
-            return;
-        }
+function getShoppingListKey(material, color, diameter) {
+    return `${(material || '').toLowerCase()}|${(color || '').toLowerCase()}|${diameter || 1.75}`;
+}
 
-        model.requirements.forEach(req => {
-            const filament = filaments.find(f => f.id === req.filamentId);
-            if (!filament) {
-                issues.push({
-                    type: 'missing_filament',
-                    modelId: model.id,
-                    modelName: model.name,
-                    filamentId: req.filamentId,
-                    message: `Required filament (ID: ${req.filamentId}) not found in inventory`
-                });
-            }
-        });
-    });
+/**
+ * Price to cost a purchase with: the most recently bought filament that has a price
+ * @param {Array} filamentList - Filaments of the same material, colour and diameter
+ * @returns {Object|null} { brand, pricePerKg } - pricePerKg is null when none of them has a price
+ */
+function getLatestFilamentPrice(filamentList) {
+    const byDate = [...filamentList].sort((a, b) => (b.purchaseDate || '').localeCompare(a.purchaseDate || ''));
+    const priced = byDate.find(f => f.purchasePrice > 0);
+    if (priced) return { brand: priced.brand, pricePerKg: priced.purchasePrice };
+    return byDate.length > 0 ? { brand: byDate[0].brand, pricePerKg: null } : null;
+}
 
-    return issues;
+function addShoppingListRow(modelId = null, quantity = 1, jobId = null) {
+    const div = document.createElement('div');
+    div.className = 'print-model-line shopping-list-row';
+    if (jobId) div.dataset.jobId = jobId;
+    div.innerHTML = `
+        <select class="print-model-line-select" onchange="renderShoppingList()" title="Model to print">
+            ${buildPrintModelLineOptions(modelId)}
+        </select>
+        <input type="number" class="print-model-line-quantity" min="1" step="1" value="${quantity}" oninput="renderShoppingList()" title="Number of copies">
+        ${jobId ? '<span class="badge badge-info" title="Its reservation is counted as available again">Queued</span>' : ''}
+        <button class="remove-btn" onclick="this.closest('.shopping-list-row').remove(); renderShoppingList()" title="Remove model">✕</button>
+    `;
+    document.getElementById('shoppingListSelection').appendChild(div);
 }
 
-// Print data migration functions for User Story 3
-function migratePrintData() {
-    let migrationCount = 0;
-    const migrationWarnings = [];
+function readShoppingListSelection() {
+    return [...document.querySelectorAll('#shoppingListSelection .shopping-list-row')].map(row => ({
+        model: models.find(m => String(m.id) === row.querySelector('.print-model-line-select').value),
+        quantity: Math.max(0, parseInt(row.querySelector('.print-model-line-quantity').value) || 0),
+        jobId: row.dataset.jobId ? parseFloat(row.dataset.jobId) : null
+    })).filter(item => item.model && item.quantity > 0);
+}
 
-    prints.forEach(print => {
-        let needsMigration = false;
-
-        // Migrate legacy single-filament format to multi-filament array
-        if (!print.filaments && print.color) {
-            // Find the filament to get additional details
-            const filament = filaments.find(f => f.color === print.color);
-            print.filaments = [{
-                filamentId: filament ? filament.id : null,
-                color: print.color,
-                material: filament ? (filament.materialType || filament.material) : 'Unknown',
-                weight: print.weight || 0,
-                colorHex: filament ? filament.colorHex : '#ccc'
-            }];
-            migrationWarnings.push(`Print "${print.modelName}": Migrated single filament (${print.color}) to enhanced format`);
-            needsMigration = true;
-        }
+/**
+ * Totals what the selected models need per material, colour and diameter and
+ * subtracts what is in stock
+ * @param {Array} selection - [{ model, quantity, jobId }] where jobId marks a queued job
+ *   whose own reservation should not be counted against it
+ * @returns {Object} { lines, totalCost, unpriced }
+ */
+function buildShoppingList(selection) {
+    const groups = new Map();
+    selection.forEach(({ model, quantity }) => {
+        (model.requirements || []).forEach(req => {
+            const filament = filaments.find(f => f.id === req.filamentId);
+            const material = filament ? (filament.materialType || filament.material) : req.material;
+            const color = filament ? filament.color : req.color;
+            const diameter = (filament && filament.diameter) || 1.75;
+            const key = getShoppingListKey(material, color, diameter);
 
-        // Ensure User Story 3 enhanced fields exist with defaults
-        if (!print.qualityRating) {
-            print.qualityRating = null; // Explicitly set to null for consistency
-            needsMigration = true;
-        }
+            if (!groups.has(key)) groups.set(key, { material, color, diameter, needed: 0 });
+            groups.get(key).needed += (req.expectedWeight || 0) * (req.requiredCount || 1) * quantity;
+        });
+    });
 
-        if (!print.printNotes) {
-            print.printNotes = null; // Explicitly set to null for consistency
-            needsMigration = true;
+    const selectedJobs = printJobs.filter(job => selection.some(item => item.jobId === job.id));
+    let totalCost = 0;
+    let unpriced = 0;
+    const lines = [...groups.values()].filter(group => group.needed > 0).map(group => {
+        const matching = filaments.filter(f =>
+            getShoppingListKey(f.materialType || f.material, f.color, f.diameter) === getShoppingListKey(group.material, group.color, group.diameter));
+        const available = matching.reduce((sum, f) => {
+            const ownReservation = selectedJobs.reduce((jobSum, job) => jobSum + (job.reservations || [])
+                .filter(r => r.filamentId === f.id)
+                .reduce((rSum, r) => rSum + r.weight, 0), 0);
+            return sum + Math.max(0, InventoryService.getStock(f).available + ownReservation);
+        }, 0);
+
+        const toBuy = Math.max(0, group.needed - available);
+        const spools = toBuy > 0 ? Math.ceil(toBuy / REORDER_SPOOL_GRAMS) : 0;
+        const price = getLatestFilamentPrice(matching);
+        const cost = price && price.pricePerKg ? spools * REORDER_SPOOL_GRAMS / 1000 * price.pricePerKg : null;
+        if (spools > 0) {
+            if (cost === null) unpriced++;
+            else totalCost += cost;
         }
+        return { ...group, available, toBuy, spools, brand: price ? price.brand : null, pricePerKg: price && price.pricePerKg, cost };
+    }).sort((a, b) => b.toBuy - a.toBuy);
 
-        if (!print.printDuration) {
-            print.printDuration = null; // Explicitly set to null for consistency
-            needsMigration = true;
-        }
+    return { lines, totalCost, unpriced };
+}
 
-        if (!print.usageVariance && print.modelName) {
-            // Calculate variance if model is found with expected weights
-            const model = models.find(m => m.name === print.modelName);
-            if (model && model.requirements && model.requirements.length > 0) {
-                const expectedTotal = calculateTotalExpectedUsage(model);
-                const actualTotal = print.weight || 0;
-                const variancePercent = ((actualTotal - expectedTotal) / expectedTotal * 100).toFixed(1);
-                print.usageVariance = {
-                    expected: expectedTotal,
-                    actual: actualTotal,
-                    variance: parseFloat(variancePercent)
-                };
-                migrationWarnings.push(`Print "${print.modelName}": Calculated usage variance (${variancePercent}%)`);
-                needsMigration = true;
-            }
-        }
+function renderShoppingList() {
+    const result = document.getElementById('shoppingListResult');
+    const selection = readShoppingListSelection();
+    if (selection.length === 0) {
+        result.innerHTML = '<p class="text-muted">Add the models you want to print.</p>';
+        return;
+    }
 
-        // Ensure timestamp exists
-        if (!print.timestamp) {
-            // Try to derive from existing date or create from current time
-            if (print.date) {
-                print.timestamp = new Date(print.date + 'T12:00:00').toISOString();
-            } else {
-                print.timestamp = new Date().toISOString();
-            }
-            needsMigration = true;
-        }
+    const { lines, totalCost, unpriced } = buildShoppingList(selection);
+    const toBuy = lines.filter(line => line.spools > 0);
+    result.innerHTML = `
+        <table class="shopping-list-table">
+            <thead>
+                <tr><th>Material</th><th>Colour</th><th>Ø</th><th>Needed</th><th>Available</th><th>To Buy</th><th>Brand</th><th>Cost</th></tr>
+            </thead>
+            <tbody>
+                ${lines.map(line => `
+                    <tr class="${line.spools > 0 ? '' : 'shopping-list-covered'}">
+                        <td>${line.material}</td>
+                        <td>${line.color}</td>
+                        <td>${line.diameter}mm</td>
+                        <td>${line.needed.toFixed(0)}g</td>
+                        <td>${line.available.toFixed(0)}g</td>
+                        <td>${line.spools > 0 ? `${line.toBuy.toFixed(0)}g (${line.spools} × ${REORDER_SPOOL_GRAMS / 1000}kg)` : '✓ In stock'}</td>
+                        <td>${line.brand || '<span class="text-muted">—</span>'}</td>
+                        <td>${line.spools > 0 ? (line.cost !== null ? `$${line.cost.toFixed(2)}` : '<span class="text-muted">No price</span>') : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="shopping-list-total">
+            ${toBuy.length === 0 ? 'Everything needed is in stock.' :
+                `Total: <strong>$${totalCost.toFixed(2)}</strong> for ${toBuy.reduce((sum, line) => sum + line.spools, 0)} spool(s)` +
+                (unpriced > 0 ? ` - ${unpriced} item${unpriced > 1 ? 's have' : ' has'} no purchase price` : '')}
+        </p>
+    `;
+}
 
-        if (needsMigration) {
-            migrationCount++;
-        }
-    });
+function openShoppingList() {
+    document.getElementById('shoppingListSelection').innerHTML = '';
+    renderShoppingList();
+    document.getElementById('shoppingListModal').style.display = 'block';
+}
+
+function closeShoppingList() {
+    document.getElementById('shoppingListModal').style.display = 'none';
+}
 
-    // Log migration summary
-    if (migrationCount > 0) {
-        console.log(`Print data migration completed: ${migrationCount} prints migrated`);
-        console.groupCollapsed('Print Migration Details');
-        migrationWarnings.forEach(warning => console.log(warning));
-        console.groupEnd();
+function addQueuedJobsToShoppingList() {
+    const jobs = printJobs.filter(isJobActive).filter(job => models.some(m => m.id === job.modelId));
+    if (jobs.length === 0) {
+        showWarningMessage('No queued jobs to add');
+        return;
     }
+    jobs.forEach(job => addShoppingListRow(job.modelId, job.quantity, job.id));
+    renderShoppingList();
+}
 
-    return { migratedCount: migrationCount, warnings: migrationWarnings };
+function addUnprintableModelsToShoppingList() {
+    const unprintable = models.filter(model => model.requirements && model.requirements.length > 0 && !canPrintModel(model).canPrint);
+    if (unprintable.length === 0) {
+        showSuccessMessage('Every model with requirements can be printed');
+        return;
+    }
+    unprintable.forEach(model => addShoppingListRow(model.id, 1));
+    renderShoppingList();
 }
 
-// Run migration on data load if needed
-if (models.length > 0) {
-    migrateModelData();
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-if (prints.length > 0) {
-    migratePrintData();
+function exportShoppingListCsv() {
+    const { lines } = buildShoppingList(readShoppingListSelection());
+    const toBuy = lines.filter(line => line.spools > 0);
+    if (toBuy.length === 0) {
+        showWarningMessage('Nothing to buy');
+        return;
+    }
+
+    const rows = [
+        ['Material', 'Colour', 'Diameter (mm)', 'Needed (g)', 'Available (g)', 'To Buy (g)', 'Spools', 'Brand', 'Price per kg', 'Cost'],
+        ...toBuy.map(line => [
+            line.material, line.color, line.diameter, line.needed.toFixed(0), line.available.toFixed(0), line.toBuy.toFixed(0),
+            line.spools, line.brand || '', line.pricePerKg || '', line.cost !== null ? line.cost.toFixed(2) : ''
+        ])
+    ];
+    const blob = new Blob([rows.map(row => row.map(escapeCsvValue).join(',')).join('\n')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `printstack-shopping-list-${new Date().toISOString().split('T')[0]}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function printShoppingList() {
+    const win = window.open('', '_blank');
+    if (!win) {
+        showErrorMessage('Allow pop-ups for this page to print the shopping list');
+        return;
+    }
+    win.document.write(`<!DOCTYPE html><html><head><title>Shopping List</title>
+        <style>body { font-family: sans-serif; } table { border-collapse: collapse; width: 100%; } th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; } .shopping-list-covered { color: #888; }</style>
+        </head><body><h1>Shopping List - ${new Date().toLocaleDateString()}</h1>${document.getElementById('shoppingListResult').innerHTML}</body></html>`);
+    win.document.close();
+    win.print();
 }
 
 // Print Functions
@@ -3268,9 +9561,17 @@ function addPrint() {
     const qualityRating = document.getElementById('printQualityRating').value;
     const printNotes = document.getElementById('printNotes').value.trim();
     const printDuration = parseFloat(document.getElementById('printDuration').value) || null;
+    const printer = printers.find(p => String(p.id) === document.getElementById('printPrinter').value);
 
     // Comprehensive validation - collect all errors
     const validationErrors = [];
+    const { outcome, failureReason, completedPercent } = readPrintOutcome(validationErrors);
+    const modelLines = readPrintModelLines(validationErrors);
+
+    // Once printers are registered every print has to say which one it ran on
+    if (printers.length > 0 && !printer) {
+        validationErrors.push('• Select the printer this ran on');
+    }
 
     // Validate required fields
     if (!modelName || modelName.trim() === '') {
@@ -3301,26 +9602,7 @@ function addPrint() {
     }
 
     // Collect selected filaments
-    const printFilaments = [];
-    document.querySelectorAll('#printFilamentsContainer .print-filament-item').forEach(item => {
-        const selectInput = item.querySelector('.print-filament-select');
-        const weightInput = item.querySelector('.print-filament-weight');
-        const filamentId = parseInt(selectInput.value);
-        const weight = parseFloat(weightInput.value) || 0;
-
-        if (!isNaN(filamentId) && filamentId > 0 && weight > 0) {
-            const filament = filaments.find(f => f.id === filamentId);
-            if (filament) {
-                printFilaments.push({
-                    filamentId: filamentId,
-                    color: filament.colorName || filament.color,
-                    material: filament.materialType || filament.material,
-                    weight: weight,
-                    colorHex: filament.colorHex
-                });
-            }
-        }
-    });
+    const printFilaments = readPrintFilamentRows(document.getElementById('printFilamentsContainer'));
 
     if (printFilaments.length === 0) {
         validationErrors.push('• Please select at least one filament and specify weights');
@@ -3336,19 +9618,8 @@ function addPrint() {
         }
     });
 
-    // Calculate usage variance if model has expected weights
-    let usageVariance = null;
-    const model = models.find(m => m.name === modelName);
-    if (model && model.requirements && model.requirements.length > 0) {
-        const expectedTotal = calculateTotalExpectedUsage(model);
-        const actualTotal = totalWeight;
-        const variancePercent = ((actualTotal - expectedTotal) / expectedTotal * 100).toFixed(1);
-        usageVariance = {
-            expected: expectedTotal,
-            actual: actualTotal,
-            variance: parseFloat(variancePercent)
-        };
-    }
+    // Calculate usage variance if every model on the plate has expected weights - an unfinished print says nothing about the estimate
+    const usageVariance = outcome === 'success' ? calculatePrintVariance(modelLines, totalWeight) : null;
 
     // Show all validation errors in a single popup
     if (validationErrors.length > 0) {
@@ -3357,10 +9628,21 @@ function addPrint() {
         return;
     }
 
+    // The registry may be out of date, so a mismatch is a warning the user can override
+    if (printer) {
+        const reasons = checkPrinterCompatibility(printer, printFilaments.map(pf => filaments.find(f => f.id === pf.filamentId)));
+        if (reasons.length > 0 && !confirm(`${printer.name} ${reasons.join('; ')}.\n\nRecord the print anyway?`)) {
+            return;
+        }
+    }
+
     // Create enhanced print record with User Story 3 fields
+    const printName = describePrintLines(modelLines);
     const print = {
         id: Date.now(),
-        modelName: modelName,
+        // Kept as a readable summary of the plate for older views and exports
+        modelName: printName,
+        models: modelLines,
         weight: totalWeight,
         date: date,
         filaments: printFilaments,
@@ -3369,25 +9651,41 @@ function addPrint() {
         printNotes: printNotes || null,
         printDuration: printDuration,
         usageVariance: usageVariance,
+        outcome,
+        success: outcome === 'success',
+        failureReason,
+        completedPercent,
+        wastedWeight: outcome === 'success' ? 0 : totalWeight,
+        printerId: printer ? printer.id : null,
+        // Kept so the history still reads correctly after the printer is deleted
+        printerName: printer ? printer.name : null,
+        slicerSettings: pendingSlicerSettings,
         timestamp: new Date().toISOString(),
         // For backwards compatibility
         color: printFilaments.length === 1 ? printFilaments[0].color : `${printFilaments.length}-color print`
     };
 
+    // Filaments are included so undoing the print also reverses the deduction
+    const pending = UndoHistory.begin(`Record print of "${printName}"`, ['prints', 'filaments', 'spools', 'printJobs']);
     prints.push(print);
+    completePendingQueueJob(print);
 
     // Automatic inventory deduction for User Story 3
-    deductFilamentInventory(printFilaments);
+    // Failed attempts still use up filament, but the ledger shows it as waste
+    deductFilamentInventory(printFilaments, print.id, outcome === 'success' ? 'print' : 'waste');
 
     // Clear form including enhanced fields
     document.getElementById('printModel').value = '';
     document.getElementById('printModel').removeAttribute('data-selected-model');
     document.querySelector('.model-search-results').style.display = 'none';
+    resetPrintModelLines();
+    pendingSlicerSettings = null;
     document.getElementById('printWeight').value = '';
     document.getElementById('printDate').value = '';
     document.getElementById('printQualityRating').value = '';
     document.getElementById('printNotes').value = '';
     document.getElementById('printDuration').value = '';
+    resetPrintOutcomeFields();
 
     // Hide variance section
     document.getElementById('usageVarianceSection').style.display = 'none';
@@ -3398,17 +9696,45 @@ function addPrint() {
 
     saveData();
     updateAllTables();
+    commitUndoable(pending, outcome === 'success' ?
+        `Print of "${printName}" recorded` :
+        `${PrintOutcomes[outcome].label} print of "${printName}" recorded - ${totalWeight.toFixed(1)}g wasted`);
 }
 
 function editPrint(id) {
     const p = prints.find(x => x.id === id);
     if (!p) return;
-    
+
     editingPrintId = id;
-    document.getElementById('editPrintModel').value = p.modelName;
-    document.getElementById('editPrintColor').value = p.color;
-    document.getElementById('editPrintWeight').value = p.weight;
+    const lines = getPrintLines(p);
+    document.getElementById('editPrintModel').value = lines[0].modelName;
+    document.getElementById('editPrintModelQuantity').value = lines[0].quantity;
+    document.getElementById('editPrintModelLinesContainer').innerHTML = '';
+    lines.slice(1).forEach(line => addPrintModelLine(line.modelId, line.quantity, 'editPrint'));
+
     document.getElementById('editPrintDate').value = p.date;
+    const printerSelect = document.getElementById('editPrintPrinter');
+    printerSelect.innerHTML = '<option value="">No printer</option>' +
+        printers.map(printer => `<option value="${printer.id}">${describePrinter(printer)}</option>`).join('');
+    printerSelect.value = printers.some(printer => printer.id === p.printerId) ? p.printerId : '';
+
+    document.getElementById('editPrintOutcome').value = getPrintOutcome(p);
+    document.getElementById('editPrintFailureReason').value = p.failureReason || '';
+    document.getElementById('editPrintCompletedPercent').value = p.completedPercent ?? '';
+    updatePrintOutcomeFields('editPrint');
+    document.getElementById('editPrintQualityRating').value = p.qualityRating || '';
+    document.getElementById('editPrintNotes').value = p.printNotes || '';
+    document.getElementById('editPrintDuration').value = p.printDuration ?? '';
+
+    const container = document.getElementById('editPrintFilamentsContainer');
+    container.innerHTML = '';
+    (p.filaments && p.filaments.length > 0 ? p.filaments : [{ filamentId: null, weight: null }]).forEach(pf => {
+        const row = createPrintFilamentSearchBox(pf.filamentId, pf.weight);
+        if (pf.spoolId) row.querySelector('.print-filament-spool').value = pf.spoolId;
+        container.appendChild(row);
+    });
+
+    updateEditPrintTotals();
     document.getElementById('editPrintModal').style.display = 'block';
 }
 
@@ -3417,26 +9743,286 @@ function closeEditPrintModal() {
     editingPrintId = null;
 }
 
+function updateEditPrintTotals() {
+    const total = readPrintFilamentRows(document.getElementById('editPrintFilamentsContainer'))
+        .reduce((sum, pf) => sum + pf.weight, 0);
+    document.getElementById('editPrintWeight').value = total.toFixed(1);
+
+    const variance = calculatePrintVariance(readPrintModelLines([], 'editPrint'), total);
+    const varianceClass = !variance || variance.variance === 0 ? 'variance-neutral' : (variance.variance > 0 ? 'variance-positive' : 'variance-negative');
+    document.getElementById('editPrintVariance').innerHTML = variance ?
+        `Expected ${variance.expected.toFixed(1)}g → Actual ${variance.actual.toFixed(1)}g
+        <span class="variance-display ${varianceClass}">${variance.variance > 0 ? '+' : (variance.variance === 0 ? '±' : '')}${variance.variance.toFixed(1)}%</span>` : '';
+}
+
+// Grams per filament, so an edit only moves the difference in or out of inventory
+function sumPrintFilamentWeights(printFilaments) {
+    const totals = new Map();
+    printFilaments.forEach(pf => totals.set(pf.filamentId, (totals.get(pf.filamentId) || 0) + (pf.weight || 0)));
+    return totals;
+}
+
+function diffPrintFilamentWeights(oldFilaments, newFilaments) {
+    const before = sumPrintFilamentWeights(oldFilaments);
+    const after = sumPrintFilamentWeights(newFilaments);
+    const deltas = new Map();
+    new Set([...before.keys(), ...after.keys()]).forEach(filamentId => {
+        deltas.set(filamentId, Math.round(((after.get(filamentId) || 0) - (before.get(filamentId) || 0)) * 100) / 100);
+    });
+    return deltas;
+}
+
+/**
+ * Takes extra filament from inventory or gives the excess back after a print is edited.
+ * Spool draws carry over to the new filament rows so later edits can return to the same spools.
+ * @param {Array} oldFilaments - Filament lines before the edit
+ * @param {Array} newFilaments - Filament lines after the edit; spoolDraws are set on them
+ * @param {number} printId - Print the ledger entries refer to
+ * @param {string} reclassifyAs - Ledger source ('print' or 'waste') when the edit turned a
+ *   successful print into a failed one or back; all of its grams are then returned and
+ *   taken again under that source, so the ledger keeps waste apart from prints
+ */
+function adjustPrintInventory(oldFilaments, newFilaments, printId, reclassifyAs = null) {
+    const before = sumPrintFilamentWeights(oldFilaments);
+    diffPrintFilamentWeights(oldFilaments, newFilaments).forEach((delta, filamentId) => {
+        const filament = filaments.find(f => f.id === filamentId);
+        const rows = newFilaments.filter(pf => pf.filamentId === filamentId);
+        let draws = oldFilaments.filter(pf => pf.filamentId === filamentId).flatMap(pf => pf.spoolDraws || []);
+        const take = grams => {
+            if (getFilamentSpools(filament.id).length > 0) {
+                draws = [...draws, ...drawFromSpools(filament, grams, rows[0].spoolId)];
+            } else {
+                filament.weight = Math.max(0, filament.weight - grams);
+            }
+        };
+
+        if (filament && reclassifyAs) {
+            const returned = before.get(filamentId) || 0;
+            const taken = Math.round((returned + delta) * 100) / 100;
+            let previousWeight = filament.weight;
+            if (returned > 0) {
+                draws = restoreFilamentWeight(filament, returned, draws);
+                InventoryLedger.record(filament, filament.weight - previousWeight, 'printEdit', printId);
+            }
+            previousWeight = filament.weight;
+            if (taken > 0) {
+                take(taken);
+                InventoryLedger.record(filament, filament.weight - previousWeight, reclassifyAs, printId);
+            }
+        } else if (filament && delta !== 0) {
+            const previousWeight = filament.weight;
+            if (delta < 0) {
+                draws = restoreFilamentWeight(filament, -delta, draws);
+            } else {
+                take(delta);
+            }
+            InventoryLedger.record(filament, filament.weight - previousWeight, 'printEdit', printId);
+        }
+
+        if (rows.length > 0 && draws.length > 0) rows[0].spoolDraws = draws;
+    });
+}
+
 function saveEditPrint() {
     const p = prints.find(x => x.id === editingPrintId);
     if (!p) return;
-    
-    p.modelName = document.getElementById('editPrintModel').value.trim();
-    p.color = document.getElementById('editPrintColor').value.trim();
-    p.weight = parseFloat(document.getElementById('editPrintWeight').value) || 0;
-    p.date = document.getElementById('editPrintDate').value;
-    
+
+    const date = document.getElementById('editPrintDate').value;
+    const qualityRating = document.getElementById('editPrintQualityRating').value;
+    const printNotes = document.getElementById('editPrintNotes').value.trim();
+    const printDuration = parseFloat(document.getElementById('editPrintDuration').value) || null;
+    const printer = printers.find(x => String(x.id) === document.getElementById('editPrintPrinter').value);
+
+    const validationErrors = [];
+    const { outcome, failureReason, completedPercent } = readPrintOutcome(validationErrors, 'editPrint');
+    const modelLines = readPrintModelLines(validationErrors, 'editPrint');
+    const printFilaments = readPrintFilamentRows(document.getElementById('editPrintFilamentsContainer'));
+
+    // A printer deleted since the print was recorded can't be selected, so keep the old reference
+    const keepPrinter = !printer && p.printerId != null && !printers.some(x => x.id === p.printerId);
+    if (printers.length > 0 && !printer && !keepPrinter) {
+        validationErrors.push('• Select the printer this ran on');
+    }
+    if (modelLines.length === 0) {
+        validationErrors.push('• Model name is required');
+    }
+    if (!date) {
+        validationErrors.push('• Print date is required');
+    }
+    if (printDuration !== null && (printDuration < 0 || printDuration > 168)) {
+        validationErrors.push('• Print duration must be between 0 and 168 hours (1 week)');
+    }
+    if (printNotes.length > 500) {
+        validationErrors.push('• Print notes must be 500 characters or less');
+    }
+    if (printFilaments.length === 0) {
+        validationErrors.push('• Please select at least one filament and specify weights');
+    }
+
+    if (validationErrors.length > 0) {
+        alert(`Please fix the following issues:\n\n${validationErrors.join('\n')}\n\nClick OK to continue editing.`);
+        return;
+    }
+
+    // Only the extra grams are taken, so only they can run a filament short
+    const shortages = [];
+    diffPrintFilamentWeights(p.filaments || [], printFilaments).forEach((delta, filamentId) => {
+        const filament = filaments.find(f => f.id === filamentId);
+        const recorded = filament ? InventoryService.getStock(filament).recorded : 0;
+        if (filament && delta > 0 && recorded < delta) {
+            shortages.push(`${filament.brand} ${filament.color}: ${recorded.toFixed(1)}g available, ${delta.toFixed(1)}g more needed`);
+        }
+    });
+    if (shortages.length > 0 && !confirm(`Warning: This edit will result in negative inventory:\n\n${shortages.join('\n')}\n\nClick OK to proceed with negative inventory, or Cancel to stop.`)) {
+        return;
+    }
+
+    const totalWeight = printFilaments.reduce((sum, pf) => sum + pf.weight, 0);
+    const wasSuccess = getPrintOutcome(p) === 'success';
+    const reclassifyAs = wasSuccess === (outcome === 'success') ? null : (outcome === 'success' ? 'print' : 'waste');
+    const pending = UndoHistory.begin(`Edit print of "${p.modelName}"`, ['prints', 'filaments', 'spools']);
+    adjustPrintInventory(p.filaments || [], printFilaments, p.id, reclassifyAs);
+
+    Object.assign(p, {
+        modelName: describePrintLines(modelLines),
+        models: modelLines,
+        weight: totalWeight,
+        date,
+        filaments: printFilaments,
+        qualityRating: qualityRating || null,
+        printNotes: printNotes || null,
+        printDuration,
+        usageVariance: outcome === 'success' ? calculatePrintVariance(modelLines, totalWeight) : null,
+        outcome,
+        success: outcome === 'success',
+        failureReason,
+        completedPercent,
+        wastedWeight: outcome === 'success' ? 0 : totalWeight,
+        printerId: printer ? printer.id : (keepPrinter ? (p.printerId ?? null) : null),
+        printerName: printer ? printer.name : (keepPrinter ? (p.printerName || null) : null),
+        color: printFilaments.length === 1 ? printFilaments[0].color : `${printFilaments.length}-color print`
+    });
+
     saveData();
     updateAllTables();
     closeEditPrintModal();
+    commitUndoable(pending, 'Print record updated');
+}
+
+/**
+ * Gives back everything a print took from inventory, to the spools it was drawn from
+ * @param {Object} print - Print being deleted
+ * @returns {number} Grams returned
+ */
+function restorePrintInventory(print) {
+    let returned = 0;
+    (print.filaments || []).forEach(pf => {
+        const filament = filaments.find(f => f.id === pf.filamentId);
+        if (!filament || !pf.weight) return;
+
+        const previousWeight = filament.weight;
+        restoreFilamentWeight(filament, pf.weight, pf.spoolDraws || []);
+        filament.inStock = filament.weight > 0;
+        InventoryLedger.record(filament, filament.weight - previousWeight, 'printDeleted', print.id);
+        returned += pf.weight;
+    });
+    return returned;
+}
+
+/**
+ * Puts the queue jobs the deleted prints completed back in the queue, so the
+ * job can be printed again and holds its reservation
+ * @param {Array} printIds - Prints being deleted
+ * @returns {Array} The reopened jobs
+ */
+function reopenPrintQueueJobs(printIds) {
+    const reopened = printJobs.filter(job => job.printId && printIds.includes(job.printId));
+    reopened.forEach(job => {
+        job.status = job.startedAt ? 'printing' : 'queued';
+        job.finishedAt = null;
+        job.printId = null;
+    });
+    return reopened;
+}
+
+/**
+ * Keeps a deleted print's material counted as used when it is not returned. The
+ * print stops adding to the consumed total, so the basis drops by the same grams
+ * and the available stock stays where it was.
+ * @param {Object} print - Print being deleted, still in prints
+ */
+function keepPrintConsumption(print) {
+    (print.filaments || []).forEach(pf => {
+        const filament = filaments.find(f => f.id === pf.filamentId);
+        if (!filament || !pf.weight) return;
+
+        filament.initialWeight = Math.round((InventoryService.getInitialWeight(filament) - pf.weight) * 100) / 100;
+    });
 }
 
 function deletePrint(id) {
-    if (confirm('Delete print record?')) {
-        prints = prints.filter(p => p.id !== id);
-        saveData();
-        updateAllTables();
+    openDeletePrintModal([id]);
+}
+
+function bulkDeletePrints() {
+    openDeletePrintModal(window.dataGrids.printTable.getSelectedItems().map(p => p.id));
+}
+
+// Asks whether to return the material of one or more prints before deleting them
+function openDeletePrintModal(ids) {
+    const selected = prints.filter(x => ids.includes(x.id));
+    if (selected.length === 0) return;
+
+    deletingPrintIds = selected.map(x => x.id);
+
+    // Several prints can draw on the same filament, so list one total per filament
+    const restorable = new Map();
+    selected.forEach(p => {
+        (p.filaments || []).filter(pf => pf.weight > 0 && filaments.some(f => f.id === pf.filamentId)).forEach(pf => {
+            const entry = restorable.get(pf.filamentId) || { color: pf.color, material: pf.material, weight: 0 };
+            entry.weight += pf.weight;
+            restorable.set(pf.filamentId, entry);
+        });
+    });
+
+    document.getElementById('deletePrintSummary').textContent = selected.length === 1 ?
+        `Delete the ${selected[0].date} print of "${selected[0].modelName}"?` :
+        `Delete ${selected.length} print records?`;
+    document.getElementById('deletePrintRestoreDetails').innerHTML = restorable.size > 0 ?
+        [...restorable.values()].map(pf => `<li>${pf.color} (${pf.material}): ${pf.weight.toFixed(1)}g</li>`).join('') :
+        '<li>None of the filaments used are still in the library</li>';
+    const restoreCheckbox = document.getElementById('deletePrintRestore');
+    restoreCheckbox.checked = restorable.size > 0;
+    restoreCheckbox.disabled = restorable.size === 0;
+    document.getElementById('deletePrintModal').style.display = 'block';
+}
+
+function closeDeletePrintModal() {
+    document.getElementById('deletePrintModal').style.display = 'none';
+    deletingPrintIds = [];
+}
+
+function confirmDeletePrint() {
+    const selected = prints.filter(x => deletingPrintIds.includes(x.id));
+    if (selected.length === 0) return;
+
+    const restore = document.getElementById('deletePrintRestore').checked;
+    const label = selected.length === 1 ? 'Print record deleted' : `${selected.length} print records deleted`;
+    const pending = UndoHistory.begin(selected.length === 1 ? 'Delete print record' : `Delete ${selected.length} print records`, ['prints', 'filaments', 'spools', 'printJobs']);
+    const returned = restore ? selected.reduce((sum, p) => sum + restorePrintInventory(p), 0) : 0;
+    if (!restore) {
+        selected.forEach(keepPrintConsumption);
     }
+    const reopened = reopenPrintQueueJobs(deletingPrintIds);
+    prints = prints.filter(x => !deletingPrintIds.includes(x.id));
+    saveData();
+    updateAllTables();
+    closeDeletePrintModal();
+    const details = [
+        returned > 0 ? `${returned.toFixed(1)}g returned to inventory` : null,
+        reopened.length > 0 ? `${reopened.length} queue job${reopened.length !== 1 ? 's' : ''} reopened` : null
+    ].filter(Boolean);
+    commitUndoable(pending, details.length > 0 ? `${label} - ${details.join(', ')}` : label);
 }
 
 // Model Search for Print Recording
@@ -3596,6 +10182,7 @@ function populatePrintFilamentsFromModel(modelName) {
                 if (matchingFilament) {
                     // Immediately set the value since the options are already populated in createPrintFilamentSearchBox
                     selectInput.value = matchingFilament.id;
+                    updatePrintSpoolOptions(selectInput);
                 } else {
                 }
             } else {
@@ -3625,72 +10212,74 @@ function clearPrintFilaments() {
     updateTotalWeight();
 }
 
+function getPrintPrinterName(print) {
+    const printer = printers.find(p => p.id === print.printerId);
+    return printer ? printer.name : (print.printerName || '');
+}
+
 function updatePrintTable() {
-    const tbody = document.getElementById('printTableBody');
-    if (!prints.length) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No prints recorded yet</td></tr>';
-        return;
+    if (!window.dataGrids) {
+        window.dataGrids = {};
     }
-    
-    const sorted = [...prints].sort((a, b) => b.date.localeCompare(a.date));
-    tbody.innerHTML = sorted.map(p => {
-        // Handle both legacy (single color) and new (multiple filaments) formats
-        let filamentDisplay;
-        if (p.filaments && p.filaments.length > 0) {
-            // New multi-filament format
-            filamentDisplay = p.filaments.map(f => `
-                <div class="print-filament">
-                    <span class="color-swatch" style="background:${f.colorHex || '#ccc'}; width:12px; height:12px; display:inline-block; border-radius:2px; margin-right:4px; vertical-align:middle;"></span>
-                    <span class="filament-info">${f.color} (${f.material}, ${f.weight.toFixed(1)}g)</span>
-                </div>
-            `).join('');
-        } else {
-            // Legacy single color format
-            const filament = filaments.find(f => f.color === p.color);
-            const hex = filament ? filament.colorHex : '#ccc';
-            filamentDisplay = `
-                <div class="print-filament">
-                    <span class="color-swatch" style="background:${hex}; width:12px; height:12px; display:inline-block; border-radius:2px; margin-right:4px; vertical-align:middle;"></span>
-                    <span class="filament-info">${p.color}</span>
-                </div>
-            `;
-        }
 
-        // Generate quality rating display
-        let qualityDisplay = '<span class="text-muted">—</span>';
-        if (p.qualityRating) {
-            const qualityClass = `quality-${p.qualityRating}`;
-            const qualityText = p.qualityRating.charAt(0).toUpperCase() + p.qualityRating.slice(1);
-            qualityDisplay = `<span class="quality-indicator ${qualityClass}" title="Print quality: ${qualityText}">${qualityText.substring(0, 3)}</span>`;
-        }
+    if (!window.dataGrids.printTable) {
+        window.dataGrids.printTable = new PrintsTable();
+    }
 
-        // Generate usage and variance display
-        let usageDisplay = `<div class="usage-compact">${p.weight.toFixed(1)}g</div>`;
-        let varianceDisplay = '<span class="text-muted">—</span>';
+    updatePrintFilterOptions();
+    window.dataGrids.printTable.updateData();
+}
 
-        if (p.usageVariance) {
-            const variance = p.usageVariance.variance;
-            const varianceClass = variance === 0 ? 'variance-neutral' : (variance > 0 ? 'variance-positive' : 'variance-negative');
-            const varianceSymbol = variance === 0 ? '±' : (variance > 0 ? '+' : '');
-            varianceDisplay = `<div class="variance-display ${varianceClass}" title="Expected: ${p.usageVariance.expected.toFixed(1)}g, Actual: ${p.usageVariance.actual.toFixed(1)}g">
-                <span>${varianceSymbol}${variance.toFixed(1)}%</span>
-            </div>`;
-        }
+// Printer and filament choices for the print history filters, keeping the current selection
+function updatePrintFilterOptions() {
+    const printerSelect = document.getElementById('printFilterPrinter');
+    const filamentSelect = document.getElementById('printFilterFilament');
+    if (!printerSelect || !filamentSelect) return;
 
-        return `
-            <tr>
-                <td>${p.date}</td>
-                <td>${p.modelName}</td>
-                <td>${qualityDisplay}</td>
-                <td>${usageDisplay}</td>
-                <td>${varianceDisplay}</td>
-                <td>
-                    <button class="edit-btn" onclick="editPrint(${p.id})">Edit</button>
-                    <button class="delete-btn" onclick="deletePrint(${p.id})">Delete</button>
-                </td>
-            </tr>
-        `;
-    }).join('');
+    const grid = window.dataGrids.printTable;
+    printerSelect.innerHTML = '<option value="">All printers</option>' +
+        printers.map(printer => `<option value="${printer.id}">${printer.name}</option>`).join('');
+    filamentSelect.innerHTML = '<option value="">All filaments</option>' +
+        filaments.map(f => `<option value="${f.id}">${f.brand} ${f.materialType || f.material} ${f.color}</option>`).join('');
+    if (grid) showPrintFilters(grid.filters);
+}
+
+function showPrintFilters(filters) {
+    const fields = {
+        printFilterFrom: filters.from,
+        printFilterTo: filters.to,
+        printFilterQuality: filters.quality,
+        printFilterPrinter: filters.printerId,
+        printFilterFilament: filters.filamentId,
+        printFilterVariance: filters.minVariance ?? ''
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+}
+
+function updatePrintFilters() {
+    const grid = window.dataGrids.printTable;
+    if (!grid) return;
+
+    const variance = parseFloat(document.getElementById('printFilterVariance').value);
+    grid.setFilters({
+        from: document.getElementById('printFilterFrom').value,
+        to: document.getElementById('printFilterTo').value,
+        quality: document.getElementById('printFilterQuality').value,
+        printerId: document.getElementById('printFilterPrinter').value,
+        filamentId: document.getElementById('printFilterFilament').value,
+        minVariance: isNaN(variance) ? null : Math.abs(variance)
+    });
+}
+
+function clearPrintFilters() {
+    const grid = window.dataGrids.printTable;
+    if (!grid) return;
+
+    showPrintFilters(grid.getDefaultFilters());
+    grid.setFilters({});
 }
 
 /**
@@ -3700,8 +10289,9 @@ function updatePrintTable() {
  * Automatic inventory deduction when print is recorded - User Story 3
  * Includes negative inventory prevention with user override option
  * @param {Array} printFilaments - Array of filament usage data from print
+ * @param {number} printId - Print the deduction is recorded against in the ledger
  */
-function deductFilamentInventory(printFilaments) {
+function deductFilamentInventory(printFilaments, printId = null, source = 'print') {
     if (!printFilaments || !Array.isArray(printFilaments)) {
         return;
     }
@@ -3713,7 +10303,7 @@ function deductFilamentInventory(printFilaments) {
     printFilaments.forEach(printFilament => {
         const filament = filaments.find(f => f.id === printFilament.filamentId);
         if (filament) {
-            const newWeight = filament.weight - printFilament.weight;
+            const newWeight = InventoryService.getStock(filament).recorded - printFilament.weight;
             if (newWeight < 0) {
                 hasNegativeInventory = true;
                 deductions.push({
@@ -3755,10 +10345,14 @@ function deductFilamentInventory(printFilaments) {
         const filament = filaments.find(f => f.id === printFilament.filamentId);
         if (filament) {
             const previousWeight = filament.weight;
-            filament.weight = Math.max(0, filament.weight - printFilament.weight);
+            if (getFilamentSpools(filament.id).length > 0) {
+                // Remember which spools were used so the print can be traced to them
+                printFilament.spoolDraws = drawFromSpools(filament, printFilament.weight, printFilament.spoolId);
+            } else {
+                filament.weight = Math.max(0, filament.weight - printFilament.weight);
+            }
 
-            // Log the deduction for debugging and inventory tracking
-            console.log(`Filament inventory deducted: ${filament.color} - Previous: ${previousWeight.toFixed(1)}g, Deducted: ${printFilament.weight.toFixed(1)}g, New: ${filament.weight.toFixed(1)}g`);
+            InventoryLedger.record(filament, filament.weight - previousWeight, source, printId);
 
             // Add inventory warning annotation if negative
             if (filament.weight === 0 && printFilament.weight > previousWeight) {
@@ -3829,13 +10423,16 @@ function analyzeMaterialConsumption() {
 function analyzePrintFrequency(limit = 5) {
     const modelFrequency = {};
 
+    // Each copy counts once, and a shared plate's weight is split between its models
     prints.forEach(print => {
-        const modelName = print.modelName;
-        if (!modelFrequency[modelName]) {
-            modelFrequency[modelName] = { modelName: modelName, count: 0, totalWeight: 0 };
-        }
-        modelFrequency[modelName].count += 1;
-        modelFrequency[modelName].totalWeight += print.weight || 0;
+        allocatePrintUsage(print).forEach(line => {
+            const modelName = line.modelName;
+            if (!modelFrequency[modelName]) {
+                modelFrequency[modelName] = { modelName: modelName, count: 0, totalWeight: 0 };
+            }
+            modelFrequency[modelName].count += line.quantity;
+            modelFrequency[modelName].totalWeight += line.weight;
+        });
     });
 
     return Object.values(modelFrequency)
@@ -3848,17 +10445,13 @@ function analyzePrintFrequency(limit = 5) {
 }
 
 function updatePrintVarianceAnalysis() {
-    const modelName = document.getElementById('printModel').value.trim();
+    const modelLines = readPrintModelLines();
     const varianceSection = document.getElementById('usageVarianceSection');
     const varianceContent = document.getElementById('varianceAnalysisContent');
 
-    if (!modelName) {
-        varianceSection.style.display = 'none';
-        return;
-    }
-
-    const model = models.find(m => m.name === modelName);
-    if (!model || !model.requirements || model.requirements.length === 0) {
+    // Expected usage is the sum across every model line on the plate
+    const expectedTotal = calculateLinesExpectedUsage(modelLines);
+    if (expectedTotal === 0) {
         varianceSection.style.display = 'none';
         return;
     }
@@ -3871,7 +10464,7 @@ function updatePrintVarianceAnalysis() {
         const selectInput = item.querySelector('.print-filament-select');
         const weightInput = item.querySelector('.print-filament-weight');
         const filamentId = parseInt(selectInput.value);
-        const weight = parseFloat(weightInput.value) || 0;
+        const weight = readQuantityInput(weightInput, filaments.find(f => f.id === filamentId)) || 0;
 
         if (!isNaN(filamentId) && filamentId > 0 && weight > 0) {
             const filament = filaments.find(f => f.id === filamentId);
@@ -3881,7 +10474,7 @@ function updatePrintVarianceAnalysis() {
                     color: filament.colorName || filament.color,
                     material: filament.materialType || filament.material,
                     actualWeight: weight,
-                    expectedWeight: getExpectedWeightForFilamentRequirement(model, filamentId)
+                    expectedWeight: getExpectedWeightForLines(modelLines, filamentId)
                 });
                 totalActualWeight += weight;
             }
@@ -3894,7 +10487,6 @@ function updatePrintVarianceAnalysis() {
     }
 
     // Calculate variance
-    const expectedTotal = calculateTotalExpectedUsage(model);
     const actualTotal = totalActualWeight;
     const variancePercent = expectedTotal > 0 ? ((actualTotal - expectedTotal) / expectedTotal * 100) : 0;
 
@@ -3953,7 +10545,11 @@ function updateUsageStats() {
     prints.forEach(p => byColor[p.color] = (byColor[p.color] || 0) + p.weight);
 
     const byModel = {};
-    prints.forEach(p => byModel[p.modelName] = (byModel[p.modelName] || 0) + p.weight);
+    const copiesByModel = {};
+    prints.forEach(p => allocatePrintUsage(p).forEach(line => {
+        byModel[line.modelName] = (byModel[line.modelName] || 0) + line.weight;
+        copiesByModel[line.modelName] = (copiesByModel[line.modelName] || 0) + line.quantity;
+    }));
 
     const total = prints.reduce((s, p) => s + p.weight, 0);
 
@@ -3961,6 +10557,8 @@ function updateUsageStats() {
     const varianceStats = calculateAverageUsageVariance();
     const materialConsumption = analyzeMaterialConsumption();
     const printFrequency = analyzePrintFrequency(3); // Top 3 models
+    const printerUsage = analyzePrinterUsage();
+    const failures = analyzePrintFailures();
 
     // Quality rating distribution
     const qualityDistribution = {};
@@ -3997,8 +10595,8 @@ function updateUsageStats() {
                 <table>
                     ${Object.entries(byModel).sort((a,b)=>b[1]-a[1])
                         .map(([m,w])=>{
-                            const cnt=prints.filter(p=>p.modelName===m).length;
-                            return`<tr><td>${m}</td><td>${w.toFixed(1)}g</td><td>${cnt} print${cnt>1?'s':''}</td></tr>`;
+                            const cnt=copiesByModel[m];
+                            return`<tr><td>${m}</td><td>${w.toFixed(1)}g</td><td>${cnt} cop${cnt>1?'ies':'y'}</td></tr>`;
                         }).join('')}
                 </table>
             </div>
@@ -4035,7 +10633,36 @@ function updateUsageStats() {
             </div>
         </div>
 
-        <div class="total-banner">Total used: ${total.toFixed(1)}g over ${prints.length} prints</div>
+        ${printers.length > 0 ? `
+        <div class="stats-grid" style="margin-top: 20px;">
+            <div class="stats-card">
+                <h3>By Printer</h3>
+                <table>
+                    <tr><th>Printer</th><th>Prints</th><th>Used</th><th>Hours</th><th>Poor</th></tr>
+                    ${printerUsage.map(item =>
+                        `<tr><td>${item.name}</td><td>${item.printCount}</td><td>${item.totalWeight.toFixed(1)}g</td><td>${item.totalHours.toFixed(1)}h</td><td>${item.poorCount > 0 ? `${(item.poorCount / item.printCount * 100).toFixed(0)}%` : '—'}</td></tr>`
+                    ).join('')}
+                </table>
+            </div>
+        </div>` : ''}
+
+        ${failures.failedCount > 0 ? `
+        <div class="stats-grid" style="margin-top: 20px;">
+            <div class="stats-card">
+                <h3>Failure Reasons</h3>
+                <table>
+                    ${failures.byReason.map(item =>
+                        `<tr><td>${item.name}</td><td>${item.printCount}</td><td>${item.waste.toFixed(1)}g</td><td>${item.cost > 0 ? `$${item.cost.toFixed(2)}` : '—'}</td></tr>`
+                    ).join('')}
+                </table>
+            </div>
+            ${renderFailureTable('Failure Rate by Model', failures.byModel)}
+            ${renderFailureTable('Failure Rate by Filament', failures.byFilament)}
+            ${printers.length > 0 ? renderFailureTable('Failure Rate by Printer', failures.byPrinter) : ''}
+        </div>` : ''}
+
+        <div class="total-banner">Total used: ${total.toFixed(1)}g over ${prints.length} prints${failures.failedCount > 0 ?
+            ` - ${failures.totalWaste.toFixed(1)}g wasted in ${failures.failedCount} failed print${failures.failedCount !== 1 ? 's' : ''} (${(failures.failedCount / prints.length * 100).toFixed(0)}%)${failures.wasteCost > 0 ? `, $${failures.wasteCost.toFixed(2)} of filament` : ''}` : ''}</div>
     `;
 }
 
@@ -4069,8 +10696,15 @@ function updateAllTables() {
     updateModelTable();
     updatePrintTable();
     updatePrintSelects();
+    updatePrinterTable();
+    updatePrinterSelect();
+    updateQueueTable();
+    updateQueueSelects();
     updateUsageStats();
     updatePrintableModels();
+    updateReorderAlerts();
+    updatePurchaseList();
+    updateFilamentPrices();
 }
 
 // Progressive Enhancement Setup
@@ -4081,7 +10715,8 @@ function setupProgressiveEnhancement() {
         json: testJSONSupport(),
         formValidation: testFormValidation(),
         es6: testES6Support(),
-        colorPicker: testColorPicker()
+        colorPicker: testColorPicker(),
+        indexedDB: testIndexedDB()
     };
 
     // Apply fallbacks for missing features
@@ -4136,6 +10771,14 @@ function testColorPicker() {
     return input.type === 'color';
 }
 
+function testIndexedDB() {
+    try {
+        return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+    } catch (e) {
+        return false;
+    }
+}
+
 function applyFeatureFallbacks(features) {
     // LocalStorage fallback
     if (!features.localStorage) {
@@ -4222,6 +10865,7 @@ function calculateEnhancementLevel(features) {
     if (features.formValidation) score++;
     if (features.es6) score++;
     if (features.colorPicker) score++;
+    if (features.indexedDB) score++;
 
     if (score === max) return 'full';
     if (score >= max * 0.8) return 'high';
@@ -4317,6 +10961,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Load material types from storage
     loadMaterialTypes();
+    loadSpoolTares();
+    loadReorderGroupThresholds();
+    loadCostBasisMethod();
+    loadGridViews();
 
     // Setup accessibility enhancements
     setupAccessibilityEnhancements();
@@ -4354,9 +11002,34 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
 
+        // Failure reasons for the print outcome, in the add and edit forms
+        ['printFailureReason', 'editPrintFailureReason'].forEach(id => {
+            const failureReasonSelect = document.getElementById(id);
+            if (failureReasonSelect) {
+                failureReasonSelect.innerHTML = '<option value="">Select reason...</option>' +
+                    Object.entries(FailureReasons).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+            }
+        });
+
+        // Setup printer form submission
+        const printerForm = document.getElementById('printerForm');
+        if (printerForm) {
+            renderPrinterMaterialOptions();
+            printerForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                savePrinter();
+            });
+        }
+
         // Setup real-time validation
         setupRealtimeValidation();
 
+        // Setup Ctrl+Z / Ctrl+Shift+Z history shortcuts
+        setupUndoKeyboardShortcuts();
+
+        // Setup G-code drop on the Print History page
+        setupGcodeDropZone();
+
         // Setup filament search
         setupFilamentSearch();
 
@@ -4366,37 +11039,44 @@ document.addEventListener('DOMContentLoaded', () => {
         if (importFile1) importFile1.addEventListener('change', handleImport);
         if (importFile2) importFile2.addEventListener('change', handleImport);
 
+        const importViewsFile = document.getElementById('importViewsFile');
+        if (importViewsFile) importViewsFile.addEventListener('change', handleGridViewsImport);
+
+        const import3mfFile = document.getElementById('import3mfFile');
+        if (import3mfFile) {
+            import3mfFile.addEventListener('change', event => {
+                import3mfProject(event.target.files[0]);
+                event.target.value = '';
+            });
+        }
+
         // Set today's date
         const dateInput = document.getElementById('printDate');
         if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
 
-        // Load data (using enhanced storage if needed)
-        const storage = window.enhancedStorage || localStorage;
-        if (storage) {
-            loadData();
-
-            // Fix DOM structure: ensure filament content is within its page container
-            fixPageStructure();
-        }
-
+        // Fix DOM structure: ensure filament content is within its page container
+        fixPageStructure();
 
         // Update material type dropdowns with loaded types
         updateMaterialTypeDropdowns();
 
-        // Update material type management UI
-        updateMaterialTypeManagementUI();
+        // Load data asynchronously from IndexedDB (falls back to localStorage)
+        loadData().then(() => {
+            // Update material type management UI
+            updateMaterialTypeManagementUI();
 
-        // Add initial filament requirement field
-        const container = document.getElementById('requiredFilamentsContainer');
-        if (container && container.children.length === 0) {
-            addFilamentRequirement();
-        }
+            // Add initial filament requirement field
+            const container = document.getElementById('requiredFilamentsContainer');
+            if (container && container.children.length === 0) {
+                addFilamentRequirement();
+            }
 
-        // Add initial print filament field
-        const printContainer = document.getElementById('printFilamentsContainer');
-        if (printContainer && printContainer.children.length === 0) {
-            addPrintFilament();
-        }
+            // Add initial print filament field - needs the loaded filaments for its options
+            const printContainer = document.getElementById('printFilamentsContainer');
+            if (printContainer && printContainer.children.length === 0) {
+                addPrintFilament();
+            }
+        });
     } else {
         // Show enhanced warning for basic functionality
         showWarningMessage('Limited functionality available due to browser limitations. Some features may not work correctly.', 8000);
@@ -4477,11 +11157,10 @@ function renderCategoryChips() {
     });
 
     container.innerHTML = html;
+    markActiveCategoryChip(window.dataGrids && window.dataGrids.modelTable ? window.dataGrids.modelTable.category : null);
 }
 
-// Filter models by category
-function filterByCategory(category) {
-    // Update active chip styling
+function markActiveCategoryChip(category) {
     document.querySelectorAll('.category-chip').forEach(chip => {
         chip.classList.remove('active');
     });
@@ -4490,19 +11169,12 @@ function filterByCategory(category) {
         document.querySelector(`[data-category="${category}"]`) :
         document.querySelector('[data-category="all"]');
     if (activeChip) activeChip.classList.add('active');
+}
 
-    // Filter the models table
+// Filter models by category - the grid keeps it through re-renders and saves it with views
+function filterByCategory(category) {
     if (window.dataGrids && window.dataGrids.modelTable) {
-        if (category) {
-            window.dataGrids.modelTable.visibleData = window.dataGrids.modelTable.originalData.filter(model =>
-                model.category === category
-            );
-        } else {
-            window.dataGrids.modelTable.visibleData = [...window.dataGrids.modelTable.originalData];
-        }
-        window.dataGrids.modelTable.currentPage = 1;
-        window.dataGrids.modelTable.renderTable();
-        window.dataGrids.modelTable.updatePagination();
+        window.dataGrids.modelTable.setCategory(category);
     }
 }
 
@@ -4563,12 +11235,14 @@ function addCategory() {
         return;
     }
 
+    const pending = UndoHistory.begin(`Add category "${categoryName}"`, ['modelCategories']);
     modelCategories.push(categoryName);
     modelCategories.sort(); // Sort alphabetically
     saveCategories();
     renderCategoryList();
     renderCategoryChips();
     populateCategoryDropdown();
+    commitUndoable(pending, `Category "${categoryName}" added`);
 
     input.value = '';
 }
@@ -4604,6 +11278,7 @@ function editCategory(oldName) {
         // Update category in list
         const index = modelCategories.indexOf(oldName);
         if (index !== -1) {
+            const pending = UndoHistory.begin(`Rename category "${oldName}"`, ['modelCategories', 'models']);
             modelCategories[index] = newName;
 
             // Update all models with this category
@@ -4619,6 +11294,7 @@ function editCategory(oldName) {
             renderCategoryList();
             renderCategoryChips();
             populateCategoryDropdown();
+            commitUndoable(pending, `Category renamed to "${newName}"`);
         }
     };
 
@@ -4648,6 +11324,8 @@ function deleteCategory(categoryName) {
         'Are you sure you want to delete "' + categoryName + '"?';
 
     if (confirm(message)) {
+        const pending = UndoHistory.begin(`Delete category "${categoryName}"`, ['modelCategories', 'models']);
+
         // Update models with this category to "Other"
         models.forEach(model => {
             if (model.category === categoryName) {
@@ -4671,6 +11349,7 @@ function deleteCategory(categoryName) {
         renderCategoryList();
         renderCategoryChips();
         populateCategoryDropdown();
+        commitUndoable(pending, `Category "${categoryName}" deleted`);
     }
 }
 